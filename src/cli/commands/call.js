@@ -25,7 +25,7 @@ const EXAMPLES = require('../examples');
 const OPTIONS = require('../../options');
 
 const COMMAND = `functions call ${'<functionName>'.yellow} ${'[options]'.yellow}`;
-const DESCRIPTION = `Invokes a function. You must specify either the ${'data'.bold} or the ${'file'.bold} option.`;
+const DESCRIPTION = `Invokes a function. You must specify either the ${'data'.bold}, the ${'file'.bold} or the ${'cloud-event'.bold} option.`;
 const USAGE = `Usage:
   ${COMMAND.bold}
 
@@ -45,6 +45,12 @@ exports.builder = (yargs) => {
   yargs
     .usage(USAGE)
     .options(_.merge({
+      'cloud-event': {
+        conflicts: ['data', 'file'],
+        description: `${'Emulator-specific:'.bold} Specify inline the JSON of a CloudEvent to send to the function, in the Emulator's ${'cloudEventMode'.bold}. The ${'specversion'.bold}, ${'id'.bold} and ${'time'.bold} attributes default to ${'1.0'.green}, the execution ID and the current time. Only HTTP functions and functions deployed with ${'--signature-type=cloudevent'.bold} take CloudEvents.`,
+        requiresArg: true,
+        type: 'string'
+      },
       data: {
         description: `Specify inline the JSON data to send to the function. ${'Default:'.bold} ${'{}'.green}`,
         requiresArg: true,
@@ -63,6 +69,15 @@ exports.builder = (yargs) => {
   EXAMPLES['call'].forEach((e) => yargs.example(e[0], e[1]));
 };
 exports.handler = (opts) => {
+  let cloudEvent;
+  if (opts.cloudEvent) {
+    try {
+      cloudEvent = JSON.parse(opts.cloudEvent);
+    } catch (err) {
+      throw new Error('"cloud-event" must be a valid JSON string!');
+    }
+  }
+
   if (opts.file) {
     try {
       opts.data = JSON.parse(fs.readFileSync(opts.file, 'utf8'));
@@ -82,9 +97,16 @@ exports.handler = (opts) => {
   const controller = new Controller(opts);
 
   return controller.doIfRunning()
-    .then(() => controller.call(opts.functionName, opts.data))
+    .then(() => controller.call(opts.functionName, opts.data, cloudEvent ? { cloudEvent } : undefined))
     .then(([body, response]) => {
       controller.log(`ExecutionId: ${body.executionId}`);
+      if (body.startup) {
+        if (body.startup.cold) {
+          controller.log(`Cold start: yes (module loaded in ${body.startup.loadTime} ms, waited ${body.startup.startupTime} ms for a new instance)`);
+        } else {
+          controller.log('Cold start: no');
+        }
+      }
       if (body.result) {
         if (body.result.body && body.result.statusCode && body.result.headers) {
           try {
@@ -38,9 +38,27 @@ const EPILOGUE = `Available configuration options:
       ${OPTIONS.timeout.description}
 
   ${'EMULATOR'.underline} - Emulates the Cloud Functions API.
+    ${'backgroundWork'.bold}
+      ${OPTIONS.backgroundWork.description}
+
     ${'bindHost'.bold}
       ${OPTIONS.bindHost.description}
 
+    ${'cleanEnv'.bold}
+      ${OPTIONS.cleanEnv.description}
+
+    ${'cloudEventMode'.bold}
+      ${OPTIONS.cloudEventMode.description}
+
+    ${'coldStart'.bold}
+      ${OPTIONS.coldStart.description}
+
+    ${'concurrency'.bold}
+      ${OPTIONS.concurrency.description}
+
+    ${'dependencyCacheDir'.bold}
+      ${OPTIONS.dependencyCacheDir.description}
+
     ${'host'.bold}
       ${OPTIONS.host.description}
 
@@ -50,12 +68,48 @@ const EPILOGUE = `Available configuration options:
     ${'logFile'.bold}
       ${OPTIONS.logFile.description}
 
+    ${'maxExecutions'.bold}
+      ${OPTIONS.maxExecutions.description}
+
     ${'maxIdle'.bold}
       ${OPTIONS.maxIdle.description}
 
+    ${'maxInstances'.bold}
+      ${OPTIONS.maxInstances.description}
+
+    ${'maxOperations'.bold}
+      ${OPTIONS.maxOperations.description}
+
+    ${'maxVersions'.bold}
+      ${OPTIONS.maxVersions.description}
+
+    ${'offline'.bold}
+      ${OPTIONS.offline.description}
+
+    ${'readOnlyFs'.bold}
+      ${OPTIONS.readOnlyFs.description}
+
+    ${'recordDir'.bold}
+      ${OPTIONS.recordDir.description}
+
     ${'restPort'.bold}
       ${OPTIONS.restPort.description}
 
+    ${'retryBackoff'.bold}
+      ${OPTIONS.retryBackoff.description}
+
+    ${'retryMaxAge'.bold}
+      ${OPTIONS.retryMaxAge.description}
+
+    ${'retryMaxAttempts'.bold}
+      ${OPTIONS.retryMaxAttempts.description}
+
+    ${'runtimes'.bold}
+      ${OPTIONS.runtimes.description}
+
+    ${'stateDir'.bold}
+      ${OPTIONS.stateDir.description}
+
     ${'supervisorPort'.bold}
       ${OPTIONS.supervisorPort.description}
 
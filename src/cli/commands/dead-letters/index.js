@@ -0,0 +1,51 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const EXAMPLES = require('../../examples');
+
+const COMMAND = `functions dead-letters ${'<command>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Manages events that could not be delivered to functions.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION} Run ${('functions dead-letters ' + '<command>'.yellow + ' --help').bold} to print additional help for a command.
+
+  An event is recorded as a dead letter when its function fails to handle it. Functions deployed with ${'--retry'.bold} are
+  only given up on once ${'retryMaxAttempts'.bold} or ${'retryMaxAge'.bold} is reached.
+
+Positional arguments:
+  ${'command'.bold}
+    The ${'dead-letters'.bold} command to execute.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'dead-letters <command>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .demand(1)
+    .command(require('./list'))
+    .command(require('./replay'));
+
+  EXAMPLES['dead-letters'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = () => {};
@@ -0,0 +1,84 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+const Table = require('cli-table3');
+
+const Controller = require('../../controller');
+const { CloudFunction } = require('../../../model');
+const EXAMPLES = require('../../examples');
+const OPTIONS = require('../../../options');
+
+const COMMAND = `functions dead-letters list ${'[options]'.yellow}`;
+const DESCRIPTION = 'Lists the events that could not be delivered to functions.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION}`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'list';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.merge(_.pick(OPTIONS, ['host', 'projectId', 'region', 'restPort']), {
+      function: {
+        alias: 'f',
+        description: 'Only list the dead letters of the function with this name.',
+        requiresArg: true,
+        type: 'string'
+      }
+    }));
+
+  EXAMPLES['dead-letters.list'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.listDeadLetters(opts))
+    .then((deadLetters) => {
+      if (deadLetters.length === 0) {
+        controller.log('No dead letters.');
+        return;
+      }
+
+      const table = new Table({
+        head: ['ID'.bold, 'Function'.bold, 'Event ID'.bold, 'Attempts'.bold, 'Last Attempt'.bold, 'Error'.bold]
+      });
+
+      deadLetters.forEach((deadLetter) => {
+        table.push([
+          deadLetter.name.split('/').pop(),
+          CloudFunction.parseName(deadLetter.function).name,
+          deadLetter.event.eventId,
+          deadLetter.attempts,
+          deadLetter.lastAttemptTime,
+          `${typeof deadLetter.error === 'string' ? deadLetter.error : JSON.stringify(deadLetter.error)}`.red
+        ]);
+      });
+
+      controller.log(table.toString());
+    })
+    .catch((err) => controller.handleError(err));
+};
@@ -0,0 +1,59 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+
+const Controller = require('../../controller');
+const EXAMPLES = require('../../examples');
+const OPTIONS = require('../../../options');
+
+const COMMAND = `functions dead-letters replay ${'<id>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Redelivers the event of a dead letter to its function.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION} The event keeps its original eventId. If delivery fails again, a new dead letter is recorded.
+
+Positional arguments:
+  ${'id'.bold}
+    The ID of the dead letter, as printed by ${'functions dead-letters list'.bold}.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'replay <id>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.pick(OPTIONS, ['host', 'restPort']));
+
+  EXAMPLES['dead-letters.replay'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.replayDeadLetter(opts.id))
+    .then((deadLetter) => {
+      controller.log(`Event ${deadLetter.event.eventId} redelivered to ${deadLetter.function}.`);
+    })
+    .catch((err) => controller.handleError(err));
+};
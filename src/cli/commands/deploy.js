@@ -21,6 +21,7 @@ const _ = require('lodash');
 
 const Controller = require('../controller');
 const describe = require('./describe').handler;
+const { CloudFunction } = require('../../model');
 const EXAMPLES = require('../examples');
 const OPTIONS = require('../../options');
 
@@ -47,7 +48,12 @@ exports.builder = (yargs) => {
     .options(_.merge(_.pick(OPTIONS, ['host', 'projectId', 'region', 'restPort', 'service']), {
       'source': {
         alias: 'S',
-        description: `Location of source code to deploy. ${'Default:'.bold} ${process.cwd().green} (the current working directory). Location of the source can be one of the following: Source code in Google Cloud Storage or a local filesystem path. The value of the flag will be interpreted as a Cloud Storage location, if it starts with ${'gs://'.bold}. Otherwise, it will be interpreted as the local filesystem path.`,
+        description: `Location of source code to deploy. ${'Default:'.bold} ${process.cwd().green} (the current working directory). Location of the source can be one of the following: a local directory; a local ${'.zip'.bold} or ${'.tar.gz'.bold} file; an archive in Google Cloud Storage (${'gs://'.bold}) or at an ${'http(s)://'.bold} URL; or a git repository. A git repository is either a ${'file://'.bold} URL or any URL that selects a branch, tag or commit, and a directory, the way source repository URLs do in production, e.g. ${'file:///path/to/repo/moveable-aliases/master/paths/functions'.bold} (also ${'fixed-aliases/<tag>'.bold} and ${'revisions/<commit>'.bold}). A local directory is deployed as is, even if it is a git working tree.`,
+        requiresArg: true,
+        type: 'string'
+      },
+      'ignore-file': {
+        description: `Use this file instead of the source directory's ${'.gcloudignore'.bold} to select the files that are left out of the archive. The path is relative to the source directory. Like ${'.gitignore'.bold}, each line is a pattern, and ${'#!include:.gitignore'.bold} adds the patterns of another file. Without either file, ${'.git'.bold}, ${'node_modules'.bold} and the patterns of ${'.gitignore'.bold} are left out.`,
         requiresArg: true,
         type: 'string'
       },
@@ -113,6 +119,55 @@ exports.builder = (yargs) => {
         type: 'string',
         required: false
       },
+      memory: {
+        description: `${'Optional'.bold}. The amount of memory allocated to the function: 128MB, 256MB, 512MB, 1GB or 2GB. A worker that exceeds it is killed, interrupting the invocation, as in production. Defaults to 256MB.`,
+        requiresArg: true,
+        type: 'string'
+      },
+      'max-instances': {
+        description: `${'Optional'.bold}. The maximum number of worker instances the Emulator may run for the function at once. Overrides the Emulator's ${'maxInstances'.bold} setting.`,
+        requiresArg: true,
+        type: 'number'
+      },
+      retry: {
+        description: `${'Optional'.bold}. If specified, an event-triggered function is retried when it fails, with an exponential backoff controlled by the Emulator's ${'retryBackoff'.bold}, ${'retryMaxAge'.bold} and ${'retryMaxAttempts'.bold} settings. Events that are never handled successfully can be inspected with ${'functions dead-letters list'.bold}.`,
+        requiresArg: false,
+        type: 'boolean'
+      },
+      runtime: {
+        description: `${'Optional'.bold}. The runtime in which to run the function, e.g. nodejs8 or nodejs10. The Emulator runs the function with the Node.js executable that its ${'runtimes'.bold} setting maps the runtime to. Defaults to the Node.js running the Emulator.`,
+        requiresArg: true,
+        type: 'string'
+      },
+      'signature-type': {
+        choices: ['legacy', 'context', 'cloudevent'],
+        description: `${'Optional'.bold}. How a background function is called: ${'legacy'.bold} for ${'(event, callback)'.bold}, as in the nodejs6 runtime, ${'context'.bold} for ${'(data, context, callback)'.bold}, as in later runtimes, or ${'cloudevent'.bold} for ${'(cloudevent, callback)'.bold}, as in the Functions Framework. CloudEvents are sent in the Emulator's ${'cloudEventMode'.bold}. Either way, the function can return a promise instead of taking a callback. Defaults to the signature of the function's ${'--runtime'.bold}, or ${'legacy'.bold} without one.`,
+        requiresArg: true,
+        type: 'string'
+      },
+      'set-env-vars': {
+        description: `${'Optional'.bold}. Environment variables of the function, e.g. ${'FOO=bar,BAZ=qux'.bold}. Replaces all of the function's environment variables.`,
+        requiresArg: true,
+        type: 'string',
+        conflicts: ['env-vars-file', 'update-env-vars', 'remove-env-vars']
+      },
+      'update-env-vars': {
+        description: `${'Optional'.bold}. Environment variables to add to or change in the function's, e.g. ${'FOO=bar,BAZ=qux'.bold}.`,
+        requiresArg: true,
+        type: 'string',
+        conflicts: ['env-vars-file']
+      },
+      'remove-env-vars': {
+        description: `${'Optional'.bold}. Names of environment variables to remove from the function's, e.g. ${'FOO,BAZ'.bold}.`,
+        requiresArg: true,
+        type: 'string',
+        conflicts: ['env-vars-file']
+      },
+      'env-vars-file': {
+        description: `${'Optional'.bold}. Path to a YAML file that maps the names of the function's environment variables to their values. Replaces all of the function's environment variables.`,
+        requiresArg: true,
+        type: 'string'
+      },
       'stage-bucket': {
         alias: 's',
         description: `${'Optional'.bold}. Name of Google Cloud Storage bucket in which source code will be stored.`,
@@ -139,33 +194,17 @@ exports.handler = (opts) => {
 
   opts.region || (opts.region = controller.config.region);
   opts.timeout = calculateTimeout(opts.timeout);
+  if (opts.memory) {
+    opts.memory = parseMemory(opts.memory);
+  }
 
   // Only deploy if the Emulator is running
   return controller.doIfRunning()
     // Deploy the function
     .then(() => controller.deploy(opts.functionName, opts))
     .then(([operation, response]) => {
-      // Poll the operation
-      return new Promise((resolve, reject) => {
-        function poll () {
-          controller.write('.');
-          controller.client.getOperation(operation.name)
-            .then(([operation]) => {
-              if (!operation.done) {
-                setTimeout(poll, 500);
-              } else {
-                if (operation.response) {
-                  resolve(operation.response);
-                } else {
-                  reject(operation.error || new Error('Deployment failed'));
-                }
-              }
-            });
-        }
-
-        controller.write('Deploying function');
-        poll();
-      })
+      controller.write('Deploying function');
+      return controller.waitForOperation(operation)
         .then(() => controller.write('done.\n'))
         .catch((err) => {
           controller.write('failed.\n');
@@ -217,3 +256,17 @@ function calculateTimeout (timeout) {
   console.error(`Function configured with invalid timeout: ${timeout}. Reverting to default of 60 seconds.`);
   return DEFAULT;
 }
+
+function parseMemory (memory) {
+  const matches = `${memory}`.match(/^(\d+)\s*(MB|GB)?$/i);
+  if (matches) {
+    let memoryMb = parseInt(matches[1], 10);
+    if (matches[2] && matches[2].toUpperCase() === 'GB') {
+      memoryMb *= 1024;
+    }
+    if (CloudFunction.MEMORY_SIZES_MB.includes(memoryMb)) {
+      return memoryMb;
+    }
+  }
+  throw new Error(`Invalid memory: ${memory}. Must be one of 128MB, 256MB, 512MB, 1GB or 2GB.`);
+}
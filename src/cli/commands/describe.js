@@ -24,6 +24,14 @@ const Controller = require('../controller');
 const { CloudFunction } = require('../../model');
 const EXAMPLES = require('../examples');
 const OPTIONS = require('../../options');
+const runtimes = require('../../utils/runtimes');
+
+// How each signature type calls a background function
+const SIGNATURES = {
+  legacy: '(event, callback)',
+  context: '(data, context, callback)',
+  cloudevent: '(cloudevent, callback)'
+};
 
 const COMMAND = `functions describe ${'<functionName>'.yellow} ${'[options]'.yellow}`;
 const DESCRIPTION = `Prints the details of a single deployed function.`;
@@ -71,23 +79,47 @@ exports.handler = (opts) => {
       }
 
       table.push(['Name', cloudfunction.shortName]);
+      if (cloudfunction.versionId) {
+        table.push(['Version', cloudfunction.versionId]);
+      }
       if (cloudfunction.entryPoint) {
         table.push(['Entry Point', cloudfunction.entryPoint]);
       }
+      table.push(['Runtime', cloudfunction.runtime || 'Emulator default']);
+      if (cloudfunction.runtimeExecutable) {
+        table.push(['Node.js binary', cloudfunction.runtimeExecutable]);
+      }
       table.push(['Trigger', trigger]);
       if (resource) {
         table.push(['Resource', resource]);
       }
+      if (cloudfunction.eventTrigger) {
+        table.push(['Signature', SIGNATURES[runtimes.getSignatureType(cloudfunction)]]);
+        table.push(['Retry', cloudfunction.eventTrigger.failurePolicy && cloudfunction.eventTrigger.failurePolicy.retry ? 'Yes' : 'No']);
+      }
       if (cloudfunction.timeout && cloudfunction.timeout.seconds) {
         table.push(['Timeout', `${cloudfunction.timeout.seconds} seconds`]);
       } else {
         table.push(['Timeout', `60 seconds`]);
       }
+      if (cloudfunction.availableMemoryMb) {
+        table.push(['Memory', `${cloudfunction.availableMemoryMb} MB`]);
+      }
+      if (cloudfunction.maxInstances) {
+        table.push(['Max instances', cloudfunction.maxInstances]);
+      }
+      if (!_.isEmpty(cloudfunction.environmentVariables)) {
+        table.push(['Environment variables', _.map(cloudfunction.environmentVariables, (value, key) => `${key}=${value}`).join('\n')]);
+      }
       const localdir = CloudFunction.getLocaldir(cloudfunction);
       if (CloudFunction.getLocaldir(cloudfunction)) {
         table.push(['Local path', localdir]);
       }
-      table.push(['Archive', cloudfunction.sourceArchiveUrl]);
+      if (cloudfunction.sourceRepository) {
+        table.push(['Repository', cloudfunction.sourceRepository.deployedUrl || cloudfunction.sourceRepository.url]);
+      } else {
+        table.push(['Archive', cloudfunction.sourceArchiveUrl]);
+      }
 
       controller.log(table.toString());
     })
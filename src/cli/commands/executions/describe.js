@@ -0,0 +1,78 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+const Table = require('cli-table3');
+
+const Controller = require('../../controller');
+const EXAMPLES = require('../../examples');
+const OPTIONS = require('../../../options');
+
+const COMMAND = `functions executions describe ${'<executionId>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Shows the record of a function execution.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION}
+
+Positional arguments:
+  ${'executionId'.bold}
+    The ID of the execution, as printed by ${'functions call'.bold} or ${'functions executions list'.bold}.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'describe <executionId>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.pick(OPTIONS, ['host', 'restPort']));
+
+  EXAMPLES['executions.describe'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.getExecution(opts.executionId))
+    .then((execution) => {
+      const table = new Table({
+        head: ['Property'.bold, 'Value'.bold]
+      });
+
+      table.push(['Execution ID', execution.executionId]);
+      table.push(['Function', execution.function]);
+      table.push(['Trigger', execution.trigger]);
+      table.push(['Start Time', execution.startTime]);
+      table.push(['Duration', `${execution.duration} ms`]);
+      table.push(['Status', execution.status]);
+      table.push(['HTTP Status', execution.httpStatus]);
+      table.push(['Input Size', `${execution.inputSize} bytes`]);
+      table.push(['Output Size', `${execution.outputSize} bytes`]);
+      if (execution.tmpUsage !== undefined) {
+        table.push(['/tmp Usage', `${execution.tmpUsage} bytes`]);
+      }
+      table.push(['Cold Start', execution.cold ? 'Yes' : 'No']);
+
+      controller.log(table.toString());
+    })
+    .catch((err) => controller.handleError(err));
+};
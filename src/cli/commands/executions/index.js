@@ -0,0 +1,50 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const EXAMPLES = require('../../examples');
+
+const COMMAND = `functions executions ${'<command>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Shows the records of recent function executions.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION} Run ${('functions executions ' + '<command>'.yellow + ' --help').bold} to print additional help for a command.
+
+  The Emulator keeps the records of the most recent ${'maxExecutions'.bold} executions.
+
+Positional arguments:
+  ${'command'.bold}
+    The ${'executions'.bold} command to execute.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'executions <command>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .demand(1)
+    .command(require('./describe'))
+    .command(require('./list'));
+
+  EXAMPLES['executions'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = () => {};
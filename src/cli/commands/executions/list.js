@@ -0,0 +1,106 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+const Table = require('cli-table3');
+
+const Controller = require('../../controller');
+const { CloudFunction } = require('../../../model');
+const EXAMPLES = require('../../examples');
+const OPTIONS = require('../../../options');
+
+const COMMAND = `functions executions list ${'[options]'.yellow}`;
+const DESCRIPTION = 'Lists recent function executions, most recent last.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION}`;
+
+const ExecutionStatus = {
+  ok: 'ok'.green,
+  error: 'error'.red,
+  crash: 'crash'.red,
+  timeout: 'timeout'.red
+};
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'list';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.merge(_.pick(OPTIONS, ['host', 'projectId', 'region', 'restPort']), {
+      function: {
+        alias: 'f',
+        description: 'Only list the executions of the function with this name.',
+        requiresArg: true,
+        type: 'string'
+      },
+      limit: {
+        alias: 'l',
+        default: 20,
+        description: 'Number of executions to list.',
+        requiresArg: true,
+        type: 'number'
+      },
+      status: {
+        choices: ['ok', 'error', 'crash', 'timeout'],
+        description: 'Only list executions that finished with this status.',
+        requiresArg: true,
+        type: 'string'
+      }
+    }));
+
+  EXAMPLES['executions.list'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.listExecutions(opts))
+    .then((executions) => {
+      if (executions.length === 0) {
+        controller.log('No executions.');
+        return;
+      }
+
+      const table = new Table({
+        head: ['Execution ID'.bold, 'Function'.bold, 'Trigger'.bold, 'Start Time'.bold, 'Duration'.bold, 'Status'.bold, 'HTTP Status'.bold, 'Cold'.bold]
+      });
+
+      executions.forEach((execution) => {
+        table.push([
+          execution.executionId,
+          CloudFunction.parseName(execution.function).name,
+          execution.trigger,
+          execution.startTime,
+          `${execution.duration} ms`,
+          ExecutionStatus[execution.status] || execution.status,
+          execution.httpStatus,
+          execution.cold ? 'Yes' : 'No'
+        ]);
+      });
+
+      controller.log(table.toString());
+    })
+    .catch((err) => controller.handleError(err));
+};
@@ -23,6 +23,7 @@ const Table = require('cli-table3');
 
 const Controller = require('../controller');
 const { CloudFunction } = require('../../model');
+const EXAMPLES = require('../examples');
 const OPTIONS = require('../../options');
 
 const COMMAND = `functions list ${'[options]'.yellow}`;
@@ -31,7 +32,8 @@ const USAGE = `Usage:
   ${COMMAND.bold}
 
 Description:
-  ${DESCRIPTION}`;
+  ${DESCRIPTION} Only the functions of the configured project and region are listed, unless the ${'--project'.bold} or
+  ${'--region'.bold} options are given. Use ${'-'.bold} to list the functions of every project or region.`;
 
 function pathExists (p) {
   try {
@@ -64,19 +66,29 @@ exports.builder = (yargs) => {
   yargs
     .usage(USAGE)
     .options(_.pick(OPTIONS, ['host', 'projectId', 'region', 'restPort', 'service']));
+
+  EXAMPLES['list'].forEach((e) => yargs.example(e[0], e[1]));
 };
 exports.handler = (opts) => {
   const controller = new Controller(opts);
 
   return controller.doIfRunning()
-    .then(() => controller.list())
+    .then(() => controller.list({ projectId: opts.projectId, region: opts.region }))
     .then((cloudfunctions) => {
+      // Show where each function is when listing several projects or regions
+      const showProject = opts.projectId === '-';
+      const showRegion = opts.region === '-';
       if (cloudfunctions.length === 0) {
         controller.log(`No functions deployed ¯\\_(ツ)_/¯. Run ${'functions deploy --help'.bold} for how to deploy a function.`);
       } else {
-        const table = new Table({
-          head: ['Status'.bold, 'Name'.bold, 'Trigger'.bold, 'Resource'.bold]
-        });
+        const head = ['Status'.bold, 'Name'.bold, 'Trigger'.bold, 'Resource'.bold];
+        if (showProject) {
+          head.splice(2, 0, 'Project'.bold);
+        }
+        if (showRegion) {
+          head.splice(showProject ? 3 : 2, 0, 'Region'.bold);
+        }
+        const table = new Table({ head });
 
         cloudfunctions.forEach((cloudfunction) => {
           let trigger, resource;
@@ -93,20 +105,18 @@ exports.handler = (opts) => {
           if (!resource) {
             resource = 'None';
           }
+          const parts = CloudFunction.parseName(cloudfunction.name);
+          const row = [
+            CloudFunctionStatus[cloudfunction.status] || CloudFunctionStatus['0'],
+            cloudfunction.shortName
+          ]
+            .concat(showProject ? [parts.project] : [])
+            .concat(showRegion ? [parts.location] : [])
+            .concat([trigger, resource]);
           if (pathExists(CloudFunction.getLocaldir(cloudfunction))) {
-            table.push([
-              CloudFunctionStatus[cloudfunction.status] || CloudFunctionStatus['0'],
-              cloudfunction.shortName,
-              trigger,
-              resource
-            ]);
+            table.push(row);
           } else {
-            table.push([
-              (CloudFunctionStatus[cloudfunction.status] || CloudFunctionStatus['0']).red,
-              cloudfunction.shortName.red,
-              trigger.red,
-              resource.red
-            ]);
+            table.push(row.map((value) => value.red));
           }
         });
 
@@ -19,30 +19,56 @@ require('colors');
 
 const Controller = require('../../controller');
 const EXAMPLES = require('../../examples');
+const logs = require('../../../emulator/logs');
 
-const COMMAND = `functions logs read ${'[options]'.yellow}`;
+const COMMAND = `functions logs read ${'[functionName]'.yellow} ${'[options]'.yellow}`;
 const DESCRIPTION = 'Show logs produced by functions.';
 const USAGE = `Usage:
   ${COMMAND.bold}
 
 Description:
-  ${DESCRIPTION}`;
+  ${DESCRIPTION}
+
+Positional arguments:
+  ${'functionName'.bold}
+    Only show the entries logged by the function with this name.`;
 
 /**
  * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
  */
-exports.command = 'read';
+exports.command = 'read [functionName]';
 exports.description = DESCRIPTION;
 exports.builder = (yargs) => {
   yargs
     .usage(USAGE)
     .options({
+      'end-time': {
+        description: `Only show entries logged at or before this time, e.g. ${'2018-01-01T10:00:00Z'.bold}.`,
+        type: 'string',
+        requiresArg: true
+      },
+      'execution-id': {
+        description: 'Only show entries logged during the execution with this ID.',
+        type: 'string',
+        requiresArg: true
+      },
       limit: {
         alias: 'l',
         default: 20,
         description: 'Number of log entries to be fetched.',
         type: 'number',
         requiresArg: true
+      },
+      'min-log-level': {
+        choices: ['debug', 'info', 'warning', 'error'],
+        description: 'Only show entries with at least this severity.',
+        type: 'string',
+        requiresArg: true
+      },
+      'start-time': {
+        description: `Only show entries logged at or after this time, e.g. ${'2018-01-01T10:00:00Z'.bold}.`,
+        type: 'string',
+        requiresArg: true
       }
     });
 
@@ -51,9 +77,21 @@ exports.builder = (yargs) => {
 exports.handler = (opts) => {
   const controller = new Controller(opts);
 
-  let limit = 20;
-  if (opts && opts.limit) {
-    limit = parseInt(opts.limit, 10);
-  }
-  controller.getLogs(limit);
+  ['start-time', 'end-time'].forEach((option) => {
+    if (opts[option] && isNaN(new Date(opts[option]).getTime())) {
+      throw new Error(`"${option}" must be a valid date and time!`);
+    }
+  });
+
+  return controller
+    .getLogs({
+      function: opts.functionName,
+      executionId: opts.executionId,
+      minSeverity: opts.minLogLevel,
+      startTime: opts.startTime,
+      endTime: opts.endTime,
+      limit: parseInt(opts.limit, 10) || 20
+    })
+    .then((entries) => entries.forEach((entry) => controller.write(`${logs.formatEntry(entry)}\n`)))
+    .catch((err) => controller.handleError(err));
 };
@@ -0,0 +1,58 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+
+const Controller = require('../../controller');
+const EXAMPLES = require('../../examples');
+const OPTIONS = require('../../../options');
+
+const COMMAND = `functions operations cancel ${'<operationId>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Cancels a pending operation.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION} A deployment that is installing dependencies is stopped and its operation finishes with a
+  ${'CANCELLED'.bold} error; the previously deployed version of the function, if any, keeps serving.
+
+Positional arguments:
+  ${'operationId'.bold}
+    The ID of the operation, as printed by ${'functions operations list'.bold}.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'cancel <operationId>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.pick(OPTIONS, ['host', 'restPort']));
+
+  EXAMPLES['operations.cancel'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.cancelOperation(opts.operationId))
+    .then(() => controller.log(`Cancelled operation ${opts.operationId.bold}.`))
+    .catch((err) => controller.handleError(err));
+};
@@ -0,0 +1,89 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+const Table = require('cli-table3');
+
+const Controller = require('../../controller');
+const { Operation } = require('../../../model');
+const EXAMPLES = require('../../examples');
+const OPTIONS = require('../../../options');
+
+const COMMAND = `functions operations describe ${'<operationId>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Shows the details of an operation.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION}
+
+Positional arguments:
+  ${'operationId'.bold}
+    The ID of the operation, as printed by ${'functions operations list'.bold}.`;
+
+/**
+ * Builds a table of an operation's details. Also used by
+ * "functions operations wait".
+ *
+ * @param {object} operation The operation.
+ * @returns {string}
+ */
+function describe (operation) {
+  const table = new Table({
+    head: ['Property'.bold, 'Value'.bold]
+  });
+
+  table.push(['Name', operation.name]);
+  table.push(['Type', Operation.getType(operation)]);
+  table.push(['Function', _.get(operation, 'metadata.value.target', '')]);
+  table.push(['Status', Operation.getStatus(operation)]);
+  if (_.get(operation, 'metadata.value.updateTime')) {
+    table.push(['Updated', operation.metadata.value.updateTime]);
+  }
+  if (operation.error) {
+    table.push(['Error', operation.error.message || JSON.stringify(operation.error)]);
+  }
+  if (_.get(operation, 'response.value.versionId')) {
+    table.push(['Version', operation.response.value.versionId]);
+  }
+
+  return table.toString();
+}
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'describe <operationId>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.pick(OPTIONS, ['host', 'restPort']));
+
+  EXAMPLES['operations.describe'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.getOperation(opts.operationId))
+    .then((operation) => controller.log(describe(operation)))
+    .catch((err) => controller.handleError(err));
+};
+exports.describe = describe;
@@ -0,0 +1,53 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const EXAMPLES = require('../../examples');
+
+const COMMAND = `functions operations ${'<command>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Manages the long-running operations of function deployments.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION} Run ${('functions operations ' + '<command>'.yellow + ' --help').bold} to print additional help for a command.
+
+  Deploying, updating and deleting a function each start an operation. The Emulator keeps the ${'maxOperations'.bold}
+  most recently finished operations.
+
+Positional arguments:
+  ${'command'.bold}
+    The ${'operations'.bold} command to execute.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'operations <command>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .demand(1)
+    .command(require('./cancel'))
+    .command(require('./describe'))
+    .command(require('./list'))
+    .command(require('./wait'));
+
+  EXAMPLES['operations'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = () => {};
@@ -0,0 +1,104 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+const Table = require('cli-table3');
+
+const Controller = require('../../controller');
+const { CloudFunction, Operation } = require('../../../model');
+const EXAMPLES = require('../../examples');
+const OPTIONS = require('../../../options');
+
+const COMMAND = `functions operations list ${'[options]'.yellow}`;
+const DESCRIPTION = 'Lists recent operations, most recently updated last.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION}`;
+
+const OperationStatus = {
+  RUNNING: 'RUNNING'.yellow,
+  SUCCEEDED: 'SUCCEEDED'.green,
+  FAILED: 'FAILED'.red,
+  CANCELLED: 'CANCELLED'.red
+};
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'list';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.merge(_.pick(OPTIONS, ['host', 'projectId', 'region', 'restPort']), {
+      done: {
+        // Without --done or --no-done, operations in either state are listed
+        default: undefined,
+        description: 'Only list finished operations. Use --no-done to only list pending operations.',
+        type: 'boolean'
+      },
+      function: {
+        alias: 'f',
+        description: 'Only list the operations of the function with this name.',
+        requiresArg: true,
+        type: 'string'
+      },
+      limit: {
+        alias: 'l',
+        default: 20,
+        description: 'Number of operations to list.',
+        requiresArg: true,
+        type: 'number'
+      }
+    }));
+
+  EXAMPLES['operations.list'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.listOperations(opts))
+    .then((operations) => {
+      if (operations.length === 0) {
+        controller.log('No operations.');
+        return;
+      }
+
+      const table = new Table({
+        head: ['Operation'.bold, 'Type'.bold, 'Function'.bold, 'Status'.bold, 'Updated'.bold]
+      });
+
+      operations.forEach((operation) => {
+        const status = Operation.getStatus(operation);
+        table.push([
+          Operation.parseName(operation.name).operation,
+          Operation.getType(operation),
+          CloudFunction.parseName(_.get(operation, 'metadata.value.target', '')).name,
+          OperationStatus[status] || status,
+          _.get(operation, 'metadata.value.updateTime', '')
+        ]);
+      });
+
+      controller.log(table.toString());
+    })
+    .catch((err) => controller.handleError(err));
+};
@@ -0,0 +1,71 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+
+const Controller = require('../../controller');
+const { describe } = require('./describe');
+const EXAMPLES = require('../../examples');
+const OPTIONS = require('../../../options');
+
+const COMMAND = `functions operations wait ${'<operationId>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Waits for an operation to finish and shows its details.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION}
+
+Positional arguments:
+  ${'operationId'.bold}
+    The ID of the operation, as printed by ${'functions operations list'.bold}.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'wait <operationId>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.merge(_.pick(OPTIONS, ['host', 'restPort']), {
+      timeout: {
+        alias: 't',
+        default: 60,
+        description: 'How long to wait for the operation to finish, in seconds.',
+        requiresArg: true,
+        type: 'number'
+      }
+    }));
+
+  EXAMPLES['operations.wait'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.waitOperation(opts.operationId, opts))
+    .then((operation) => {
+      controller.log(describe(operation));
+      if (!operation.done) {
+        controller.log(`Operation is still running after ${opts.timeout} seconds.`.yellow);
+      }
+    })
+    .catch((err) => controller.handleError(err));
+};
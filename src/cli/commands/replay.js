@@ -0,0 +1,111 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+const fs = require('fs');
+
+const Controller = require('../controller');
+const diff = require('../../utils/diff');
+const EXAMPLES = require('../examples');
+const OPTIONS = require('../../options');
+
+const COMMAND = `functions replay ${'<file>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = `${'Emulator-specific:'.bold} Re-sends a recorded invocation to a function and compares the new response with the recorded one.`;
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION}
+
+  Invocations are recorded when the Emulator is started with the ${'recordDir'.bold} setting. The invocation is sent to the
+  current deployment of the function it was recorded for. Background functions are sent the ${'event'.bold} of the fixture.
+
+Positional arguments:
+  ${'file'.bold}
+    The path to a fixture file recorded by the Emulator.`;
+
+// Response headers that are expected to change between invocations
+const VOLATILE_HEADERS = /^(connection|content-length|date|etag|function-execution-id|keep-alive|transfer-encoding|x-emulator-.*)$/;
+
+/**
+ * Converts a response to the form in which responses are compared. JSON bodies
+ * are parsed so that differences are reported property by property.
+ *
+ * @param {object} response A response with "statusCode", "headers" and a
+ *     base64-encoded "body".
+ * @returns {object}
+ */
+function toComparable (response) {
+  let body = Buffer.from(response.body || '', 'base64').toString('utf8');
+  try {
+    body = JSON.parse(body);
+  } catch (err) {
+
+  }
+  return {
+    statusCode: response.statusCode,
+    headers: _.omitBy(response.headers, (value, name) => VOLATILE_HEADERS.test(name.toLowerCase())),
+    body
+  };
+}
+
+function format (value) {
+  return value === undefined ? '(missing)' : JSON.stringify(value);
+}
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'replay <file>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.pick(OPTIONS, ['host', 'supervisorPort']));
+
+  EXAMPLES['replay'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(opts.file, 'utf8'));
+  } catch (err) {
+    throw new Error(`"${opts.file}" is not a valid fixture file!`);
+  }
+
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.replay(fixture))
+    .then((response) => {
+      const differences = diff(toComparable(fixture.response), toComparable(response));
+      controller.log(`Replayed ${fixture.request.method} ${fixture.request.path} to ${fixture.function}: ${response.statusCode}`);
+      if (!differences.length) {
+        controller.log('The response matches the recording.'.green);
+        return;
+      }
+      controller.log(`The response differs from the recording in ${differences.length} place(s):`.red);
+      differences.forEach((difference) => {
+        controller.log(`  ${difference.path}`.bold);
+        controller.log(`    ${'-'.red} ${format(difference.expected)}`);
+        controller.log(`    ${'+'.green} ${format(difference.actual)}`);
+      });
+    })
+    .catch((err) => controller.handleError(err));
+};
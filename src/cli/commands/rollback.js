@@ -0,0 +1,80 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+
+const Controller = require('../controller');
+const describe = require('./describe').handler;
+const EXAMPLES = require('../examples');
+const OPTIONS = require('../../options');
+
+const COMMAND = `functions rollback ${'<functionName>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = `${'Emulator-specific:'.bold} Redeploys a previous version of a function.`;
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION}
+
+  The previous version's configuration and source are deployed as a new version of the function. Run
+  ${'functions versions list'.bold} to view the versions that can be redeployed.
+
+Positional arguments:
+  ${'functionName'.bold}
+    The name of the function to roll back.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'rollback <functionName>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.merge({
+      version: {
+        description: 'The version to redeploy. Defaults to the version before the current one.',
+        requiresArg: true,
+        type: 'number'
+      }
+    }, _.pick(OPTIONS, ['host', 'projectId', 'region', 'restPort', 'service'])));
+
+  EXAMPLES['rollback'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.rollback(opts.functionName, opts))
+    .then((operation) => {
+      controller.write('Rolling back function');
+      return controller.waitForOperation(operation)
+        .then((response) => {
+          controller.write('done.\n');
+          return response;
+        }, (err) => {
+          controller.write('failed.\n');
+          return Promise.reject(err);
+        });
+    })
+    .then((response) => controller.log(`Function ${opts.functionName} rolled back, deployed as version ${response.value.versionId}.`.green))
+    // Print the function details
+    .then(() => describe(opts))
+    .catch((err) => controller.handleError(err));
+};
@@ -37,12 +37,30 @@ Description:
   saved configuration settings.`;
 
 exports.options = [
+  'backgroundWork',
   'bindHost',
+  'cleanEnv',
+  'cloudEventMode',
+  'coldStart',
+  'concurrency',
+  'dependencyCacheDir',
   'host',
   'idlePruneInterval',
   'logFile',
+  'maxExecutions',
   'maxIdle',
+  'maxInstances',
+  'maxOperations',
+  'maxVersions',
+  'offline',
+  'readOnlyFs',
+  'recordDir',
   'restPort',
+  'retryBackoff',
+  'retryMaxAge',
+  'retryMaxAttempts',
+  'runtimes',
+  'stateDir',
   'storage',
   'supervisorPort',
   'tail',
@@ -0,0 +1,50 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const EXAMPLES = require('../../examples');
+
+const COMMAND = `functions versions ${'<command>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Shows the previously deployed versions of a function.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION} Run ${('functions versions ' + '<command>'.yellow + ' --help').bold} to print additional help for a command.
+
+  Each successful deployment of a function creates a new version. The Emulator keeps the ${'maxVersions'.bold} most
+  recent versions of each function, which can be redeployed with ${'functions rollback'.bold}.
+
+Positional arguments:
+  ${'command'.bold}
+    The ${'versions'.bold} command to execute.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'versions <command>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .demand(1)
+    .command(require('./list'));
+
+  EXAMPLES['versions'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = () => {};
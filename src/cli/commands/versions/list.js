@@ -0,0 +1,81 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('colors');
+
+const _ = require('lodash');
+const Table = require('cli-table3');
+
+const Controller = require('../../controller');
+const { CloudFunction } = require('../../../model');
+const EXAMPLES = require('../../examples');
+const OPTIONS = require('../../../options');
+
+const COMMAND = `functions versions list ${'<functionName>'.yellow} ${'[options]'.yellow}`;
+const DESCRIPTION = 'Lists the kept versions of a function, most recent first.';
+const USAGE = `Usage:
+  ${COMMAND.bold}
+
+Description:
+  ${DESCRIPTION} The most recent version is the one currently deployed.
+
+Positional arguments:
+  ${'functionName'.bold}
+    The name of the function whose versions to list.`;
+
+/**
+ * http://yargs.js.org/docs/#methods-commandmodule-providing-a-command-module
+ */
+exports.command = 'list <functionName>';
+exports.description = DESCRIPTION;
+exports.builder = (yargs) => {
+  yargs
+    .usage(USAGE)
+    .options(_.pick(OPTIONS, ['host', 'projectId', 'region', 'restPort']));
+
+  EXAMPLES['versions.list'].forEach((e) => yargs.example(e[0], e[1]));
+};
+exports.handler = (opts) => {
+  const controller = new Controller(opts);
+
+  return controller.doIfRunning()
+    .then(() => controller.listVersions(opts.functionName, opts))
+    .then((versions) => {
+      if (versions.length === 0) {
+        controller.log('No versions.');
+        return;
+      }
+
+      const table = new Table({
+        head: ['Version'.bold, 'Deployed'.bold, 'Entry Point'.bold, 'Memory'.bold, 'Source'.bold]
+      });
+
+      versions.forEach((version, i) => {
+        const cloudfunction = version.cloudfunction;
+        table.push([
+          i === 0 ? `${version.versionId} (current)`.green : version.versionId,
+          version.createTime,
+          cloudfunction.entryPoint || opts.functionName,
+          `${cloudfunction.availableMemoryMb} MB`,
+          CloudFunction.getArchive(cloudfunction) || CloudFunction.getLocaldir(cloudfunction) || cloudfunction.sourceArchiveUrl
+        ]);
+      });
+
+      controller.log(table.toString());
+    })
+    .catch((err) => controller.handleError(err));
+};
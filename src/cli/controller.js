@@ -34,29 +34,113 @@ require('colors');
 
 const _ = require('lodash');
 const AdmZip = require('adm-zip');
-const exec = require('child_process').exec;
 const fs = require('fs');
 const got = require('got');
 const path = require('path');
+const yaml = require('js-yaml');
 const spawn = require('child_process').spawn;
 const Storage = require('@google-cloud/storage');
+const url = require('url');
 
 const Client = require('../client');
 const config = require('../config');
 const Model = require('../model');
 const defaults = require('../defaults.json');
+const ignoreFiles = require('../utils/ignore');
 const logs = require('../emulator/logs');
 const pkg = require('../../package.json');
 const server = require('../server');
 
-const { CloudFunction } = Model;
+const { CloudFunction, Operation } = Model;
 
 const TIMEOUT_POLL_DECREMENT = 500;
+const ARCHIVE_REG_EXP = /(\.zip|\.tar\.gz|\.tgz)$/;
+// Production's limits on the size of uploaded source
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024;
+const MAX_UNCOMPRESSED_SIZE = 500 * 1024 * 1024;
+// Headers of a recorded request that are not re-sent when it is replayed
+const REPLAY_OMITTED_HEADERS = ['connection', 'content-length', 'function-execution-id', 'host', 'transfer-encoding'];
 const STATE = {
   STOPPED: 0,
   RUNNING: 1
 };
 
+function formatBytes (bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  } else if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Parses a list of environment variables given on the command line, e.g.
+ * "FOO=bar,BAZ=qux".
+ *
+ * @param {string} value The list.
+ * @returns {object} The environment variables, keyed by name.
+ */
+function parseEnvVars (value) {
+  const vars = {};
+  value.split(',').filter((pair) => pair).forEach((pair) => {
+    const index = pair.indexOf('=');
+    if (index < 1) {
+      throw new Error(`Invalid environment variable '${pair}'. Must be of the form KEY=VALUE.`);
+    }
+    vars[pair.substring(0, index)] = pair.substring(index + 1);
+  });
+  return vars;
+}
+
+/**
+ * Loads environment variables from a YAML file that maps names to values.
+ *
+ * @param {string} file The path of the file.
+ * @returns {object} The environment variables, keyed by name.
+ */
+function loadEnvVarsFile (file) {
+  const vars = yaml.safeLoad(fs.readFileSync(path.resolve(file), 'utf8')) || {};
+  if (!_.isPlainObject(vars)) {
+    throw new Error(`${file} must map the names of environment variables to their values.`);
+  }
+  _.forEach(vars, (value, key) => {
+    if (typeof value !== 'string') {
+      throw new Error(`The value of environment variable ${key} in ${file} must be a string. Quote it, e.g. ${key}: "${value}".`);
+    }
+  });
+  return vars;
+}
+
+/**
+ * Whether a local directory is a git repository, either a working tree or a
+ * bare repository.
+ *
+ * @param {string} dirName The directory.
+ * @returns {boolean}
+ */
+function isGitRepository (dirName) {
+  return fs.existsSync(path.join(dirName, '.git')) ||
+    (fs.existsSync(path.join(dirName, 'HEAD')) && fs.existsSync(path.join(dirName, 'objects')));
+}
+
+/**
+ * Whether an "http(s)://" source is a git repository rather than an archive.
+ *
+ * @param {string} source The URL of the source.
+ * @returns {boolean}
+ */
+function isSourceRepositoryUrl (source) {
+  const parsed = url.parse(source);
+  if (ARCHIVE_REG_EXP.test(parsed.pathname)) {
+    return false;
+  }
+  const parts = CloudFunction.parseSourceRepositoryUrl(source);
+  return parsed.hostname === 'source.developers.google.com' ||
+    /\.git$/.test(parts.repository) ||
+    parts.repository !== source.replace(/\/$/, '');
+}
+
 class Controller {
   constructor (opts = {}) {
     if (!(this instanceof Controller)) {
@@ -92,113 +176,137 @@ class Controller {
    * @returns {Promise}
    */
   _createArchive (cloudfunction, opts) {
-    const name = cloudfunction.shortName;
-    let sourceArchiveUrl;
-
     opts.source = path.resolve(opts.source);
 
-    let pathForCmd = opts.source;
-
-    if (process.platform === 'win32') {
-      // See https://github.com/GoogleCloudPlatform/cloud-functions-emulator/issues/34
-      pathForCmd = opts.source.replace(/\\/g, '/');
-    }
-
     if (!fs.existsSync(opts.source)) {
       throw new Error('Provided directory does not exist.');
     }
 
+    // The Emulator checks that the function loads and exports its entry point
+    // when it deploys the archive
     return this.client.generateUploadUrl(this.config)
       .then(([body]) => {
         cloudfunction.sourceUploadUrl = body.uploadUrl;
         CloudFunction.addLocaldir(cloudfunction, opts.source);
 
-        return new Promise((resolve, reject) => {
-          // Parse the user's code to find the names of the exported functions
-          if (opts.firebase) {
-            // If call is coming from Firebase, assume functions have already been parsed
-            return resolve(name);
-          }
-          exec(`node -e "console.log(JSON.stringify(Object.keys(require('${pathForCmd}') || {}))); setTimeout(function() { process.exit(0); }, 100);"`, (err, stdout, stderr) => {
-            if (err) {
-              this.error(`${'ERROR'.red}: Function load error: Code could not be loaded.`);
-              this.error(`${'ERROR'.red}: Does the file exists? Is there a syntax error in your code?`);
-              this.error(`${'ERROR'.red}: Detailed stack trace: ${stderr || err.stack}`);
-              reject(new Error('Failed to deploy function.'));
-            } else {
-              resolve(stdout.toString().trim());
-            }
-          });
-        });
-      })
-      .then((exportedKeys) => {
-        // TODO: Move this check to the Emulator during unpacking
-        // TODO: Make "index.js" dynamic
-        if (!exportedKeys.includes(opts.entryPoint) && !exportedKeys.includes(name)) {
-          throw new Error(`Node.js module defined by file index.js is expected to export function named ${opts.entryPoint || name}`);
-        }
-
         const zip = new AdmZip();
 
-        const files = fs.readdirSync(opts.source);
-        files.forEach((entry) => {
-          if (entry === 'node_modules') {
-            return false;
-          }
-          const entryPath = path.join(opts.source, entry);
-          const stats = fs.statSync(entryPath);
-
-          if (stats.isDirectory()) {
-            zip.addLocalFolder(entryPath);
-          } else if (stats.isFile()) {
-            zip.addLocalFile(entryPath);
-          }
+        // Leave out the files that gcloud would not upload
+        const ignore = ignoreFiles.loadIgnoreFile(opts.source, opts.ignoreFile);
+        if (ignore.file) {
+          this.log(`Ignoring files listed in ${ignore.file}`);
+        }
+        const files = ignoreFiles.listFiles(opts.source, ignore.patterns);
+        let size = 0;
+        files.forEach((file) => {
+          const dirName = path.posix.dirname(file);
+          zip.addLocalFile(path.join(opts.source, file), dirName === '.' ? '' : dirName);
+          size += fs.statSync(path.join(opts.source, file)).size;
         });
 
         const tmpName = CloudFunction.getArchive(cloudfunction);
         // Copy the function code to a temp directory on the local file system
-        let logStr = `file://${tmpName}`;
-        if (opts.stageBucket) {
-          logStr += ` [Content-Type=application/zip]`;
-        }
-        this.log(`Copying ${logStr}...`);
-        if (!this.config.tail) {
-          process.stdout.write('Waiting for operation to finish...');
-        }
-
         zip.writeZip(tmpName);
 
-        return new Promise((resolve, reject) => {
-          if (opts.stageBucket) {
-            // Upload the function code to a Google Cloud Storage bucket
-            const storage = Storage({ projectId: this.config.projectId });
-
-            const file = storage.bucket(opts.stageBucket).file(path.parse(tmpName).base);
-            // The GCS Uri where the .zip will be saved
-            sourceArchiveUrl = `gs://${file.bucket.name}/${file.name}`;
-
-            // Stream the file up to Cloud Storage
-            const options = {
-              metadata: {
-                contentType: 'application/zip'
-              }
-            };
-            fs.createReadStream(tmpName)
-              .pipe(file.createWriteStream(options))
-              .on('error', reject)
-              .on('finish', () => {
-                this.log('done.');
-                resolve(sourceArchiveUrl);
-              });
-          } else {
-            sourceArchiveUrl = `file://${tmpName}`;
+        const archiveSize = fs.statSync(tmpName).size;
+        this.log(`Packaged ${files.length} file${files.length === 1 ? '' : 's'} (${formatBytes(size)} uncompressed, ${formatBytes(archiveSize)} compressed).`);
+        this._checkArchiveSize(archiveSize, size);
+
+        return this._stageArchive(tmpName, 'application/zip', opts);
+      });
+  }
+
+  /**
+   * Warns when source would be rejected by production for being too large.
+   *
+   * @param {number} archiveSize The size of the archive, in bytes.
+   * @param {number} [size] The uncompressed size of the source, in bytes.
+   */
+  _checkArchiveSize (archiveSize, size) {
+    if (archiveSize > MAX_ARCHIVE_SIZE) {
+      this.error(`${'WARNING'.yellow}: The archive is larger than the ${formatBytes(MAX_ARCHIVE_SIZE)} that production accepts for uploaded source. Add files to .gcloudignore to leave them out.`);
+    }
+    if (size > MAX_UNCOMPRESSED_SIZE) {
+      this.error(`${'WARNING'.yellow}: The source is larger than the ${formatBytes(MAX_UNCOMPRESSED_SIZE)} that production accepts uncompressed. Add files to .gcloudignore to leave them out.`);
+    }
+  }
+
+  /**
+   * Copies a local .zip or .tar.gz file to where the Emulator unpacks
+   * uploaded archives.
+   *
+   * @param {object} cloudfunction The function being deployed.
+   * @param {string} archive The path of the archive.
+   * @param {object} opts Configuration options.
+   * @returns {Promise} Resolves with the "sourceArchiveUrl" of the function.
+   */
+  _copyArchive (cloudfunction, archive, opts) {
+    const matches = archive.match(ARCHIVE_REG_EXP);
+    if (!matches) {
+      return Promise.reject(new Error('Provided file is not a .zip or .tar.gz archive.'));
+    }
+
+    return this.client.generateUploadUrl(this.config)
+      .then(([body]) => {
+        cloudfunction.sourceUploadUrl = body.uploadUrl;
+        const tmpName = CloudFunction.getArchive(cloudfunction);
+        fs.writeFileSync(tmpName, fs.readFileSync(archive));
+        this._checkArchiveSize(fs.statSync(tmpName).size);
+
+        return this._stageArchive(tmpName, matches[1] === '.zip' ? 'application/zip' : 'application/gzip', opts);
+      });
+  }
+
+  /**
+   * Uploads an archive to the stage bucket, if any, and otherwise leaves it
+   * on the local file system.
+   *
+   * @param {string} tmpName The path of the archive.
+   * @param {string} contentType The content type of the archive.
+   * @param {object} opts Configuration options.
+   * @returns {Promise} Resolves with the "sourceArchiveUrl" of the function.
+   */
+  _stageArchive (tmpName, contentType, opts) {
+    let sourceArchiveUrl;
+    let logStr = `file://${tmpName}`;
+    if (opts.stageBucket) {
+      logStr += ` [Content-Type=${contentType}]`;
+    }
+    this.log(`Copying ${logStr}...`);
+    if (!this.config.tail) {
+      process.stdout.write('Waiting for operation to finish...');
+    }
+
+    return new Promise((resolve, reject) => {
+      if (opts.stageBucket) {
+        // Upload the function code to a Google Cloud Storage bucket
+        const storage = Storage({ projectId: this.config.projectId });
+
+        const file = storage.bucket(opts.stageBucket).file(path.parse(tmpName).base);
+        // The GCS Uri where the archive will be saved
+        sourceArchiveUrl = `gs://${file.bucket.name}/${file.name}`;
+
+        // Stream the file up to Cloud Storage
+        const options = {
+          metadata: {
+            contentType
+          }
+        };
+        fs.createReadStream(tmpName)
+          .pipe(file.createWriteStream(options))
+          .on('error', reject)
+          .on('finish', () => {
             this.log('done.');
-            // Technically, this needs to be a GCS Uri, but the emulator will know
-            // how to interpret a path on the local file system
             resolve(sourceArchiveUrl);
-          }
-        });
-      });
+          });
+      } else {
+        sourceArchiveUrl = `file://${tmpName}`;
+        this.log('done.');
+        // Technically, this needs to be a GCS Uri, but the emulator will know
+        // how to interpret a path on the local file system
+        resolve(sourceArchiveUrl);
+      }
+    });
   }
 
   /**
@@ -260,27 +368,53 @@ class Controller {
    *
    * @param {string} name The name of the function to call.
    * @param {object} data The data to send to the function.
-   * @param {object} opts Optional event fields to send to the function.
+   * @param {object} opts Optional event fields to send to the function, or a
+   *     "cloudEvent" to send instead of the data.
    */
   call (name, data, opts) {
     return this.client.callFunction(name, data, opts);
   }
 
   /**
-   * Undeploys all functions.
+   * Cancels a pending operation.
+   *
+   * @param {string} name The name or ID of the operation.
+   * @returns {Promise}
+   */
+  cancelOperation (name) {
+    return got.post(`http://${this.config.host}:${this.config.restPort}/v1/${this._formatOperationName(name)}:cancel`, {
+      json: true
+    })
+      .then((response) => response.body);
+  }
+
+  /**
+   * Undeploys all functions, in every project and region.
    *
    * @returns {Promise}
    */
   clear () {
-    return this.list()
-      .then((cloudfunctions) => Promise.all(cloudfunctions.map((cloudfunction) => this.undeploy(cloudfunction.shortName))));
+    return this.list({ projectId: '-', region: '-' })
+      .then((cloudfunctions) => Promise.all(cloudfunctions.map((cloudfunction) => this.undeploy(cloudfunction.name))));
   }
 
   clearLogs () {
     logs.clearLogs(this.config.logFile);
   }
 
-  _create (name, opts) {
+  _formatOperationName (name) {
+    return name.startsWith('operations/') ? name : Operation.formatName(name);
+  }
+
+  /**
+   * Builds the configuration of a function from the deploy options.
+   *
+   * @param {string} name The name of the function.
+   * @param {object} opts Configuration options.
+   * @param {boolean} [requireTrigger] Whether a trigger must be specified.
+   * @returns {Promise}
+   */
+  _buildFunction (name, opts, requireTrigger) {
     return new Promise((resolve, reject) => {
       const cloudfunction = new CloudFunction(CloudFunction.formatName(this.config.projectId, this.config.region, name));
 
@@ -292,17 +426,54 @@ class Controller {
         cloudfunction.entryPoint = opts.entryPoint;
       }
 
+      if (opts.memory) {
+        cloudfunction.availableMemoryMb = opts.memory;
+      }
+
+      if (opts.maxInstances) {
+        cloudfunction.maxInstances = opts.maxInstances;
+      }
+
+      if (opts.runtime) {
+        cloudfunction.runtime = opts.runtime;
+      }
+
+      if (opts.signatureType) {
+        cloudfunction.signatureType = opts.signatureType;
+      }
+
       if (!opts.source) {
         opts.source = process.cwd();
       }
 
-      if (opts.source.startsWith('https://')) {
-        throw new Error('"https://" source is not supported yet!');
-      } else if (opts.source.startsWith('gs://')) {
+      if (opts.source.startsWith('gs://')) {
         cloudfunction.setSourceArchiveUrl(opts.source);
         resolve(cloudfunction);
+      } else if (/^https?:\/\//.test(opts.source)) {
+        if (isSourceRepositoryUrl(opts.source)) {
+          cloudfunction.sourceRepository = { url: opts.source };
+        } else {
+          // The Emulator downloads the archive
+          cloudfunction.setSourceArchiveUrl(opts.source);
+        }
+        resolve(cloudfunction);
       } else {
-        return this._createArchive(cloudfunction, opts)
+        const isFileUrl = opts.source.startsWith('file://');
+        const source = isFileUrl ? decodeURIComponent(url.parse(opts.source).pathname) : path.resolve(opts.source);
+        const stats = fs.existsSync(source) ? fs.statSync(source) : null;
+        const repository = CloudFunction.parseSourceRepositoryUrl(source).repository;
+
+        if ((stats && stats.isDirectory() && isFileUrl && isGitRepository(source)) ||
+            (!stats && repository !== source && isGitRepository(repository))) {
+          // A directory is deployed as is, unless it is given as a "file://"
+          // URL or with a branch, tag, commit or path of the repository
+          cloudfunction.sourceRepository = { url: `file://${source}` };
+          resolve(cloudfunction);
+          return;
+        }
+
+        opts.source = source;
+        return (stats && stats.isFile() ? this._copyArchive(cloudfunction, source, opts) : this._createArchive(cloudfunction, opts))
           .then((sourceArchiveUrl) => {
             cloudfunction.setSourceArchiveUrl(sourceArchiveUrl);
             return cloudfunction;
@@ -346,14 +517,73 @@ class Controller {
           if (opts.triggerResource || opts.resource) {
             cloudfunction.eventTrigger.resource = opts.triggerResource || opts.resource;
           }
-        } else {
+        } else if (requireTrigger) {
           throw new Error('You must specify a trigger provider!');
         }
 
+        if (opts.retry) {
+          if (!cloudfunction.eventTrigger) {
+            throw new Error('--retry is only supported for event-triggered functions.');
+          }
+          cloudfunction.eventTrigger.failurePolicy = { retry: {} };
+        }
+
+        return cloudfunction;
+      });
+  }
+
+  /**
+   * Works out the environment variables of a function from the deploy options.
+   * "--set-env-vars" and "--env-vars-file" replace the function's variables,
+   * while "--update-env-vars" and "--remove-env-vars" change them.
+   *
+   * @param {object} opts Configuration options.
+   * @param {object} [current] The variables of the deployed function.
+   * @returns {object} The variables, or undefined if the options leave them
+   *     unchanged.
+   */
+  _buildEnvironmentVariables (opts, current = {}) {
+    let vars;
+    if (opts.envVarsFile) {
+      vars = loadEnvVarsFile(opts.envVarsFile);
+    } else if (opts.setEnvVars) {
+      vars = parseEnvVars(opts.setEnvVars);
+    } else if (opts.updateEnvVars || opts.removeEnvVars) {
+      vars = _.assign({}, current, parseEnvVars(opts.updateEnvVars || ''));
+      (opts.removeEnvVars || '').split(',').forEach((key) => {
+        delete vars[key];
+      });
+    }
+    return vars;
+  }
+
+  _create (name, opts) {
+    return this._buildFunction(name, opts, true)
+      .then((cloudfunction) => {
+        cloudfunction.environmentVariables = this._buildEnvironmentVariables(opts);
         return this.client.createFunction(cloudfunction);
       });
   }
 
+  _update (name, opts, current) {
+    return this._buildFunction(name, opts, false)
+      .then((cloudfunction) => {
+        cloudfunction.environmentVariables = this._buildEnvironmentVariables(opts, current.environmentVariables);
+
+        // Options that weren't given keep their deployed values, except that
+        // the new source always replaces the old one
+        const updateMask = _.union(
+          ['sourceArchiveUrl', 'sourceRepository', 'sourceUploadUrl'],
+          Object.keys(cloudfunction).filter((key) => key !== 'name' && cloudfunction[key] !== undefined)
+        );
+        // A new trigger replaces the old one, whatever its type
+        if (cloudfunction.httpsTrigger || cloudfunction.eventTrigger) {
+          updateMask.push(cloudfunction.httpsTrigger ? 'eventTrigger' : 'httpsTrigger');
+        }
+        return this.client.updateFunction(cloudfunction, updateMask.join(','));
+      });
+  }
+
   /**
    * Enables debugging via --debug or --inspect for the specified function.
    *
@@ -380,7 +610,8 @@ class Controller {
   }
 
   /**
-   * Deploys a function.
+   * Deploys a function. A function that is already deployed is updated in
+   * place, so its previous version keeps serving until the new one is ready.
    *
    * @param {string} name Intended name of the new function.
    * @param {object} opts Configuration options.
@@ -388,7 +619,7 @@ class Controller {
   deploy (name, opts) {
     return this.client.getFunction(name)
       .then(
-        () => this.undeploy(name).then(() => this._create(name, opts)),
+        ([current]) => this._update(name, opts, current),
         (err) => {
           if (err.code === 404 || err.code === 5) {
             return this._create(name, opts);
@@ -448,22 +679,42 @@ class Controller {
   }
 
   /**
-   * Writes lines from the Emulator log file in FIFO order.
-   * Lines are taken from the end of the file according to the limit argument.
-   * That is, when limit is 10 will return the last (most recent) 10 lines from
-   * the log (or fewer if there are fewer than 10 lines in the log), in the order
-   * they were written to the log.
+   * Gets the record of a function execution.
    *
-   * @param {integer} limit The maximum number of lines to write
+   * @param {string} executionId The ID of the execution.
+   * @returns {Promise}
    */
-  getLogs (limit) {
-    if (!limit) {
-      limit = 20;
-    }
+  getExecution (executionId) {
+    return got(`http://${this.config.host}:${this.config.restPort}/v1/executions/${executionId}`, {
+      json: true
+    })
+      .then((response) => response.body);
+  }
 
-    logs.readLogLines(this.config.logFile, limit, (val) => {
-      this.write(val);
-    });
+  /**
+   * Gets an operation.
+   *
+   * @param {string} name The name or ID of the operation.
+   * @returns {Promise}
+   */
+  getOperation (name) {
+    return got(`http://${this.config.host}:${this.config.restPort}/v1/${this._formatOperationName(name)}`, {
+      json: true
+    })
+      .then((response) => response.body);
+  }
+
+  /**
+   * Reads entries from the Emulator log file in FIFO order. Entries are taken
+   * from the end of the log according to the limit option. That is, when limit
+   * is 10 will return the last (most recent) 10 matching entries from the log
+   * (or fewer if there are fewer than 10), in the order they were logged.
+   *
+   * @param {object} [opts] Optional filters, see logs.readLogEntries.
+   * @returns {Promise}
+   */
+  getLogs (opts = {}) {
+    return logs.readLogEntries(this.config.logFile, _.assign({ limit: 20 }, opts));
   }
 
   handleError (err) {
@@ -513,12 +764,113 @@ class Controller {
   }
 
   /**
-   * Lists functions.
+   * Lists functions, reading every page of results.
    *
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.projectId] The project to list functions from, or
+   *     '-' for all projects. Defaults to the configured project.
+   * @param {string} [opts.region] The region to list functions from, or '-'
+   *     for all regions. Defaults to the configured region.
    * @returns {Promise}
    */
-  list () {
-    return this.client.listFunctions().then(([cloudfunctions]) => cloudfunctions);
+  list (opts = {}) {
+    const cloudfunctions = [];
+    const listPage = (pageToken) => {
+      return this.client.listFunctions(_.assign({}, opts, { pageToken }))
+        .then(([page, nextPageToken]) => {
+          cloudfunctions.push(...page);
+          return nextPageToken ? listPage(nextPageToken) : cloudfunctions;
+        });
+    };
+    return listPage();
+  }
+
+  /**
+   * Lists the records of recent function executions.
+   *
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.function] Only list the executions of this function.
+   * @param {string} [opts.status] Only list executions with this status.
+   * @param {number} [opts.limit] Only list this many of the most recent
+   *     executions.
+   * @returns {Promise}
+   */
+  listExecutions (opts = {}) {
+    const query = _.pickBy({
+      status: opts.status,
+      limit: opts.limit
+    });
+    if (opts.function) {
+      query.function = CloudFunction.formatName(this.config.projectId, opts.region || this.config.region, opts.function);
+    }
+    return got(`http://${this.config.host}:${this.config.restPort}/v1/executions`, {
+      json: true,
+      query
+    })
+      .then((response) => response.body.executions);
+  }
+
+  /**
+   * Lists the events that could not be delivered to functions.
+   *
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.function] Only list the dead letters of this
+   *     function.
+   * @returns {Promise}
+   */
+  listDeadLetters (opts = {}) {
+    const query = {};
+    if (opts.function) {
+      query.function = CloudFunction.formatName(this.config.projectId, opts.region || this.config.region, opts.function);
+    }
+    return got(`http://${this.config.host}:${this.config.restPort}/v1/deadLetters`, {
+      json: true,
+      query
+    })
+      .then((response) => response.body.deadLetters);
+  }
+
+  /**
+   * Lists operations, least recently updated first.
+   *
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.function] Only list the operations of this function.
+   * @param {boolean} [opts.done] Only list finished (true) or pending (false)
+   *     operations.
+   * @param {number} [opts.limit] Only list this many of the most recent
+   *     operations.
+   * @returns {Promise}
+   */
+  listOperations (opts = {}) {
+    const query = _.pickBy({
+      limit: opts.limit
+    });
+    if (typeof opts.done === 'boolean') {
+      query.done = `${opts.done}`;
+    }
+    if (opts.function) {
+      query.function = CloudFunction.formatName(this.config.projectId, opts.region || this.config.region, opts.function);
+    }
+    return got(`http://${this.config.host}:${this.config.restPort}/v1/operations`, {
+      json: true,
+      query
+    })
+      .then((response) => response.body.operations);
+  }
+
+  /**
+   * Lists the kept versions of a function, most recent first.
+   *
+   * @param {string} name The name of the function.
+   * @param {object} [opts] Configuration options.
+   * @returns {Promise}
+   */
+  listVersions (name, opts = {}) {
+    const functionName = CloudFunction.formatName(this.config.projectId, opts.region || this.config.region, name);
+    return got(`http://${this.config.host}:${this.config.restPort}/v1/${functionName}/versions`, {
+      json: true
+    })
+      .then((response) => response.body.versions);
   }
 
   /**
@@ -531,21 +883,22 @@ class Controller {
   }
 
   /**
-   * Undeploys any functions that no longer exist at their specified path.
+   * Undeploys any functions, in every project and region, that no longer
+   * exist at their specified path.
    *
    * @returns {Promise}
    */
   prune () {
     let tasks;
 
-    return this.list()
+    return this.list({ projectId: '-', region: '-' })
       .then((cloudfunctions) => {
         tasks = cloudfunctions.map((cloudfunction) => {
           try {
             fs.statSync(CloudFunction.getLocaldir(cloudfunction));
             // Don't return anything
           } catch (err) {
-            return this.undeploy(cloudfunction.shortName);
+            return this.undeploy(cloudfunction.name);
           }
         }).filter((task) => task);
 
@@ -554,6 +907,56 @@ class Controller {
       .then(() => tasks.length);
   }
 
+  /**
+   * Redelivers the event of a dead letter to its function.
+   *
+   * @param {string} id The ID of the dead letter to replay.
+   * @returns {Promise}
+   */
+  replayDeadLetter (id) {
+    return got.post(`http://${this.config.host}:${this.config.restPort}/v1/deadLetters/${id}:replay`, {
+      body: {},
+      json: true
+    })
+      .then((response) => response.body);
+  }
+
+  /**
+   * Re-sends a recorded invocation to the current deployment of its function.
+   * Background functions are sent the fixture's event, so it can be edited
+   * before replaying it.
+   *
+   * @param {object} fixture A fixture recorded by the Supervisor.
+   * @returns {Promise} Resolves with the new response, in the same form as the
+   *     fixture's recorded response.
+   */
+  replay (fixture) {
+    const parts = CloudFunction.parseName(fixture.function);
+    const request = fixture.request;
+    let body = Buffer.from(request.body || '', 'base64');
+    if (fixture.event) {
+      body = Buffer.from(JSON.stringify(fixture.event));
+    }
+
+    return got(`http://${this.config.host}:${this.config.supervisorPort}/${parts.project}/${parts.location}/${parts.name}${request.path}`, {
+      method: request.method,
+      headers: _.omit(request.headers, REPLAY_OMITTED_HEADERS),
+      body: body.length ? body : undefined,
+      encoding: null,
+      decompress: false,
+      followRedirect: false,
+      retry: 0,
+      throwHttpErrors: false
+    })
+      .then((response) => {
+        return {
+          statusCode: response.statusCode,
+          headers: response.headers,
+          body: response.body.toString('base64')
+        };
+      });
+  }
+
   /**
    * Resets a function's worker process.
    *
@@ -573,6 +976,26 @@ class Controller {
       });
   }
 
+  /**
+   * Redeploys a previous version of a function.
+   *
+   * @param {string} name The name of the function.
+   * @param {object} [opts] Configuration options.
+   * @param {number} [opts.version] The version to roll back to. Defaults to
+   *     the version before the current one.
+   * @returns {Promise} Resolves with the rollback's operation.
+   */
+  rollback (name, opts = {}) {
+    const functionName = CloudFunction.formatName(this.config.projectId, opts.region || this.config.region, name);
+    return got.post(`http://${this.config.host}:${this.config.restPort}/v1/${functionName}:rollback`, {
+      body: {
+        versionId: opts.version
+      },
+      json: true
+    })
+      .then((response) => response.body);
+  }
+
   /**
    * Starts the Emulator.
    *
@@ -604,21 +1027,43 @@ class Controller {
         // Communication to the detached process is then done via HTTP
         const args = [
           CWD,
+          `--backgroundWork=${this.config.backgroundWork}`,
           `--bindHost=${this.config.bindHost}`,
+          `--cleanEnv=${this.config.cleanEnv}`,
+          `--cloudEventMode=${this.config.cloudEventMode}`,
           `--host=${this.config.host}`,
           `--timeout=${this.config.timeout}`,
           `--verbose=${this.config.verbose}`,
           `--useMocks=${this.config.useMocks}`,
           `--logFile=${this.config.logFile}`,
+          `--recordDir=${this.config.recordDir ? path.resolve(this.config.recordDir) : ''}`,
           `--restPort=${this.config.restPort}`,
+          `--retryBackoff=${this.config.retryBackoff}`,
+          `--retryMaxAge=${this.config.retryMaxAge}`,
+          `--retryMaxAttempts=${this.config.retryMaxAttempts}`,
+          `--runtimes=${JSON.stringify(this.config.runtimes || {})}`,
+          `--storage=${this.config.storage}`,
           `--supervisorPort=${this.config.supervisorPort}`,
           `--tail=${this.config.tail}`,
+          `--maxExecutions=${this.config.maxExecutions}`,
           `--maxIdle=${this.config.maxIdle}`,
+          `--maxInstances=${this.config.maxInstances}`,
+          `--maxOperations=${this.config.maxOperations}`,
+          `--maxVersions=${this.config.maxVersions}`,
+          `--dependencyCacheDir=${this.config.dependencyCacheDir ? path.resolve(this.config.dependencyCacheDir) : ''}`,
+          `--offline=${this.config.offline}`,
+          `--readOnlyFs=${this.config.readOnlyFs}`,
+          `--concurrency=${this.config.concurrency}`,
+          `--coldStart=${this.config.coldStart}`,
           `--idlePruneInterval=${this.config.idlePruneInterval}`,
           `--watch=${this.config.watch}`,
           `--watchIgnore=${this.config.watchIgnore}`
         ];
 
+        if (this.config.stateDir) {
+          args.push(`--stateDir=${path.resolve(this.config.stateDir)}`);
+        }
+
         // Make sure the child is detached, otherwise it will be bound to the
         // lifecycle of the parent process. This means we should also ignore the
         // binding of stdout.
@@ -723,13 +1168,60 @@ class Controller {
   /**
    * Undeploys a function.
    *
-   * @param {string} name The name of the function to delete.
+   * @param {string} name The name of the function to delete, or its full
+   *     name if it is outside the configured project and region.
    * @returns {Promise}
    */
   undeploy (name) {
     return this.client.deleteFunction(name);
   }
 
+  /**
+   * Waits for an operation to finish.
+   *
+   * @param {string} name The name or ID of the operation.
+   * @param {object} [opts] Configuration options.
+   * @param {number} [opts.timeout] How long to wait, in seconds.
+   * @returns {Promise} Resolves with the operation, which is still pending if
+   *     the timeout elapsed first.
+   */
+  waitOperation (name, opts = {}) {
+    return got.post(`http://${this.config.host}:${this.config.restPort}/v1/${this._formatOperationName(name)}:wait`, {
+      body: _.pickBy({
+        timeout: opts.timeout ? `${opts.timeout}s` : undefined
+      }),
+      json: true
+    })
+      .then((response) => response.body);
+  }
+
+  /**
+   * Polls an operation until it is done, writing a dot to stdout each time.
+   *
+   * @param {object} operation The operation.
+   * @returns {Promise} Resolves with the operation's response, or rejects with
+   *     its error.
+   */
+  waitForOperation (operation) {
+    return new Promise((resolve, reject) => {
+      const poll = () => {
+        this.write('.');
+        this.client.getOperation(operation.name)
+          .then(([operation]) => {
+            if (!operation.done) {
+              setTimeout(poll, 500);
+            } else if (operation.response) {
+              resolve(operation.response);
+            } else {
+              reject(operation.error || new Error('Deployment failed'));
+            }
+          }, reject);
+      };
+
+      poll();
+    });
+  }
+
   /**
    * Writes to stdout.
    */
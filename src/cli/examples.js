@@ -21,7 +21,8 @@ exports.call = [
   ['functions call helloWorld', 'Invokes the helloWorld function with no data.'],
   [`functions call helloWorld --data='{"foo":"bar"}'`, 'LINUX/MAC: Invokes the helloWorld function, passing it inline JSON.'],
   [`functions call helloWorld --data={\"foo\":\"bar\"}`, 'WINDOWS: Invokes the helloWorld function, passing it inline JSON.'], // eslint-disable-line
-  ['functions call helloWorld --file=/path/to/datafile.json', 'Invokes the helloWorld function, passing it a path to a JSON file.']
+  ['functions call helloWorld --file=/path/to/datafile.json', 'Invokes the helloWorld function, passing it a path to a JSON file.'],
+  [`functions call helloPubSub --cloud-event='{"type":"google.cloud.pubsub.topic.v1.messagePublished","source":"//pubsub.googleapis.com/projects/my-project/topics/my-topic","data":{"message":{"data":"aGk="}}}'`, 'LINUX/MAC: Sends a CloudEvent to the helloPubSub function.']
 ];
 
 exports.clear = [];
@@ -37,7 +38,17 @@ exports['config.list'] = [
 ];
 
 exports['config.set'] = [
-  ['functions config set projectId my-project', `Sets ${'projectId'.bold} to ${'my-project'.bold}.`]
+  ['functions config set projectId my-project', `Sets ${'projectId'.bold} to ${'my-project'.bold}.`],
+  [`functions config set runtimes '{"nodejs8": "/usr/local/bin/node8"}'`, `Runs functions deployed with ${'--runtime=nodejs8'.bold} with ${'/usr/local/bin/node8'.bold}.`]
+];
+
+exports['dead-letters.list'] = [
+  ['functions dead-letters list', 'Lists every event that could not be delivered.'],
+  ['functions dead-letters list --function=helloPubSub', 'Lists the events that could not be delivered to the helloPubSub function.']
+];
+
+exports['dead-letters.replay'] = [
+  ['functions dead-letters replay 4c2c8fc2-9f3c-4f0e-9b1a-2d5c3d1f0e7a', 'Redelivers the event of the given dead letter.']
 ];
 
 exports.debug = [];
@@ -49,9 +60,20 @@ exports.delete = [
 exports.deploy = [
   ['cd /path/to/src; functions deploy helloWorld --trigger-http'],
   ['functions deploy helloWorld --source=/path/to/src --trigger-http'],
+  ['functions deploy helloWorld --source=/path/to/src.tar.gz --trigger-http'],
+  ['functions deploy helloWorld --source=/path/to/src --ignore-file=.deployignore --trigger-http'],
+  ['functions deploy helloWorld --source=file:///path/to/repo/moveable-aliases/master/paths/src --trigger-http'],
+  ['functions deploy helloWorld --source=https://example.com/src.zip --trigger-http'],
   ['functions deploy testHelloWorld -S=/path/to/src --entry-point=helloWorld --trigger-http'],
   ['cd /path/to/src; functions deploy helloGCS --trigger-bucket=my-bucket'],
-  ['functions deploy helloPubSub -S=/path/to/src --trigger-topic=my-topic']
+  ['functions deploy helloPubSub -S=/path/to/src --trigger-topic=my-topic'],
+  ['functions deploy helloPubSub -S=/path/to/src --trigger-topic=my-topic --retry'],
+  ['functions deploy helloPubSub -S=/path/to/src --trigger-topic=my-topic --signature-type=context'],
+  ['functions deploy helloPubSub -S=/path/to/src --trigger-topic=my-topic --signature-type=cloudevent'],
+  ['functions deploy helloWorld --trigger-http --memory=128MB'],
+  ['functions deploy helloWorld --trigger-http --runtime=nodejs8'],
+  ['functions deploy helloWorld --trigger-http --set-env-vars=FOO=bar,BAZ=qux'],
+  ['functions deploy helloWorld --trigger-http --env-vars-file=.env.yaml']
 ];
 
 exports.describe = [
@@ -60,8 +82,44 @@ exports.describe = [
 
 exports['event-types.list'] = [];
 
+exports['executions.describe'] = [
+  ['functions executions describe 4c2c8fc2-9f3c-4f0e-9b1a-2d5c3d1f0e7a', 'Shows the record of the given execution.']
+];
+
+exports['executions.list'] = [
+  ['functions executions list', 'Lists the 20 most recent executions.'],
+  ['functions executions list --function=helloWorld --status=error', 'Lists the recent executions of the helloWorld function that failed.']
+];
+
 exports.inspect = [];
 
+exports.list = [
+  ['functions list', 'Lists the functions deployed to the configured project and region.'],
+  ['functions list --region=-', 'Lists the functions deployed to every region of the configured project.'],
+  ['functions list --project=- --region=-', 'Lists every deployed function.']
+];
+
+exports['operations.cancel'] = [
+  ['functions operations cancel 0bb4ffa8-ec51-4f5a-b1b6-a8d40c7b0a9f', 'Stops the given deployment.']
+];
+
+exports['operations.describe'] = [
+  ['functions operations describe 0bb4ffa8-ec51-4f5a-b1b6-a8d40c7b0a9f', 'Shows the details of the given operation.']
+];
+
+exports['operations.list'] = [
+  ['functions operations list', 'Lists the 20 most recently updated operations.'],
+  ['functions operations list --function=helloWorld --no-done', 'Lists the pending operations of the helloWorld function.']
+];
+
+exports['operations.wait'] = [
+  ['functions operations wait 0bb4ffa8-ec51-4f5a-b1b6-a8d40c7b0a9f --timeout=120', 'Waits up to 2 minutes for the given operation to finish.']
+];
+
+exports.replay = [
+  ['functions replay fixtures/helloWorld-3b5f2c1e.json', 'Re-sends a recorded invocation to the helloWorld function and compares the responses.']
+];
+
 exports.reset = [
   ['functions reset helloWorld', `Reset the helloWorld function's worker process.`],
   ['functions reset helloWorld --keep', `Reset the helloWorld function's worker process, but keep its debugging settings, if any.`]
@@ -69,18 +127,37 @@ exports.reset = [
 
 exports.restart = [];
 
+exports.rollback = [
+  ['functions rollback helloWorld', 'Redeploys the version of the helloWorld function before the current one.'],
+  ['functions rollback helloWorld --version=3', 'Redeploys version 3 of the helloWorld function.']
+];
+
 exports.start = [];
 
 exports.status = [];
 
 exports.stop = [];
 
+exports['versions.list'] = [
+  ['functions versions list helloWorld', 'Lists the kept versions of the helloWorld function.']
+];
+
 exports['logs.read'] = [
-  ['functions logs read --limit=10', 'Display the most recent 10 lines from the logs']
+  ['functions logs read --limit=10', 'Display the most recent 10 entries from the logs'],
+  ['functions logs read helloWorld --min-log-level=error', 'Display the errors logged by the helloWorld function'],
+  ['functions logs read --execution-id=6f1e4c0a-5b4a-4c1b-9b8e-0d4b8f2e7a11', 'Display the entries logged during a single execution'],
+  ['functions logs read --start-time=2018-01-01T10:00:00Z --end-time=2018-01-01T11:00:00Z', 'Display the entries logged between 10am and 11am UTC']
 ];
 
 exports['logs.clear'] = [];
 
 exports.config = exports['config.list'].concat(exports['config.set']);
+exports['dead-letters'] = exports['dead-letters.list'].concat(exports['dead-letters.replay']);
 exports['event-types'] = exports['event-types.list'];
+exports.executions = exports['executions.list'].concat(exports['executions.describe']);
 exports.logs = exports['logs.read'];
+exports.operations = exports['operations.list']
+  .concat(exports['operations.describe'])
+  .concat(exports['operations.wait'])
+  .concat(exports['operations.cancel']);
+exports.versions = exports['versions.list'];
@@ -54,7 +54,7 @@ function main (args) {
     .wrap(120);
 
   for (let key in EXAMPLES) {
-    if (key === 'config' || key === 'logs' || key === 'event-types') {
+    if (key === 'config' || key === 'dead-letters' || key === 'logs' || key === 'event-types' || key === 'executions' || key === 'operations' || key === 'versions') {
       continue;
     }
     EXAMPLES[key].forEach((e) => cli.example(e[0], e[1]));
@@ -86,7 +86,8 @@ class RestClient extends Client {
     return this._action(
       'projects.locations.functions.delete',
       {
-        name: CloudFunction.formatName(this.config.projectId, this.config.region, name)
+        // Full names address functions outside the configured project and region
+        name: name.startsWith('projects/') ? name : CloudFunction.formatName(this.config.projectId, this.config.region, name)
       }
     );
   }
@@ -141,14 +142,30 @@ class RestClient extends Client {
     return this._action('operations.get', { name });
   }
 
-  listFunctions () {
+  listFunctions (opts = {}) {
     return this._action(
       'projects.locations.functions.list',
       {
-        pageSize: 100,
-        parent: CloudFunction.formatLocation(this.config.projectId, this.config.region)
+        pageSize: opts.pageSize || 100,
+        pageToken: opts.pageToken,
+        parent: CloudFunction.formatLocation(opts.projectId || this.config.projectId, opts.region || this.config.region)
       }
-    ).then(([body, response]) => [body.functions.map((cloudfunction) => new CloudFunction(cloudfunction.name, cloudfunction)), response]);
+    ).then(([body, response]) => [
+      (body.functions || []).map((cloudfunction) => new CloudFunction(cloudfunction.name, cloudfunction)),
+      body.nextPageToken,
+      response
+    ]);
+  }
+
+  updateFunction (cloudfunction, updateMask) {
+    return this._action(
+      'projects.locations.functions.patch',
+      {
+        name: cloudfunction.name,
+        updateMask,
+        resource: cloudfunction
+      }
+    );
   }
 
   testConnection () {
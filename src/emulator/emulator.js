@@ -26,20 +26,31 @@ class Emulator {
 
     const functions = Model.functions(opts);
     this.supervisor = Supervisor.supervisor(functions, {
+      backgroundWork: opts.backgroundWork,
       bindHost: opts.bindHost,
       host: opts.host,
       port: opts.supervisorPort,
       region: opts.region,
       useMocks: opts.useMocks,
+      cleanEnv: opts.cleanEnv,
       idlePruneInterval: opts.idlePruneInterval,
       maxIdle: opts.maxIdle,
+      maxInstances: opts.maxInstances,
+      concurrency: opts.concurrency,
+      coldStart: opts.coldStart,
+      readOnlyFs: opts.readOnlyFs,
+      recordDir: opts.recordDir,
       watch: opts.watch,
       watchIgnore: opts.watchIgnore
     });
     this.restService = Service.restService(functions, {
       bindHost: opts.bindHost,
+      cloudEventMode: opts.cloudEventMode,
       host: opts.host,
-      port: opts.restPort
+      port: opts.restPort,
+      retryBackoff: opts.retryBackoff,
+      retryMaxAge: opts.retryMaxAge,
+      retryMaxAttempts: opts.retryMaxAttempts
     });
   }
 
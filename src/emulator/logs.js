@@ -15,6 +15,7 @@
 
 'use strict';
 
+const _ = require('lodash');
 const fs = require('fs');
 const makeDir = require('make-dir');
 const os = require('os');
@@ -26,36 +27,187 @@ const pkg = require('../../package.json');
 
 const defaultLogsDir = path.join(xdgBasedir.config || os.tmpdir(), pkg.name);
 
-function readLogLines (filePath, linesToRead, output) {
+// The severities of Cloud Logging, from lowest to highest
+const SEVERITIES = ['DEFAULT', 'DEBUG', 'INFO', 'NOTICE', 'WARNING', 'ERROR', 'CRITICAL', 'ALERT', 'EMERGENCY'];
+// The severities of entries logged by the Emulator itself
+const LEVEL_SEVERITIES = {
+  debug: 'DEBUG',
+  info: 'INFO',
+  warn: 'WARNING',
+  error: 'ERROR'
+};
+// Fields of a structured log line that are not part of its "jsonPayload"
+const SPECIAL_FIELDS = ['severity', 'message', 'labels', 'logging.googleapis.com/labels'];
+
+function compareSeverities (a, b) {
+  return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+}
+
+/**
+ * Returns the winston level at which an entry of the given severity is logged.
+ * Function output is never logged below the "info" level, so that it is kept
+ * even when the Emulator isn't verbose.
+ *
+ * @param {string} severity The severity of the entry.
+ * @returns {string}
+ */
+function getLevel (severity) {
+  if (compareSeverities(severity, 'ERROR') >= 0) {
+    return 'error';
+  } else if (severity === 'WARNING') {
+    return 'warn';
+  }
+  return 'info';
+}
+
+/**
+ * Returns the severity of a log entry, which for entries logged by the
+ * Emulator itself is derived from their level.
+ *
+ * @param {object} entry The log entry.
+ * @returns {string}
+ */
+function getSeverity (entry) {
+  return entry.severity || LEVEL_SEVERITIES[entry.level] || 'DEFAULT';
+}
+
+/**
+ * Converts output written by a function into a log entry. Output that is a
+ * JSON object is treated as a structured log entry, following the conventions
+ * of Cloud Logging: the "severity", "message" and "labels" (or
+ * "logging.googleapis.com/labels") fields are extracted and the remaining
+ * fields become the entry's "jsonPayload".
+ *
+ * @param {string} text The output.
+ * @param {string} severity The severity of unstructured output.
+ * @returns {object} The entry's "severity", "message", "labels" and "jsonPayload".
+ */
+function parseOutput (text, severity) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (err) {
+
+  }
+  if (!_.isPlainObject(payload)) {
+    return { severity, message: text };
+  }
+
+  const entry = {
+    severity: typeof payload.severity === 'string' && SEVERITIES.includes(payload.severity.toUpperCase())
+      ? payload.severity.toUpperCase()
+      : severity,
+    message: typeof payload.message === 'string' ? payload.message : text
+  };
+  const labels = payload['logging.googleapis.com/labels'] || payload.labels;
+  if (_.isPlainObject(labels)) {
+    entry.labels = labels;
+  }
+  const jsonPayload = _.omit(payload, SPECIAL_FIELDS);
+  if (!_.isEmpty(jsonPayload)) {
+    entry.jsonPayload = jsonPayload;
+  }
+  return entry;
+}
+
+/**
+ * Formats a log entry for display.
+ *
+ * @param {object} entry The log entry.
+ * @returns {string}
+ */
+function formatEntry (entry) {
+  const parts = [];
+  if (entry.timestamp) {
+    parts.push(entry.timestamp);
+  }
+  parts.push(_.padEnd(getSeverity(entry), 7));
+  if (entry.function) {
+    parts.push(entry.function);
+  }
+  if (entry.executionId) {
+    parts.push(entry.executionId);
+  }
+  return `${parts.join(' ')} ${entry.message}`;
+}
+
+/**
+ * Reads the entries of the Emulator log file, including the files it has been
+ * rotated to, from oldest to newest.
+ *
+ * @param {string} filePath The path to the log file.
+ * @param {object} [opts] Optional filters.
+ * @param {string} [opts.function] Only read entries of this function.
+ * @param {string} [opts.executionId] Only read entries of this execution.
+ * @param {string} [opts.minSeverity] Only read entries with at least this severity.
+ * @param {string} [opts.startTime] Only read entries logged at or after this time.
+ * @param {string} [opts.endTime] Only read entries logged at or before this time.
+ * @param {number} [opts.limit] Only read this many of the most recent entries.
+ * @returns {Promise} Resolves with the matching entries.
+ */
+function readLogEntries (filePath, opts = {}) {
   const parts = path.parse(filePath);
-  const files = fs
-    .readdirSync(parts.dir)
-    .filter((file) => file && file.includes(parts.name));
-  files.sort();
-
-  // Here, we naively select the newest log file, even if the user wants to
-  // display more lines than are available in the newest log file.
-  const stream = fs.createReadStream(path.join(parts.dir, files[files.length - 1] || ''));
-  stream.on('error', (err) => {
-    if (err.code === 'ENOENT') {
-      output('');
+  let files = [];
+  try {
+    files = fs
+      .readdirSync(parts.dir)
+      .filter((file) => file && file.startsWith(parts.name) && file.endsWith(parts.ext))
+      .map((file) => path.join(parts.dir, file));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+  files = _.sortBy(files, (file) => fs.statSync(file).mtime.getTime());
+
+  const startTime = opts.startTime ? new Date(opts.startTime).getTime() : -Infinity;
+  const endTime = opts.endTime ? new Date(opts.endTime).getTime() : Infinity;
+  const matches = (entry) => {
+    if (opts.function && entry.function !== opts.function) {
+      return false;
+    } else if (opts.executionId && entry.executionId !== opts.executionId) {
+      return false;
+    } else if (opts.minSeverity && compareSeverities(getSeverity(entry), opts.minSeverity.toUpperCase()) < 0) {
+      return false;
+    } else if (opts.startTime || opts.endTime) {
+      const time = new Date(entry.timestamp).getTime();
+      if (!entry.timestamp || time < startTime || time > endTime) {
+        return false;
+      }
     }
-  });
-
-  const rl = readline.createInterface({
-    input: stream,
-    terminal: false
-  });
-  const lines = [];
-  rl
-    .on('line', (line) => {
-      lines.push(line);
-    })
-    .on('close', () => {
-      lines
-        .slice(lines.length - linesToRead)
-        .forEach((line) => output(`${line}\n`));
-    });
+    return true;
+  };
+
+  const entries = [];
+  return files
+    .reduce((promise, file) => {
+      return promise.then(() => {
+        return new Promise((resolve, reject) => {
+          readline
+            .createInterface({
+              input: fs.createReadStream(file).on('error', reject),
+              terminal: false
+            })
+            .on('line', (line) => {
+              if (!line.trim()) {
+                return;
+              }
+              let entry;
+              try {
+                entry = JSON.parse(line);
+              } catch (err) {
+                // E.g. the stack of an uncaught exception
+                entry = { level: 'error', message: line };
+              }
+              if (matches(entry)) {
+                entries.push(entry);
+              }
+            })
+            .on('close', resolve);
+        });
+      });
+    }, Promise.resolve())
+    .then(() => opts.limit ? entries.slice(-opts.limit) : entries);
 }
 
 module.exports = {
@@ -80,7 +232,12 @@ module.exports = {
     }
   },
 
-  readLogLines: readLogLines
+  formatEntry,
+  getLevel,
+  getSeverity,
+  parseOutput,
+  readLogEntries,
+  SEVERITIES
 };
 
 function _pathExists (p) {
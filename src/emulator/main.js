@@ -83,8 +83,9 @@ function main (args) {
   opts.logFile = opts.logFile ? logs.assertLogsPath(opts.logFile) : opts.logFile;
   winston.configure({
     transports: [
+      // Each line of the log file is a JSON entry, see "functions logs read"
       new (winston.transports.File)({
-        json: false,
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
         filename: opts.logFile,
         maxsize: 10485760,
         level: logLevel,
@@ -92,9 +93,8 @@ function main (args) {
         humanReadableUnhandledException: true
       }),
       new (winston.transports.Console)({
-        json: false,
-        level: logLevel,
-        colorize: true
+        format: winston.format.printf((entry) => logs.formatEntry(entry)),
+        level: logLevel
       })
     ]
   });
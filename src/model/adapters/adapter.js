@@ -0,0 +1,301 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const logger = require('winston');
+const uuid = require('uuid');
+
+const defaults = require('../../defaults.json');
+
+// How long execution records are buffered before they are written together, so
+// that function invocations don't wait for the storage
+const EXECUTION_FLUSH_DELAY = 1000;
+
+/**
+ * The interface through which the Functions model stores functions, their
+ * versions, operations, dead letters and execution records. Each kind of
+ * record is kept in its own collection. Subclasses decide where collections
+ * are stored by implementing Adapter#_get, Adapter#_set, Adapter#_delete and
+ * Adapter#_list. Execution records are created for every function invocation,
+ * so they are buffered and written together, see Adapter#_flushExecutions.
+ *
+ * @class Adapter
+ * @param {object} [opts] Configuration options.
+ * @param {number} [opts.maxExecutions] How many execution records to keep.
+ * @param {number} [opts.maxOperations] How many finished operations to keep.
+ * @returns {Adapter}
+ */
+class Adapter {
+  constructor (opts = {}) {
+    this._maxExecutions = opts.maxExecutions === undefined ? defaults.maxExecutions : opts.maxExecutions;
+    this._maxOperations = opts.maxOperations === undefined ? defaults.maxOperations : opts.maxOperations;
+    // The execution records waiting to be written, see Adapter#_flushExecutions
+    this._pendingExecutions = [];
+    this._executionFlush = null;
+    // The IDs of the stored execution records, oldest first
+    this._executionIds = null;
+  }
+
+  /**
+   * Gets a record from a collection.
+   *
+   * @method Adapter#_get
+   * @param {string} collection The name of the collection, e.g. "functions".
+   * @param {string} key The key of the record.
+   * @returns {object} The record, or undefined if it doesn't exist.
+   */
+  _get (collection, key) {
+    throw new Error('Not implemented!');
+  }
+
+  /**
+   * Creates or replaces a record in a collection.
+   *
+   * @method Adapter#_set
+   * @param {string} collection The name of the collection.
+   * @param {string} key The key of the record.
+   * @param {object} value The record.
+   */
+  _set (collection, key, value) {
+    throw new Error('Not implemented!');
+  }
+
+  /**
+   * Deletes a record from a collection.
+   *
+   * @method Adapter#_delete
+   * @param {string} collection The name of the collection.
+   * @param {string} key The key of the record.
+   */
+  _delete (collection, key) {
+    throw new Error('Not implemented!');
+  }
+
+  /**
+   * Lists the records of a collection.
+   *
+   * @method Adapter#_list
+   * @param {string} collection The name of the collection.
+   * @returns {object[]}
+   */
+  _list (collection) {
+    throw new Error('Not implemented!');
+  }
+
+  /**
+   * Creates or replaces several records of a collection and deletes others.
+   * Subclasses that store a collection as a whole should write it once.
+   *
+   * @method Adapter#_setMany
+   * @param {string} collection The name of the collection.
+   * @param {object} values The records, by key.
+   * @param {string[]} [deletedKeys] The keys of the records to delete.
+   */
+  _setMany (collection, values, deletedKeys = []) {
+    _.forEach(values, (value, key) => this._set(collection, key, value));
+    deletedKeys.forEach((key) => this._delete(collection, key));
+  }
+
+  /**
+   * Writes the buffered execution records, and deletes the oldest records
+   * beyond the number to keep.
+   *
+   * @method Adapter#_flushExecutions
+   */
+  _flushExecutions () {
+    clearTimeout(this._executionFlush);
+    this._executionFlush = null;
+    const executions = this._pendingExecutions;
+    this._pendingExecutions = [];
+    if (!executions.length) {
+      return;
+    }
+
+    try {
+      if (!this._executionIds) {
+        this._executionIds = _.sortBy(this._list('executions'), 'startTime').map((execution) => execution.executionId);
+      }
+      this._executionIds.push(...executions.map((execution) => execution.executionId));
+      const expired = this._executionIds.splice(0, Math.max(this._executionIds.length - this._maxExecutions, 0));
+      this._setMany(
+        'executions',
+        _.omit(_.keyBy(executions, 'executionId'), expired),
+        _.difference(expired, executions.map((execution) => execution.executionId))
+      );
+    } catch (err) {
+      // Read the stored IDs again next time
+      this._executionIds = null;
+      logger.error(`Failed to record ${executions.length} execution(s): ${err.message}`);
+    }
+  }
+
+  /**
+   * Deletes the oldest finished operations beyond the number to keep.
+   * Operations that are still running are always kept.
+   *
+   * @method Adapter#_pruneOperations
+   */
+  _pruneOperations () {
+    const finished = _.sortBy(_.filter(this._list('operations'), 'done'), (operation) => {
+      return _.get(operation, 'metadata.value.updateTime', '');
+    });
+    finished.slice(0, Math.max(finished.length - this._maxOperations, 0)).forEach((operation) => {
+      this._delete('operations', operation.name);
+    });
+  }
+
+  _setOperation (name, operation) {
+    if (operation.metadata && operation.metadata.value) {
+      operation.metadata.value.updateTime = new Date().toISOString();
+    }
+    this._set('operations', name, operation);
+    if (operation.done) {
+      this._pruneOperations();
+    }
+  }
+
+  createDeadLetter (deadLetter = {}) {
+    return Promise.resolve()
+      .then(() => {
+        deadLetter.name = `deadLetters/${uuid.v4()}`;
+        this._set('deadLetters', deadLetter.name, deadLetter);
+        return deadLetter;
+      });
+  }
+
+  createExecution (execution) {
+    return Promise.resolve()
+      .then(() => {
+        this._pendingExecutions.push(_.cloneDeep(execution));
+        if (!this._executionFlush) {
+          this._executionFlush = setTimeout(() => this._flushExecutions(), EXECUTION_FLUSH_DELAY);
+        }
+        return execution;
+      });
+  }
+
+  createFunction (cloudfunction) {
+    return Promise.resolve()
+      .then(() => {
+        this._set('functions', cloudfunction.name, cloudfunction);
+      });
+  }
+
+  createOperation (operation = {}) {
+    return Promise.resolve()
+      .then(() => {
+        operation.name = `operations/${uuid.v4()}`;
+        this._setOperation(operation.name, operation);
+        return operation;
+      });
+  }
+
+  createVersion (version) {
+    return Promise.resolve()
+      .then(() => {
+        this._set('versions', version.name, version);
+        return version;
+      });
+  }
+
+  deleteDeadLetter (name) {
+    return Promise.resolve()
+      .then(() => {
+        this._delete('deadLetters', name);
+      });
+  }
+
+  deleteFunction (name) {
+    return Promise.resolve()
+      .then(() => {
+        this._delete('functions', name);
+      });
+  }
+
+  deleteOperation (name) {
+    return Promise.resolve()
+      .then(() => {
+        this._delete('operations', name);
+      });
+  }
+
+  deleteVersion (name) {
+    return Promise.resolve()
+      .then(() => {
+        this._delete('versions', name);
+      });
+  }
+
+  getDeadLetter (name) {
+    return Promise.resolve().then(() => this._get('deadLetters', name));
+  }
+
+  getExecution (executionId) {
+    return Promise.resolve()
+      .then(() => {
+        this._flushExecutions();
+        return this._get('executions', executionId);
+      });
+  }
+
+  getFunction (name) {
+    return Promise.resolve().then(() => this._get('functions', name));
+  }
+
+  getOperation (name) {
+    return Promise.resolve().then(() => this._get('operations', name));
+  }
+
+  getVersion (name) {
+    return Promise.resolve().then(() => this._get('versions', name));
+  }
+
+  listDeadLetters () {
+    return Promise.resolve().then(() => this._list('deadLetters'));
+  }
+
+  listExecutions () {
+    return Promise.resolve()
+      .then(() => {
+        this._flushExecutions();
+        return _.sortBy(this._list('executions'), 'startTime');
+      });
+  }
+
+  listFunctions () {
+    return Promise.resolve().then(() => this._list('functions'));
+  }
+
+  listOperations () {
+    return Promise.resolve().then(() => this._list('operations'));
+  }
+
+  listVersions (functionName) {
+    return Promise.resolve()
+      .then(() => _.sortBy(_.filter(this._list('versions'), { function: functionName }), 'versionId'));
+  }
+
+  updateOperation (name, operation) {
+    return Promise.resolve()
+      .then(() => {
+        this._setOperation(name, operation);
+        return operation;
+      });
+  }
+}
+
+module.exports = Adapter;
@@ -0,0 +1,76 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const Configstore = require('configstore');
+const path = require('path');
+
+const Adapter = require('./adapter');
+const pkg = require('../../../package.json');
+
+// The Configstore file of each collection
+const FILES = {
+  deadLetters: '.dead-letters',
+  executions: '.executions',
+  functions: '.functions',
+  operations: '.operations',
+  versions: '.versions'
+};
+
+/**
+ * Stores each collection in a Configstore file in the user's config directory.
+ * Every Emulator run by the user shares these files.
+ *
+ * @class ConfigstoreAdapter
+ * @param {object} [opts] Configuration options, see Adapter.
+ * @returns {ConfigstoreAdapter}
+ */
+class ConfigstoreAdapter extends Adapter {
+  constructor (opts = {}) {
+    super(opts);
+    this._stores = _.mapValues(FILES, (file) => new Configstore(path.join(pkg.name, file)));
+  }
+
+  // Keys may contain dots, which Configstore's get, set and delete methods
+  // would treat as property paths, so the whole store is read and written
+
+  _delete (collection, key) {
+    const all = this._stores[collection].all;
+    delete all[key];
+    this._stores[collection].all = all;
+  }
+
+  _get (collection, key) {
+    return this._stores[collection].all[key];
+  }
+
+  _list (collection) {
+    return _.values(this._stores[collection].all);
+  }
+
+  _set (collection, key, value) {
+    this._stores[collection].all = _.assign(this._stores[collection].all, { [key]: value });
+  }
+
+  _setMany (collection, values, deletedKeys = []) {
+    const all = _.assign(this._stores[collection].all, values);
+    deletedKeys.forEach((key) => delete all[key]);
+    this._stores[collection].all = all;
+  }
+}
+
+module.exports = ConfigstoreAdapter;
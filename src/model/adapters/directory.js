@@ -0,0 +1,100 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const makeDir = require('make-dir');
+const os = require('os');
+const path = require('path');
+const xdgBasedir = require('xdg-basedir');
+
+const Adapter = require('./adapter');
+const pkg = require('../../../package.json');
+
+/**
+ * Stores each record as a JSON file under a state directory:
+ *
+ *     <stateDir>/<collection>/<encoded key>.json
+ *
+ * Emulators given different state directories don't share any state.
+ *
+ * @class DirectoryAdapter
+ * @param {object} [opts] Configuration options, see Adapter.
+ * @param {string} [opts.stateDir] The state directory.
+ * @returns {DirectoryAdapter}
+ */
+class DirectoryAdapter extends Adapter {
+  constructor (opts = {}) {
+    super(opts);
+    this.root = opts.stateDir || path.join(xdgBasedir.config || os.tmpdir(), pkg.name, 'state');
+  }
+
+  _path (collection, key) {
+    return path.join(this.root, collection, `${encodeURIComponent(key)}.json`);
+  }
+
+  _delete (collection, key) {
+    try {
+      fs.unlinkSync(this._path(collection, key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+
+  _get (collection, key) {
+    let contents;
+    try {
+      contents = fs.readFileSync(this._path(collection, key), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+    return JSON.parse(contents);
+  }
+
+  _list (collection) {
+    let files = [];
+    try {
+      files = fs.readdirSync(path.join(this.root, collection));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    return files
+      .filter((file) => file.endsWith('.json'))
+      .sort()
+      .map((file) => this._get(collection, decodeURIComponent(file.replace(/\.json$/, ''))))
+      // The record may have been deleted in the meantime
+      .filter((value) => value !== undefined);
+  }
+
+  _set (collection, key, value) {
+    const file = this._path(collection, key);
+    makeDir.sync(path.dirname(file));
+    // Write to a temporary file first so that the record is never read while
+    // it is only partially written
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(value, null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+}
+
+module.exports = DirectoryAdapter;
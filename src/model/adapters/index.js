@@ -0,0 +1,39 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+exports.Adapter = require('./adapter');
+exports.ConfigstoreAdapter = require('./configstore');
+exports.DirectoryAdapter = require('./directory');
+exports.MemoryAdapter = require('./memory');
+
+// The adapter used for each "storage" setting
+const ADAPTERS = {
+  configstore: exports.ConfigstoreAdapter,
+  directory: exports.DirectoryAdapter,
+  memory: exports.MemoryAdapter
+};
+
+exports.STORAGE_TYPES = Object.keys(ADAPTERS);
+
+/**
+ * Creates the adapter selected by the "storage" setting.
+ *
+ * @param {object} config Configuration settings.
+ * @param {string} config.storage One of "configstore", "directory" or "memory".
+ * @returns {Adapter}
+ */
+exports.createAdapter = (config) => new ADAPTERS[config.storage](config);
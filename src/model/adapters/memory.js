@@ -0,0 +1,62 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+const Adapter = require('./adapter');
+
+/**
+ * Keeps each collection in memory. Nothing is shared with other processes and
+ * nothing survives a restart, which suits unit tests and ephemeral CI runs.
+ *
+ * @class MemoryAdapter
+ * @param {object} [opts] Configuration options, see Adapter.
+ * @returns {MemoryAdapter}
+ */
+class MemoryAdapter extends Adapter {
+  constructor (opts = {}) {
+    super(opts);
+    this._collections = {};
+  }
+
+  _collection (collection) {
+    if (!this._collections[collection]) {
+      this._collections[collection] = new Map();
+    }
+    return this._collections[collection];
+  }
+
+  // Records are copied in and out, as they would be by the other adapters
+
+  _delete (collection, key) {
+    this._collection(collection).delete(key);
+  }
+
+  _get (collection, key) {
+    return _.cloneDeep(this._collection(collection).get(key));
+  }
+
+  _list (collection) {
+    return Array.from(this._collection(collection).values()).map((value) => _.cloneDeep(value));
+  }
+
+  _set (collection, key, value) {
+    this._collection(collection).set(key, _.cloneDeep(value));
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -26,10 +26,42 @@ const Schema = require('../utils/schema');
 const LOCATION_REG_EXP = /^projects\/([-\w]+)\/locations\/([-\w]+)$/;
 const NAME_REG_EXP = /^projects\/([-\w]+)\/locations\/([-\w]+)\/functions\/([A-Za-z][-A-Za-z0-9_]*)$/;
 const SHORT_NAME_REG_EXP = /^[A-Za-z][-A-Za-z0-9_]*$/;
+// E.g. https://source.developers.google.com/projects/p/repos/r/moveable-aliases/master/paths/functions
+const SOURCE_REPOSITORY_URL_REG_EXP = /^(.+?)(?:\/(moveable-aliases|fixed-aliases|revisions)\/([^/]+))?(?:\/paths\/(.*?))?\/?$/;
+const DEFAULT_MEMORY_MB = 256;
+const MEMORY_SIZES_MB = [128, 256, 512, 1024, 2048];
+// The environment variables that the runtime sets, which functions can't set.
+// Names starting with X_GOOGLE_ are reserved too
+const RESERVED_ENV_VARS = [
+  'ENTRY_POINT',
+  'FUNCTION_IDENTITY',
+  'FUNCTION_MEMORY_MB',
+  'FUNCTION_NAME',
+  'FUNCTION_REGION',
+  'FUNCTION_SIGNATURE_TYPE',
+  'FUNCTION_TARGET',
+  'FUNCTION_TIMEOUT_SEC',
+  'FUNCTION_TRIGGER_TYPE',
+  'GCLOUD_PROJECT',
+  'GCP_PROJECT',
+  'K_REVISION',
+  'K_SERVICE',
+  'PORT'
+];
+const RESERVED_ENV_VAR_PREFIX = 'X_GOOGLE_';
 
 const CloudFunctionSchema = {
   type: 'object',
   properties: {
+    availableMemoryMb: {
+      type: 'integer'
+    },
+    environmentVariables: {
+      type: ['null', 'object'],
+      additionalProperties: {
+        type: 'string'
+      }
+    },
     gcsTrigger: {
       type: 'string'
     },
@@ -47,6 +79,14 @@ const CloudFunctionSchema = {
         },
         path: {
           type: 'string'
+        },
+        failurePolicy: {
+          type: ['null', 'object'],
+          properties: {
+            retry: {
+              type: 'object'
+            }
+          }
         }
       },
       required: ['eventType']
@@ -59,17 +99,48 @@ const CloudFunctionSchema = {
         }
       }
     },
+    maxInstances: {
+      type: 'integer',
+      minimum: 0
+    },
     name: {
       type: 'string'
     },
     pubsubTrigger: {
       type: 'string'
     },
+    runtime: {
+      type: 'string'
+    },
+    // The Node.js executable that runs the function, which only the Emulator
+    // sets
+    runtimeExecutable: {
+      type: 'string'
+    },
+    signatureType: {
+      type: 'string'
+    },
     sourceArchiveUrl: {
       type: 'string'
     },
+    sourceRepository: {
+      type: ['null', 'object'],
+      properties: {
+        url: {
+          type: 'string'
+        },
+        deployedUrl: {
+          type: 'string'
+        }
+      },
+      required: ['url']
+    },
     sourceUploadUrl: {
       type: 'string'
+    },
+    versionId: {
+      type: 'integer',
+      minimum: 1
     }
   },
   required: ['name']
@@ -146,6 +217,48 @@ class CloudFunction {
     return SHORT_NAME_REG_EXP;
   }
 
+  /**
+   * The memory, in MB, allocated to a CloudFunction that doesn't specify any.
+   *
+   * @property CloudFunction.DEFAULT_MEMORY_MB
+   * @type {number}
+   */
+  static get DEFAULT_MEMORY_MB () {
+    return DEFAULT_MEMORY_MB;
+  }
+
+  /**
+   * The amounts of memory, in MB, that can be allocated to a CloudFunction.
+   *
+   * @property CloudFunction.MEMORY_SIZES_MB
+   * @type {number[]}
+   */
+  static get MEMORY_SIZES_MB () {
+    return MEMORY_SIZES_MB;
+  }
+
+  /**
+   * The names of the environment variables that are set by the runtime, and
+   * can't be set by a CloudFunction.
+   *
+   * @property CloudFunction.RESERVED_ENV_VARS
+   * @type {string[]}
+   */
+  static get RESERVED_ENV_VARS () {
+    return RESERVED_ENV_VARS;
+  }
+
+  /**
+   * The prefix of the names of the environment variables that are reserved for
+   * the runtime's internal use.
+   *
+   * @property CloudFunction.RESERVED_ENV_VAR_PREFIX
+   * @type {string}
+   */
+  static get RESERVED_ENV_VAR_PREFIX () {
+    return RESERVED_ENV_VAR_PREFIX;
+  }
+
   static getArchive (cloudfunction = {}) {
     const sourceUploadUrl = cloudfunction.sourceUploadUrl || '';
     const parts = url.parse(sourceUploadUrl);
@@ -173,6 +286,19 @@ class CloudFunction {
     cloudfunction.sourceUploadUrl = url.format(parts);
   }
 
+  static removeLocaldir (cloudfunction) {
+    if (!cloudfunction || !cloudfunction.sourceUploadUrl) {
+      return;
+    }
+    const parts = url.parse(cloudfunction.sourceUploadUrl);
+    const query = querystring.parse(parts.query);
+    delete query.localdir;
+    const newQueryString = querystring.stringify(query);
+    parts.search = newQueryString ? `?${newQueryString}` : '';
+    parts.query = newQueryString;
+    cloudfunction.sourceUploadUrl = url.format(parts);
+  }
+
   static generateUploadUrl (opts = {}) {
     opts.bindHost || (opts.bindHost = 'localhost');
     opts.port || (opts.port = '8010');
@@ -260,6 +386,27 @@ class CloudFunction {
     };
   }
 
+  /**
+   * Parses the URL of a source repository. Like in production, the URL can
+   * select a branch ("moveable-aliases"), a tag ("fixed-aliases") or a commit
+   * ("revisions"), and a directory within the repository ("paths"), e.g.:
+   *
+   *     file:///home/me/repo/moveable-aliases/master/paths/functions
+   *
+   * @method CloudFunction.parseSourceRepositoryUrl
+   * @param {string} sourceRepositoryUrl The URL of the source repository.
+   * @returns {object} The URL of the "repository" itself, the "ref" to check
+   *     out, if any, and the "path" of the source within the repository.
+   */
+  static parseSourceRepositoryUrl (sourceRepositoryUrl = '') {
+    const matches = sourceRepositoryUrl.match(SOURCE_REPOSITORY_URL_REG_EXP) || [];
+    return {
+      repository: matches[1] || null,
+      ref: matches[3] || null,
+      path: matches[4] || ''
+    };
+  }
+
   setSourceArchiveUrl (sourceArchiveUrl) {
     if (!sourceArchiveUrl || typeof sourceArchiveUrl !== 'string') {
       throw new Error('"sourceArchiveUrl" must be a non-empty string!');
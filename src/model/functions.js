@@ -17,84 +17,86 @@
 
 const _ = require('lodash');
 const AdmZip = require('adm-zip');
-const Configstore = require('configstore');
+const crypto = require('crypto');
 const fs = require('fs');
 const got = require('got');
 const logger = require('winston');
+const makeDir = require('make-dir');
 const os = require('os');
 const path = require('path');
 const rimraf = require('rimraf');
 const spawn = require('child_process').spawn;
 const Storage = require('@google-cloud/storage');
-const uuid = require('uuid');
+const url = require('url');
 
+const Adapters = require('./adapters');
 const CloudFunction = require('./cloudfunction');
 const Errors = require('../utils/errors');
 const Operation = require('./operation');
-const pkg = require('../../package.json');
+const runtimes = require('../utils/runtimes');
 const Schema = require('../utils/schema');
+const defaults = require('../defaults.json');
+const pkg = require('../../package.json');
 
 const GCS_URL = /^gs:\/\/([A-Za-z0-9][\w-.]+[A-Za-z0-9])\/(.+)$/;
+// How much of the output of a failed command is kept in the error's details
+const MAX_COMMAND_OUTPUT = 64 * 1024;
+// What npm and yarn report when a package isn't in their cache in offline mode
+const CACHE_MISS_REG_EXP = /ENOTCACHED|in our cache|Can't make a request in offline mode/;
+// The first bytes of a zip file and of a gzip file
+const ZIP_SIGNATURE = 0x504b0304;
+const GZIP_SIGNATURE = 0x1f8b;
+// How often Functions#waitOperation checks whether an Operation has finished
+const OPERATION_POLL_INTERVAL = 250;
+// The fields of a CloudFunction that Functions#updateFunction can change
+const UPDATABLE_FIELDS = [
+  'availableMemoryMb',
+  'description',
+  'entryPoint',
+  'environmentVariables',
+  'eventTrigger',
+  'httpsTrigger',
+  'labels',
+  'maxInstances',
+  'runtime',
+  'signatureType',
+  'sourceArchiveUrl',
+  'sourceRepository',
+  'sourceUploadUrl',
+  'timeout'
+];
 
-class ConfigAdapter {
-  constructor (opts = {}) {
-    this._functions = new Configstore(path.join(pkg.name, '.functions'));
-    this._operations = new Configstore(path.join(pkg.name, '.operations'));
-  }
-
-  createFunction (cloudfunction) {
-    return Promise.resolve()
-      .then(() => {
-        this._functions.set(cloudfunction.name, cloudfunction);
-      });
-  }
-
-  createOperation (operation = {}) {
-    return Promise.resolve()
-      .then(() => {
-        operation.name = `operations/${uuid.v4()}`;
-        this._operations.set(operation.name, operation);
-        return operation;
-      });
-  }
-
-  deleteFunction (name) {
-    return Promise.resolve()
-      .then(() => {
-        this._functions.delete(name);
-      });
-  }
-
-  getFunction (name) {
-    return Promise.resolve().then(() => this._functions.get(name));
-  }
+/**
+ * Creates an opaque token from which Functions#listFunctions continues
+ * listing the functions of a location.
+ *
+ * @param {string} name The name of the last function that was listed.
+ * @param {string} location The location that is being listed.
+ * @returns {string}
+ */
+function formatPageToken (name, location) {
+  return Buffer.from(JSON.stringify({ after: name, location })).toString('base64');
+}
 
-  getOperation (name) {
-    return Promise.resolve().then(() => this._operations.get(name));
-  }
+/**
+ * Reads a token created by formatPageToken.
+ *
+ * @param {string} pageToken The token.
+ * @param {string} location The location that is being listed, which must be
+ *     the one the token was created for.
+ * @returns {string} The name of the last function that was listed.
+ */
+function parsePageToken (pageToken, location) {
+  let token;
+  try {
+    token = JSON.parse(Buffer.from(`${pageToken}`, 'base64').toString('utf8'));
+  } catch (err) {
 
-  listFunctions (opts = {}) {
-    return Promise.resolve()
-      .then(() => {
-        const cloudfunctionsObj = this._functions.all;
-        const cloudfunctions = [];
-        for (let name in cloudfunctionsObj) {
-          cloudfunctions.push(cloudfunctionsObj[name]);
-        }
-        return {
-          functions: cloudfunctions,
-          nextPageToken: ''
-        };
-      });
   }
-
-  updateOperation (name, operation) {
-    return Promise.resolve()
-      .then(() => {
-        this._operations.set(name, operation);
-        return operation;
-      });
+  if (!token || typeof token.after !== 'string' || token.location !== location) {
+    throw new Errors.InvalidArgumentError(`Invalid page token: ${pageToken}`);
   }
+  return token.after;
 }
 
 const FunctionsConfigSchema = {
@@ -102,7 +104,10 @@ const FunctionsConfigSchema = {
   properties: {
     storage: {
       type: 'string',
-      enum: ['configstore']
+      enum: Adapters.STORAGE_TYPES
+    },
+    stateDir: {
+      type: 'string'
     },
     host: {
       type: 'string'
@@ -130,9 +135,10 @@ class Functions {
       throw err;
     }
     this.config = _.merge({}, config);
-    if (this.config.storage === 'configstore') {
-      this.adapter = new ConfigAdapter(this.config);
-    }
+    this.adapter = Adapters.createAdapter(this.config);
+    // The deployments being performed by this instance, by Operation name,
+    // so that they can be cancelled
+    this._deployments = new Map();
   }
 
   /**
@@ -166,6 +172,112 @@ class Functions {
       });
   }
 
+  _assertEnvironmentVariables (cloudfunction) {
+    Object.keys(cloudfunction.environmentVariables || {}).forEach((key) => {
+      let message;
+      if (!key || key.includes('=')) {
+        message = `Invalid environment variable name '${key}'. Names must not be empty or contain '='.`;
+      } else if (CloudFunction.RESERVED_ENV_VARS.includes(key) || key.startsWith(CloudFunction.RESERVED_ENV_VAR_PREFIX)) {
+        message = `Environment variable name '${key}' is reserved for internal use.`;
+      }
+      if (message) {
+        const err = new Errors.InvalidArgumentError(message);
+        err.details.push(new Errors.BadRequest(err, 'environmentVariables'));
+        throw err;
+      }
+    });
+  }
+
+  _assertMemory (cloudfunction) {
+    if (!cloudfunction.availableMemoryMb) {
+      cloudfunction.availableMemoryMb = CloudFunction.DEFAULT_MEMORY_MB;
+    } else if (!CloudFunction.MEMORY_SIZES_MB.includes(cloudfunction.availableMemoryMb)) {
+      const err = new Errors.InvalidArgumentError(`Invalid value ${cloudfunction.availableMemoryMb} for availableMemoryMb. Must be one of: ${CloudFunction.MEMORY_SIZES_MB.join(', ')}.`);
+      err.details.push(new Errors.BadRequest(err, 'availableMemoryMb'));
+      throw err;
+    }
+  }
+
+  _assertRuntime (cloudfunction) {
+    cloudfunction.runtimeExecutable = runtimes.getExecutable(cloudfunction.runtime, this.config.runtimes);
+  }
+
+  _assertSignatureType (cloudfunction) {
+    if (cloudfunction.signatureType && !runtimes.SIGNATURE_TYPES.includes(cloudfunction.signatureType)) {
+      const err = new Errors.InvalidArgumentError(`Invalid value ${cloudfunction.signatureType} for signatureType. Must be one of: ${runtimes.SIGNATURE_TYPES.join(', ')}.`);
+      err.details.push(new Errors.BadRequest(err, 'signatureType'));
+      throw err;
+    }
+  }
+
+  /**
+   * Records a successfully deployed version of a CloudFunction. Only the most
+   * recent versions are kept, see the "maxVersions" setting, and the source of
+   * a discarded version is deleted unless a kept version still uses it.
+   *
+   * @method Functions#_createVersion
+   * @private
+   * @param {object} cloudfunction The deployed CloudFunction.
+   * @returns {Promise}
+   */
+  _createVersion (cloudfunction) {
+    const maxVersions = this.config.maxVersions === undefined ? defaults.maxVersions : this.config.maxVersions;
+    const version = {
+      name: `${cloudfunction.name}/versions/${cloudfunction.versionId}`,
+      function: cloudfunction.name,
+      versionId: cloudfunction.versionId,
+      createTime: new Date().toISOString(),
+      cloudfunction: _.omit(_.cloneDeep(cloudfunction), ['latestOperation', 'status'])
+    };
+
+    return this.adapter.createVersion(version)
+      .then(() => this.adapter.listVersions(cloudfunction.name))
+      .then((versions) => {
+        const discarded = versions.slice(0, Math.max(versions.length - maxVersions, 0));
+        const kept = versions.slice(discarded.length);
+        this._deleteSource(
+          discarded.map((version) => version.cloudfunction),
+          kept.map((version) => version.cloudfunction).concat(cloudfunction)
+        );
+        return Promise.all(discarded.map((version) => this.adapter.deleteVersion(version.name)));
+      });
+  }
+
+  /**
+   * Deletes the uploaded source archives of CloudFunctions, and the
+   * directories they were unpacked to. Source on the user's file system is
+   * never deleted.
+   *
+   * @method Functions#_deleteSource
+   * @private
+   * @param {object[]} cloudfunctions The CloudFunctions whose source to delete.
+   * @param {object[]} [keep] CloudFunctions whose source must be kept.
+   */
+  _deleteSource (cloudfunctions, keep = []) {
+    const kept = keep.map((cloudfunction) => CloudFunction.getArchive(cloudfunction));
+    cloudfunctions.forEach((cloudfunction) => {
+      const archive = CloudFunction.getArchive(cloudfunction);
+      const localdir = CloudFunction.getLocaldir(cloudfunction);
+      if (!archive || kept.includes(archive)) {
+        return;
+      }
+      try {
+        fs.unlinkSync(archive);
+      } catch (err) {
+        // Ignore error
+      }
+      // The archive was unpacked, or the source repository cloned, next to it
+      const dirName = this._getUnpackDir(archive);
+      if (localdir && (localdir === dirName || localdir.startsWith(`${dirName}${path.sep}`))) {
+        try {
+          rimraf.sync(dirName);
+        } catch (err) {
+          // Ignore error
+        }
+      }
+    });
+  }
+
   _checkForPackageJson (dirName) {
     logger.debug('Functions#_checkForPackageJson', dirName);
     return new Promise((resolve, reject) => {
@@ -173,107 +285,407 @@ class Functions {
     });
   }
 
-  _checkForYarn (dirName) {
-    logger.debug('Functions#_checkForYarn', dirName);
-    return new Promise((resolve, reject) => {
-      fs.open(path.join(dirName, 'yarn.lock'), 'r', (err) => resolve(!err));
-    });
+  /**
+   * Decides how to install the dependencies of a directory: with "npm ci" or
+   * "yarn install --frozen-lockfile" when it has a lockfile, otherwise with
+   * "npm install".
+   *
+   * @method Functions#_getInstaller
+   * @private
+   * @param {string} dirName The directory.
+   * @returns {object} The "command", its "args" and the "lockfile", if any.
+   */
+  _getInstaller (dirName) {
+    if (fs.existsSync(path.join(dirName, 'yarn.lock'))) {
+      return { command: 'yarn', args: ['install', '--frozen-lockfile', '--non-interactive'], lockfile: 'yarn.lock' };
+    }
+    const lockfile = ['npm-shrinkwrap.json', 'package-lock.json'].find((file) => fs.existsSync(path.join(dirName, file)));
+    if (lockfile) {
+      return { command: 'npm', args: ['ci'], lockfile };
+    }
+    return { command: 'npm', args: ['install'], lockfile: null };
   }
 
-  _installNpm (dirName) {
-    logger.debug('Functions#_installNpm', dirName);
-    return new Promise((resolve, reject) => {
-      spawn('npm', ['install'], {
-        cwd: dirName
-      }).on('exit', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error('Failed to install dependencies!'));
+  /**
+   * Gets the directory in which the dependencies of a directory are cached.
+   * Directories with the same package.json and lockfile share dependencies,
+   * unless their functions have different runtimes, for which native modules
+   * are built differently.
+   *
+   * @method Functions#_getDependencyCacheDir
+   * @private
+   * @param {string} dirName The directory.
+   * @param {object} installer The installer, see Functions#_getInstaller.
+   * @param {string} [runtime] The runtime of the function, e.g. "nodejs8".
+   *     Defaults to the runtime of the Emulator.
+   * @returns {string}
+   */
+  _getDependencyCacheDir (dirName, installer, runtime) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${runtime || runtimes.getDefaultRuntime()}\0`);
+    hash.update(`${installer.command}\0`);
+    hash.update(fs.readFileSync(path.join(dirName, 'package.json')));
+    if (installer.lockfile) {
+      hash.update('\0');
+      hash.update(fs.readFileSync(path.join(dirName, installer.lockfile)));
+    }
+    const cacheDir = this.config.dependencyCacheDir || path.join(os.tmpdir(), pkg.name, 'dependencies');
+    return path.resolve(cacheDir, hash.digest('hex'));
+  }
+
+  /**
+   * Moves freshly installed dependencies to the cache, and links them back.
+   * Caching is skipped if another deployment cached the same dependencies in
+   * the meantime, or if the cache is on another file system.
+   *
+   * @method Functions#_cacheDependencies
+   * @private
+   * @param {string} modulesDir The installed node_modules directory.
+   * @param {string} cacheDir The cache directory of the dependencies.
+   */
+  _cacheDependencies (modulesDir, cacheDir) {
+    try {
+      makeDir.sync(path.dirname(cacheDir));
+      fs.mkdirSync(cacheDir);
+    } catch (err) {
+      logger.debug('Functions#_cacheDependencies', err.message);
+      return;
+    }
+    try {
+      makeDir.sync(modulesDir);
+      fs.renameSync(modulesDir, path.join(cacheDir, 'node_modules'));
+      fs.symlinkSync(path.join(cacheDir, 'node_modules'), modulesDir, 'junction');
+    } catch (err) {
+      logger.debug('Functions#_cacheDependencies', err.message);
+      rimraf.sync(cacheDir);
+    }
+  }
+
+  /**
+   * Installs the dependencies of a directory. In offline mode, only the
+   * package manager's own cache is used, so installing fails if a package
+   * isn't in it.
+   *
+   * @method Functions#_installDependencies
+   * @private
+   * @param {string} dirName The directory.
+   * @param {object} installer The installer, see Functions#_getInstaller.
+   * @param {object} [operation] The Operation of the deployment.
+   * @returns {Promise}
+   */
+  _installDependencies (dirName, installer, operation) {
+    const args = this.config.offline ? installer.args.concat('--offline') : installer.args;
+    logger.debug('Functions#_installDependencies', dirName, installer.command, args);
+    return this._runCommand(installer.command, args, dirName, operation)
+      .catch((err) => {
+        const output = [err.message].concat((err.details || []).map((detail) => _.get(detail, 'value.stackEntries', []).join('\n')));
+        const message = this.config.offline && CACHE_MISS_REG_EXP.test(output.join('\n'))
+          ? `Failed to install dependencies offline with ${installer.command} ${args.join(' ')}: they are not in the dependency cache. Restart the Emulator without --offline to download them.`
+          : `Failed to install dependencies with ${installer.command} ${args.join(' ')}: ${err.message}`;
+        throw new Errors.InvalidArgumentError(message, err.details);
+      });
+  }
+
+  _isCancelled (operation) {
+    const deployment = this._deployments.get(operation.name);
+    return !!deployment && deployment.cancelled;
+  }
+
+  _trackProcess (operation, childProcess) {
+    const deployment = operation && this._deployments.get(operation.name);
+    if (deployment) {
+      // Cancelling the deployment kills the process
+      deployment.process = childProcess;
+      childProcess.on('exit', () => {
+        deployment.process = null;
+      });
+    }
+    return childProcess;
+  }
+
+  /**
+   * Installs the dependencies of a directory, reusing cached ones when the
+   * directory's package.json and lockfile were installed before.
+   *
+   * @method Functions#_prepDir
+   * @private
+   * @param {string} dirName The directory.
+   * @param {string} [runtime] The runtime of the function, e.g. "nodejs8".
+   * @param {object} [operation] The Operation of the deployment.
+   * @returns {Promise}
+   */
+  _prepDir (dirName, runtime, operation) {
+    return this._checkForPackageJson(dirName)
+      .then((hasPackageJson) => {
+        if (!hasPackageJson) {
+          return;
+        }
+
+        const installer = this._getInstaller(dirName);
+        const cacheDir = this._getDependencyCacheDir(dirName, installer, runtime);
+        const modulesDir = path.join(dirName, 'node_modules');
+        if (fs.existsSync(path.join(cacheDir, 'node_modules'))) {
+          logger.debug('Functions#_prepDir', 'Reusing cached dependencies', cacheDir);
+          rimraf.sync(modulesDir);
+          fs.symlinkSync(path.join(cacheDir, 'node_modules'), modulesDir, 'junction');
+          return;
         }
+
+        return this._installDependencies(dirName, installer, operation)
+          .then(() => this._cacheDependencies(modulesDir, cacheDir));
       });
-    });
   }
 
-  _installYarn (dirName) {
-    logger.debug('Functions#_installYarn', dirName);
+  /**
+   * Runs a command, e.g. git or tar, on behalf of a deployment.
+   *
+   * @method Functions#_runCommand
+   * @private
+   * @param {string} command The command.
+   * @param {string[]} args The arguments of the command.
+   * @param {string} cwd The directory in which to run the command.
+   * @param {object} [operation] The Operation of the deployment.
+   * @returns {Promise} Resolves with the standard output of the command. If
+   *     the command fails, the error's details include the end of its output.
+   */
+  _runCommand (command, args, cwd, operation) {
+    logger.debug('Functions#_runCommand', command, args);
     return new Promise((resolve, reject) => {
-      spawn('yarn', ['install'], {
-        cwd: dirName,
-        stdio: 'inherit'
-      }).on('exit', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error('Failed to install dependencies!'));
-        }
+      let stdout = '';
+      let stderr = '';
+      let output = '';
+      const childProcess = this._trackProcess(operation, spawn(command, args, { cwd }));
+      childProcess.stdout.on('data', (data) => {
+        stdout += data;
+        output = (output + data).slice(-MAX_COMMAND_OUTPUT);
       });
+      childProcess.stderr.on('data', (data) => {
+        stderr += data;
+        output = (output + data).slice(-MAX_COMMAND_OUTPUT);
+      });
+      childProcess
+        .on('error', (err) => {
+          reject(new Errors.InternalError(`Failed to run ${command}: ${err.message}`));
+        })
+        .on('exit', (code) => {
+          if (code === 0) {
+            resolve(stdout.trim());
+            return;
+          }
+          const err = new Errors.InvalidArgumentError(`${command} ${args[0]} failed: ${stderr.trim() || `exit code ${code}`}`);
+          err.details.push(new Errors.DebugInfo({
+            message: `Output of ${[command].concat(args).join(' ')}`,
+            stack: output
+          }));
+          reject(err);
+        });
     });
   }
 
-  _prepDir (dirName) {
-    return this._checkForPackageJson(dirName)
-      .then((hasPackageJson) => {
-        if (hasPackageJson) {
-          return this._checkForYarn(dirName)
-            .then((hasYarn) => hasYarn ? this._installYarn(dirName) : this._installNpm(dirName));
+  /**
+   * Clones the source repository of a CloudFunction, checks out the requested
+   * branch, tag or commit, and points the CloudFunction at the requested
+   * directory of the clone.
+   *
+   * @method Functions#_cloneRepository
+   * @private
+   * @param {object} cloudfunction The CloudFunction.
+   * @param {object} [operation] The Operation of the deployment.
+   * @returns {Promise}
+   */
+  _cloneRepository (cloudfunction, operation) {
+    const source = CloudFunction.parseSourceRepositoryUrl(cloudfunction.sourceRepository.url);
+    if (!source.repository) {
+      return Promise.reject(new Errors.InvalidArgumentError(`Unsupported source repository: ${cloudfunction.sourceRepository.url}`));
+    }
+    // Git would take it for an option
+    if (source.ref && source.ref.startsWith('-')) {
+      return Promise.reject(new Errors.InvalidArgumentError(`Invalid revision in source repository: ${source.ref}`));
+    }
+
+    // The clone takes the place of an unpacked archive
+    cloudfunction.sourceUploadUrl = CloudFunction.generateUploadUrl(this.config);
+    const dirName = this._getUnpackDir(CloudFunction.getArchive(cloudfunction));
+    const localdir = path.join(dirName, source.path);
+    if (path.relative(dirName, localdir).startsWith('..')) {
+      return Promise.reject(new Errors.InvalidArgumentError(`Invalid path in source repository: ${source.path}`));
+    }
+
+    return this._runCommand('git', ['clone', '--quiet', '--', source.repository, dirName], path.dirname(dirName), operation)
+      .then(() => source.ref ? this._runCommand('git', ['checkout', '--quiet', source.ref, '--'], dirName, operation) : undefined)
+      .then(() => this._runCommand('git', ['rev-parse', 'HEAD'], dirName, operation))
+      .then((revision) => {
+        if (!fs.existsSync(localdir)) {
+          throw new Errors.InvalidArgumentError(`Path does not exist in source repository: ${source.path}`);
         }
+        cloudfunction.sourceRepository.deployedUrl = `${source.repository}/revisions/${revision}${source.path ? `/paths/${source.path}` : ''}`;
+        CloudFunction.addLocaldir(cloudfunction, localdir);
+        return this._prepDir(localdir, cloudfunction.runtime, operation);
       });
   }
 
-  _unpackArchive (cloudfunction) {
+  /**
+   * Extracts a zip file or a gzipped tarball, whichever the archive turns out
+   * to be, to the directory next to it.
+   *
+   * @method Functions#_extractArchive
+   * @private
+   * @param {object} cloudfunction The CloudFunction whose archive to extract.
+   * @param {object} [operation] The Operation of the deployment.
+   * @returns {Promise}
+   */
+  _extractArchive (cloudfunction, operation) {
+    return Promise.resolve()
+      .then(() => {
+        const archive = CloudFunction.getArchive(cloudfunction);
+        const localdir = this._getUnpackDir(archive);
+        const header = Buffer.alloc(4);
+        const fd = fs.openSync(archive, 'r');
+        fs.readSync(fd, header, 0, header.length, 0);
+        fs.closeSync(fd);
+
+        CloudFunction.addLocaldir(cloudfunction, localdir);
+        if (header.readUInt32BE(0) === ZIP_SIGNATURE) {
+          new AdmZip(archive).extractAllTo(localdir);
+        } else if (header.readUInt16BE(0) === GZIP_SIGNATURE) {
+          makeDir.sync(localdir);
+          return this._runCommand('tar', ['-xzf', archive, '-C', localdir], path.dirname(archive), operation);
+        } else {
+          throw new Errors.InvalidArgumentError('Unsupported archive format: the source must be a .zip or .tar.gz file.');
+        }
+      })
+      .then(() => this._prepDir(CloudFunction.getLocaldir(cloudfunction), cloudfunction.runtime, operation));
+  }
+
+  /**
+   * Downloads the archive at the CloudFunction's "sourceArchiveUrl", which can
+   * be a "gs://", "http(s)://" or "file://" URL.
+   *
+   * @method Functions#_fetchArchive
+   * @private
+   * @param {object} cloudfunction The CloudFunction.
+   * @returns {Promise}
+   */
+  _fetchArchive (cloudfunction) {
+    const sourceArchiveUrl = cloudfunction.sourceArchiveUrl || '';
+    let download;
+
+    if (sourceArchiveUrl.startsWith('gs://')) {
+      const matches = sourceArchiveUrl.match(GCS_URL);
+      if (!matches) {
+        return Promise.reject(new Errors.InvalidArgumentError(`Unsupported archive url: ${sourceArchiveUrl}`));
+      }
+      const parts = CloudFunction.parseName(cloudfunction.name);
+      const file = Storage({ projectId: parts.project }).bucket(matches[1]).file(matches[2]);
+      download = (destination) => file.download({ destination });
+    } else if (/^https?:\/\//.test(sourceArchiveUrl)) {
+      download = (destination) => {
+        return new Promise((resolve, reject) => {
+          got.stream(sourceArchiveUrl)
+            .on('error', (err) => reject(new Errors.InvalidArgumentError(`Failed to download ${sourceArchiveUrl}: ${err.message}`)))
+            .pipe(fs.createWriteStream(destination))
+            .on('error', reject)
+            .on('finish', resolve);
+        });
+      };
+    } else if (sourceArchiveUrl.startsWith('file://')) {
+      download = (destination) => {
+        return new Promise((resolve, reject) => {
+          fs.createReadStream(decodeURIComponent(url.parse(sourceArchiveUrl).pathname))
+            .on('error', (err) => reject(new Errors.InvalidArgumentError(`Failed to read ${sourceArchiveUrl}: ${err.message}`)))
+            .pipe(fs.createWriteStream(destination))
+            .on('error', reject)
+            .on('finish', resolve);
+        });
+      };
+    } else {
+      return Promise.reject(new Errors.InvalidArgumentError(`Unsupported archive url: ${sourceArchiveUrl}`));
+    }
+
+    cloudfunction.sourceUploadUrl = CloudFunction.generateUploadUrl(this.config);
+    return download(CloudFunction.getArchive(cloudfunction));
+  }
+
+  _getUnpackDir (archive) {
+    const parts = path.parse(archive);
+    return path.join(parts.dir, parts.name);
+  }
+
+  /**
+   * Makes the source of a CloudFunction available on the local file system,
+   * in a way that depends on where the source comes from:
+   *
+   *   - a local directory is loaded as is
+   *   - a source repository is cloned
+   *   - an uploaded archive is extracted
+   *   - the archive at "sourceArchiveUrl" is downloaded, then extracted
+   *
+   * @method Functions#_unpackArchive
+   * @private
+   * @param {object} cloudfunction The CloudFunction.
+   * @param {object} [operation] The Operation of the deployment.
+   * @returns {Promise}
+   */
+  _unpackArchive (cloudfunction, operation) {
     logger.debug('Functions#_unpackArchive', cloudfunction);
     return Promise.resolve()
       .then(() => {
-        const sourceArchiveUrl = cloudfunction.gcsUrl || cloudfunction.sourceArchiveUrl || '';
-        let archive = CloudFunction.getArchive(cloudfunction);
-        let localdir = CloudFunction.getLocaldir(cloudfunction);
+        const archive = CloudFunction.getArchive(cloudfunction);
 
-        if (localdir) {
+        if (CloudFunction.getLocaldir(cloudfunction)) {
           logger.debug('Functions#_unpackArchive', 'Function will be loaded from local file system.');
-          return cloudfunction;
+          return;
         }
 
         logger.debug('Functions#_unpackArchive', 'Function source will be unpacked.');
 
-        if (archive) {
-          const zip = new AdmZip(archive);
-          const parts = path.parse(archive);
-          localdir = path.join(parts.dir, parts.name);
-          CloudFunction.addLocaldir(cloudfunction, localdir);
-          zip.extractAllTo(localdir);
-          return this._prepDir(localdir)
-            .then(() => this.adapter.createFunction(cloudfunction))
-            .then(() => cloudfunction);
-        } else if (sourceArchiveUrl.startsWith('gs://') && !archive) {
-          const matches = sourceArchiveUrl.match(GCS_URL);
-          if (!matches) {
-            throw new Error(`Unsupported archive url: ${sourceArchiveUrl}`);
-          }
-          const parts = CloudFunction.parseName(cloudfunction.name);
-          const storage = Storage({
-            projectId: parts.project
-          });
-          const file = storage.bucket(matches[1]).file(matches[2]);
-
-          cloudfunction.sourceUploadUrl = CloudFunction.generateUploadUrl(this.config);
-          let zipName = CloudFunction.getArchive(cloudfunction);
+        if (cloudfunction.sourceRepository) {
+          return this._cloneRepository(cloudfunction, operation);
+        } else if (archive && fs.existsSync(archive)) {
+          return this._extractArchive(cloudfunction, operation);
+        } else if (cloudfunction.sourceArchiveUrl || cloudfunction.gcsUrl) {
+          cloudfunction.sourceArchiveUrl = cloudfunction.gcsUrl || cloudfunction.sourceArchiveUrl;
+          return this._fetchArchive(cloudfunction)
+            .then(() => this._extractArchive(cloudfunction, operation));
+        } else {
+          throw new Errors.InvalidArgumentError('Unsupported source: specify a "sourceArchiveUrl", a "sourceUploadUrl" or a "sourceRepository".');
+        }
+      })
+      .then(() => cloudfunction);
+  }
 
-          return file.download({ destination: zipName })
-            .then(() => {
-              const zip = new AdmZip(zipName);
-              const parts = path.parse(zipName);
-              localdir = path.join(parts.dir, parts.name);
-              CloudFunction.addLocaldir(cloudfunction, localdir);
-              zip.extractAllTo(localdir);
+  /**
+   * Cancels a pending Operation. A deployment that is in progress is stopped,
+   * killing any dependency installation it is running, and finishes with a
+   * CANCELLED error.
+   *
+   * @method Functions#cancelOperation
+   * @param {string} name The name of the Operation to cancel.
+   * @returns {Promise}
+   */
+  cancelOperation (name) {
+    logger.debug('Functions#cancelOperation', name);
+    return this.getOperation(name)
+      .then((operation) => {
+        if (operation.done) {
+          throw new Errors.FailedPreconditionError(`Operation ${name} has already finished`);
+        }
 
-              return this._prepDir(localdir);
-            })
-            .then(() => this.adapter.createFunction(cloudfunction))
-            .then(() => cloudfunction);
-        } else {
-          throw new Error(`Unsupported archive url: ${sourceArchiveUrl}`);
+        const deployment = this._deployments.get(name);
+        if (deployment) {
+          // The deployment records the error itself once it stops
+          deployment.cancelled = true;
+          if (deployment.process) {
+            deployment.process.kill();
+          }
+          return;
         }
+
+        // Nothing is running the Operation any more, e.g. the Emulator was
+        // restarted in the middle of it
+        operation.done = true;
+        operation.error = JSON.parse(JSON.stringify(new Errors.CancelledError(`Operation ${name} was cancelled`)));
+        return this.adapter.updateOperation(name, operation);
       });
   }
 
@@ -306,7 +718,9 @@ class Functions {
    */
   _createFunctionError (name, err) {
     logger.error(err);
-    err = new Errors.InternalError(err.message);
+    if (!(err instanceof Errors.InvalidArgumentError)) {
+      err = new Errors.InternalError(err.message);
+    }
     return Promise.reject(err);
   }
 
@@ -343,12 +757,18 @@ class Functions {
 
         // TODO: Filter out fields that cannot be edited by the user
         cloudfunction = this.cloudfunction(cloudfunction.name, cloudfunction);
+        cloudfunction.versionId = 1;
       })
       .catch((err) => this._createFunctionError(cloudfunction.name, err))
       .then(() => this._assertFunctionDoesNotExist(cloudfunction.name))
       .then(() => {
         const parts = CloudFunction.parseName(cloudfunction.name);
 
+        this._assertMemory(cloudfunction);
+        this._assertRuntime(cloudfunction);
+        this._assertSignatureType(cloudfunction);
+        this._assertEnvironmentVariables(cloudfunction);
+
         cloudfunction.status = 'DEPLOYING';
         if (cloudfunction.httpsTrigger) {
           cloudfunction.httpsTrigger.url = `http://${this.config.host}:${this.config.supervisorPort}/${parts.project}/${parts.location}/${parts.name}`;
@@ -376,18 +796,31 @@ class Functions {
         ]);
       })
       .then(() => {
+        // Registered now so that the deployment can be cancelled as soon as
+        // its Operation is returned
+        this._deployments.set(operation.name, { cancelled: false, process: null });
+
         // Deploy the function out of band
         setImmediate(() => {
           cloudfunction.latestOperation = operation.name;
-          cloudfunction.availableMemoryMb = Math.floor(os.totalmem() / 1000000);
 
           // Create the CloudFunction
-          this._unpackArchive(cloudfunction)
+          this._unpackArchive(cloudfunction, operation)
             .then((_cloudfunction) => {
               cloudfunction = _cloudfunction;
-
+              return this._validateFunction(cloudfunction);
+            })
+            .then(() => {
+              // The Supervisor loads the function from where it was unpacked
+              return this.adapter.createFunction(cloudfunction);
+            })
+            .then(() => {
               return new Promise((resolve, reject) => {
                 setTimeout(() => {
+                  if (this._isCancelled(operation)) {
+                    reject(new Errors.CancelledError(`Operation ${operation.name} was cancelled`));
+                    return;
+                  }
                   got.post(`${this.getSupervisorHost()}/api/deploy`, {
                     body: {
                       name: cloudfunction.name
@@ -417,14 +850,15 @@ class Functions {
               return Promise.all([
                 // Fire off the request to update the Operation
                 this.adapter.updateOperation(operation.name, operation),
-                this.adapter.createFunction(cloudfunction)
+                this.adapter.createFunction(cloudfunction),
+                this._createVersion(cloudfunction)
               ]);
             })
             .catch((err) => this._createFunctionError(cloudfunction.name, err))
             .catch((err) => {
               cloudfunction.status = 'FAILED';
               operation.done = true;
-              operation.error = JSON.parse(JSON.stringify(err));
+              operation.error = JSON.parse(JSON.stringify(this._isCancelled(operation) ? new Errors.CancelledError(`Operation ${operation.name} was cancelled`) : err));
 
               return Promise.all([
                 // Fire off the request to update the Operation
@@ -432,7 +866,8 @@ class Functions {
                 this.adapter.createFunction(cloudfunction)
               ]);
             })
-            .catch(logger.error);
+            .catch(logger.error)
+            .then(() => this._deployments.delete(operation.name));
         });
 
         // Return the operation to the caller
@@ -440,6 +875,49 @@ class Functions {
       });
   }
 
+  /**
+   * Records an event that could not be delivered to a CloudFunction.
+   *
+   * @method Functions#createDeadLetter
+   * @param {object} deadLetter The undelivered event and its delivery history.
+   * @param {string} deadLetter.function The name of the CloudFunction.
+   * @param {object} deadLetter.event The event envelope.
+   * @param {number} deadLetter.attempts How many times delivery was attempted.
+   * @returns {Promise}
+   */
+  createDeadLetter (deadLetter) {
+    logger.debug('Functions#createDeadLetter', deadLetter.function);
+    return this.adapter.createDeadLetter(_.cloneDeep(deadLetter));
+  }
+
+  /**
+   * Records a finished execution of a CloudFunction. Only the most recent
+   * executions are kept, see the "maxExecutions" setting.
+   *
+   * @method Functions#createExecution
+   * @param {object} execution The execution's record.
+   * @param {string} execution.executionId The ID of the execution.
+   * @param {string} execution.function The name of the CloudFunction.
+   * @returns {Promise}
+   */
+  createExecution (execution) {
+    logger.debug('Functions#createExecution', execution.executionId);
+    return this.adapter.createExecution(_.cloneDeep(execution));
+  }
+
+  /**
+   * Deletes a dead letter.
+   *
+   * @method Functions#deleteDeadLetter
+   * @param {string} name The name of the dead letter.
+   * @returns {Promise}
+   */
+  deleteDeadLetter (name) {
+    logger.debug('Functions#deleteDeadLetter', name);
+    return this.getDeadLetter(name)
+      .then(() => this.adapter.deleteDeadLetter(name));
+  }
+
   /**
    * Formats an error used when there is a general error deleting a
    * CloudFunction.
@@ -501,25 +979,13 @@ class Functions {
           .then(() => {
             // Asynchronously perform the deletion of the CloudFunction
             setImmediate(() => {
-              const archive = CloudFunction.getArchive(cloudfunction);
-              const localdir = CloudFunction.getLocaldir(cloudfunction);
-              if (archive) {
-                try {
-                  fs.unlinkSync(archive);
-                } catch (err) {
-                  // Ignore error
-                }
-                if (localdir && archive.startsWith(localdir)) {
-                  try {
-                    rimraf.sync(localdir);
-                  } catch (err) {
-                    // Ignore error
-                  }
-                }
-              }
-
-              // Delete the CloudFunction
-              this.adapter.deleteFunction(name)
+              // Delete the CloudFunction and its versions
+              this.adapter.listVersions(name)
+                .then((versions) => {
+                  this._deleteSource([cloudfunction].concat(versions.map((version) => version.cloudfunction)));
+                  return Promise.all(versions.map((version) => this.adapter.deleteVersion(version.name)));
+                })
+                .then(() => this.adapter.deleteFunction(name))
                 .then(() => {
                   return got.post(`${this.getSupervisorHost()}/api/delete`, {
                     body: {
@@ -547,6 +1013,42 @@ class Functions {
       });
   }
 
+  /**
+   * Gets a dead letter.
+   *
+   * @method Functions#getDeadLetter
+   * @param {string} name The name of the dead letter.
+   * @returns {Promise}
+   */
+  getDeadLetter (name) {
+    logger.debug('Functions#getDeadLetter', name);
+    return this.adapter.getDeadLetter(name)
+      .then((deadLetter) => {
+        if (!deadLetter) {
+          return Promise.reject(new Errors.NotFoundError(`Dead letter ${name} does not exist`));
+        }
+        return deadLetter;
+      });
+  }
+
+  /**
+   * Gets the record of an execution.
+   *
+   * @method Functions#getExecution
+   * @param {string} executionId The ID of the execution.
+   * @returns {Promise}
+   */
+  getExecution (executionId) {
+    logger.debug('Functions#getExecution', executionId);
+    return this.adapter.getExecution(executionId)
+      .then((execution) => {
+        if (!execution) {
+          return Promise.reject(new Errors.NotFoundError(`Execution ${executionId} does not exist`));
+        }
+        return execution;
+      });
+  }
+
   /**
    * Formats an error used when a requested CloudFunction does not exist.
    *
@@ -596,6 +1098,25 @@ class Functions {
       }, (err) => this._getFunctionError(name, err));
   }
 
+  /**
+   * Gets a version of a CloudFunction.
+   *
+   * @method Functions#getVersion
+   * @param {string} name The name of the CloudFunction.
+   * @param {number} versionId The ID of the version.
+   * @returns {Promise}
+   */
+  getVersion (name, versionId) {
+    logger.debug('Functions#getVersion', name, versionId);
+    return this.adapter.getVersion(`${name}/versions/${versionId}`)
+      .then((version) => {
+        if (!version) {
+          return Promise.reject(new Errors.NotFoundError(`Version ${versionId} of function ${name} does not exist`));
+        }
+        return version;
+      });
+  }
+
   getSupervisorHost () {
     return `http://${this.config.bindHost}:${this.config.supervisorPort}`;
   }
@@ -648,6 +1169,73 @@ class Functions {
       }, (err) => this._getOperationError(err));
   }
 
+  /**
+   * Lists dead letters, oldest first.
+   *
+   * @method Functions#listDeadLetters
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.function] Only list the dead letters of the
+   *     CloudFunction with this name.
+   * @returns {Promise}
+   */
+  listDeadLetters (opts = {}) {
+    return this.adapter.listDeadLetters()
+      .then((deadLetters) => {
+        return _.sortBy(deadLetters, 'lastAttemptTime')
+          .filter((deadLetter) => !opts.function || deadLetter.function === opts.function);
+      });
+  }
+
+  /**
+   * Lists the records of recent executions, oldest first.
+   *
+   * @method Functions#listExecutions
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.function] Only list the executions of the
+   *     CloudFunction with this name.
+   * @param {string} [opts.status] Only list executions that finished with this
+   *     status: "ok", "error", "crash" or "timeout".
+   * @param {number} [opts.limit] Only list this many of the most recent
+   *     executions.
+   * @returns {Promise}
+   */
+  listExecutions (opts = {}) {
+    return this.adapter.listExecutions()
+      .then((executions) => {
+        executions = executions.filter((execution) => {
+          return (!opts.function || execution.function === opts.function) &&
+            (!opts.status || execution.status === opts.status);
+        });
+        return opts.limit > 0 ? executions.slice(-opts.limit) : executions;
+      });
+  }
+
+  /**
+   * Lists Operations, least recently updated first.
+   *
+   * @method Functions#listOperations
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.function] Only list the Operations that target the
+   *     CloudFunction with this name.
+   * @param {boolean} [opts.done] Only list finished (true) or pending (false)
+   *     Operations.
+   * @param {number} [opts.limit] Only list this many of the most recently
+   *     updated Operations.
+   * @returns {Promise}
+   */
+  listOperations (opts = {}) {
+    return this.adapter.listOperations()
+      .then((operations) => {
+        operations = _.sortBy(operations, (operation) => _.get(operation, 'metadata.value.updateTime', ''))
+          .filter((operation) => {
+            return (!opts.function || _.get(operation, 'metadata.value.target') === opts.function) &&
+              (typeof opts.done !== 'boolean' || !!operation.done === opts.done);
+          })
+          .map((operation) => this.operation(operation.name, operation));
+        return opts.limit > 0 ? operations.slice(-opts.limit) : operations;
+      });
+  }
+
   /**
    * Lists CloudFunction.
    *
@@ -656,40 +1244,83 @@ class Functions {
    *     the CloudFunctions should be listed, specified in the format:
    *         projects/PROJECT/locations/LOCATION
    *     If you want to list functions in all locations, use '-' in place of a
-   *     location.
+   *     location. Likewise, use '-' in place of a project to list functions in
+   *     all projects.
    * @param {object} [opts] Configuration options.
-   * @param {number} [opts.pageSize] Maximum number of functions to return.
+   * @param {number} [opts.pageSize] Maximum number of functions to return. By
+   *     default all functions are returned.
    * @param {string} [opts.pageToken] The value returned by the last
    *     ListFunctionsResponse; indicates that this is a continuation of a prior
    *     ListFunctions call, and that the system should return the next page of
    *     data.
-   * @returns {Promise}
+   * @returns {Promise} Resolves with the "functions", sorted by name, and the
+   *     "nextPageToken", which is empty on the last page.
    */
   listFunctions (location, opts = {}) {
+    let parent, pageSize, after;
+
     return Promise.resolve()
       .then(() => {
-        // TODO: Convert these to the proper format
         if (!location) {
-          throw new Error('"location" is required!');
+          throw new Errors.InvalidArgumentError('"location" is required!');
         } else if (typeof location !== 'string') {
-          throw new Error('"location" must be a string!');
-        } else if (opts && opts.pageSize) {
-          opts.pageSize = parseInt(opts.pageSize, 10);
-          if (isNaN(opts.pageSize) || typeof opts.pageSize !== 'number') {
-            throw new Error('"pageSize" must be a number!');
+          throw new Errors.InvalidArgumentError('"location" must be a string!');
+        }
+        parent = CloudFunction.parseLocation(location);
+        if (!parent.project) {
+          throw new Errors.InvalidArgumentError(`Invalid location: ${location}`);
+        }
+        if (opts.pageSize) {
+          pageSize = parseInt(opts.pageSize, 10);
+          if (isNaN(pageSize) || pageSize < 0) {
+            throw new Errors.InvalidArgumentError('"pageSize" must be a non-negative number!');
           }
-        } else if (opts && opts.pageToken && typeof opts.pageToken !== 'string') {
-          throw new Error('"pageToken" must be a string!');
+        }
+        if (opts.pageToken) {
+          after = parsePageToken(opts.pageToken, location);
         }
 
-        return this.adapter.listFunctions(opts);
+        return this.adapter.listFunctions();
       })
-      .then((response) => {
-        response.functions = response.functions.map((func) => this.cloudfunction(func.name, func));
-        return response;
+      .then((cloudfunctions) => {
+        cloudfunctions = _.sortBy(cloudfunctions.filter((cloudfunction) => {
+          const parts = CloudFunction.parseName(cloudfunction.name);
+          return (parent.project === '-' || parts.project === parent.project) &&
+            (parent.location === '-' || parts.location === parent.location);
+        }), 'name');
+
+        // Continue after the last function of the previous page, so that
+        // functions deployed or deleted in between don't shift the pages
+        if (after) {
+          cloudfunctions = cloudfunctions.filter((cloudfunction) => cloudfunction.name > after);
+        }
+        let nextPageToken = '';
+        if (pageSize && cloudfunctions.length > pageSize) {
+          cloudfunctions = cloudfunctions.slice(0, pageSize);
+          nextPageToken = formatPageToken(_.last(cloudfunctions).name, location);
+        }
+
+        return {
+          functions: cloudfunctions.map((func) => this.cloudfunction(func.name, func)),
+          nextPageToken
+        };
       });
   }
 
+  /**
+   * Lists the kept versions of a CloudFunction, most recent first.
+   *
+   * @method Functions#listVersions
+   * @param {string} name The name of the CloudFunction.
+   * @returns {Promise}
+   */
+  listVersions (name) {
+    logger.debug('Functions#listVersions', name);
+    return this.getFunction(name)
+      .then(() => this.adapter.listVersions(name))
+      .then((versions) => versions.reverse());
+  }
+
   /**
    * Returns a new Operation instance, initialized with the provided name and
    * properties.
@@ -706,6 +1337,275 @@ class Functions {
     }
     return new Operation(name, props);
   }
+
+  /**
+   * Redeploys a previous version of a CloudFunction as its new version. Code
+   * that was deployed from the user's file system is restored from the
+   * version's source archive.
+   *
+   * @method Functions#rollbackFunction
+   * @param {string} name The name of the CloudFunction.
+   * @param {number} [versionId] The ID of the version to roll back to.
+   *     Defaults to the version before the current one.
+   * @returns {Promise}
+   */
+  rollbackFunction (name, versionId) {
+    logger.debug('Functions#rollbackFunction', name, versionId);
+    return Promise.all([this.getFunction(name), this.listVersions(name)])
+      .then(([cloudfunction, versions]) => {
+        let version;
+        if (versionId) {
+          version = _.find(versions, { versionId: parseInt(versionId, 10) });
+          if (!version) {
+            return Promise.reject(new Errors.NotFoundError(`Version ${versionId} of function ${name} does not exist`));
+          }
+        } else {
+          version = versions.find((version) => version.versionId < cloudfunction.versionId);
+          if (!version) {
+            return Promise.reject(new Errors.NotFoundError(`Function ${name} has no previous version`));
+          }
+        }
+
+        const previous = _.cloneDeep(version.cloudfunction);
+        const archive = CloudFunction.getArchive(previous);
+        const localdir = CloudFunction.getLocaldir(previous);
+        if (archive && fs.existsSync(archive) && localdir && !archive.startsWith(localdir)) {
+          // The user's files may have changed since, so unpack the archive
+          // that was uploaded instead
+          CloudFunction.removeLocaldir(previous);
+        }
+
+        return this.updateFunction(name, previous, UPDATABLE_FIELDS.join(','));
+      });
+  }
+
+  /**
+   * Formats an error used when there is a general error updating a
+   * CloudFunction.
+   *
+   * @method Functions#_updateFunctionError
+   * @private
+   * @param {string} name The name of the CloudFunction to update.
+   * @param {object} err The error.
+   * @returns {Promise}
+   */
+  _updateFunctionError (name, err) {
+    if (err instanceof Errors.InvalidArgumentError || err instanceof Errors.NotFoundError) {
+      return Promise.reject(err);
+    }
+    logger.error(err);
+    return Promise.reject(new Errors.InternalError(err.message));
+  }
+
+  /**
+   * Updates a CloudFunction. Only the fields named in the update mask are
+   * changed, or every updatable field of "cloudfunction" if there is no mask.
+   * The new source is loaded by the Supervisor before it replaces the running
+   * version, so a failed update leaves the previous version serving.
+   *
+   * @method Functions#updateFunction
+   * @param {string} name The name of the CloudFunction to update.
+   * @param {object} cloudfunction The new CloudFunction configuration.
+   * @param {string} [updateMask] Comma-separated paths of the fields to update.
+   * @returns {Promise}
+   */
+  updateFunction (name, cloudfunction = {}, updateMask) {
+    let existing, operation, updated;
+    logger.debug('Functions#updateFunction', name, cloudfunction, updateMask);
+
+    return this.getFunction(name)
+      .then((_existing) => {
+        existing = _existing;
+
+        const paths = updateMask
+          ? updateMask.split(',').map((path) => path.trim()).filter((path) => path)
+          : UPDATABLE_FIELDS.filter((field) => cloudfunction[field] !== undefined);
+        paths.forEach((path) => {
+          if (!UPDATABLE_FIELDS.includes(path.split('.')[0])) {
+            const err = new Errors.InvalidArgumentError(`Invalid field in updateMask: ${path}. Must be one of: ${UPDATABLE_FIELDS.join(', ')}.`);
+            err.details.push(new Errors.BadRequest(err, 'updateMask'));
+            throw err;
+          }
+        });
+        if (!paths.length) {
+          const err = new Errors.InvalidArgumentError('No fields to update.');
+          err.details.push(new Errors.BadRequest(err, 'updateMask'));
+          throw err;
+        }
+
+        updated = this.cloudfunction(name, _.cloneDeep(_.omit(existing, ['latestOperation', 'status'])));
+        paths.forEach((path) => {
+          const value = _.get(cloudfunction, path);
+          if (value === undefined || value === null) {
+            _.unset(updated, path);
+          } else {
+            _.set(updated, path, _.cloneDeep(value));
+          }
+        });
+        updated.versionId = (existing.versionId || 0) + 1;
+
+        if (!updated.httpsTrigger === !updated.eventTrigger) {
+          const err = new Errors.InvalidArgumentError('Exactly one of httpsTrigger or eventTrigger is required.');
+          err.details.push(new Errors.BadRequest(err, 'updateMask'));
+          throw err;
+        }
+        if (paths.includes('availableMemoryMb')) {
+          this._assertMemory(updated);
+        } else if (!CloudFunction.MEMORY_SIZES_MB.includes(updated.availableMemoryMb)) {
+          // Functions deployed by earlier versions of the Emulator recorded the
+          // host's total memory, which isn't a valid size
+          updated.availableMemoryMb = CloudFunction.DEFAULT_MEMORY_MB;
+        }
+        this._assertRuntime(updated);
+        this._assertSignatureType(updated);
+        this._assertEnvironmentVariables(updated);
+        if (updated.httpsTrigger) {
+          const parts = CloudFunction.parseName(name);
+          updated.httpsTrigger.url = `http://${this.config.host}:${this.config.supervisorPort}/${parts.project}/${parts.location}/${parts.name}`;
+        }
+
+        // Prepare the Operation
+        operation = this.operation(Operation.generateId(), {
+          done: false,
+          metadata: {
+            typeUrl: 'types.googleapis.com/google.cloud.functions.v1beta2.OperationMetadataV1Beta2',
+            value: {
+              target: name,
+              type: 2,
+              request: {
+                typeUrl: 'types.googleapis.com/google.cloud.functions.v1beta2.UpdateFunctionRequest',
+                value: {
+                  function: _.cloneDeep(cloudfunction),
+                  updateMask: paths.join(',')
+                }
+              }
+            }
+          }
+        });
+
+        return this.adapter.createOperation(operation);
+      })
+      .then(() => {
+        // The previous version keeps serving until the update succeeds
+        existing.latestOperation = operation.name;
+        return this.adapter.createFunction(existing);
+      })
+      .catch((err) => this._updateFunctionError(name, err))
+      .then(() => {
+        this._deployments.set(operation.name, { cancelled: false, process: null });
+
+        // Deploy the new version out of band
+        setImmediate(() => {
+          updated.latestOperation = operation.name;
+
+          this._unpackArchive(updated, operation)
+            .then(() => {
+              if (this._isCancelled(operation)) {
+                throw new Errors.CancelledError(`Operation ${operation.name} was cancelled`);
+              }
+              return this._validateFunction(updated);
+            })
+            .then(() => {
+              updated.status = 'READY';
+              return got.post(`${this.getSupervisorHost()}/api/update`, {
+                body: {
+                  name,
+                  cloudfunction: updated
+                },
+                json: true
+              }).catch((err) => {
+                if (err && err.response && err.response.body) {
+                  err = err.response.body.error || err.response.body;
+                }
+                return Promise.reject(err);
+              });
+            })
+            .then(() => {
+              operation.done = true;
+              operation.response = {
+                typeUrl: 'types.googleapis.com/google.cloud.functions.v1beta2.CloudFunction',
+                value: _.cloneDeep(updated)
+              };
+
+              return Promise.all([
+                // Fire off the request to update the Operation
+                this.adapter.updateOperation(operation.name, operation),
+                this.adapter.createFunction(updated),
+                this._createVersion(updated)
+              ]);
+            })
+            .catch((err) => this._updateFunctionError(name, err))
+            .catch((err) => {
+              operation.done = true;
+              operation.error = JSON.parse(JSON.stringify(this._isCancelled(operation) ? new Errors.CancelledError(`Operation ${operation.name} was cancelled`) : err));
+
+              // Fire off the request to update the Operation
+              return this.adapter.updateOperation(operation.name, operation);
+            })
+            .catch(logger.error)
+            .then(() => this._deployments.delete(operation.name));
+        });
+
+        // Return the operation to the caller
+        return operation;
+      });
+  }
+
+  /**
+   * Has the Supervisor load a function in a throwaway worker, to check that
+   * its module loads and exports its entry point.
+   *
+   * @method Functions#_validateFunction
+   * @private
+   * @param {object} cloudfunction The unpacked CloudFunction.
+   * @returns {Promise} Rejects with an InvalidArgumentError if the function is
+   *     invalid.
+   */
+  _validateFunction (cloudfunction) {
+    return got.post(`${this.getSupervisorHost()}/api/validate`, {
+      body: {
+        cloudfunction
+      },
+      json: true
+    }).catch((err) => {
+      if (err && err.response && err.response.body && err.response.body.error) {
+        err = err.response.body.error;
+        if (err.status === 'INVALID_ARGUMENT') {
+          err = new Errors.InvalidArgumentError(err.message);
+        }
+      }
+      return Promise.reject(err);
+    });
+  }
+
+  /**
+   * Waits for an Operation to finish.
+   *
+   * @method Functions#waitOperation
+   * @param {string} name The name of the Operation to wait for.
+   * @param {number} [timeout] How long to wait, in milliseconds. Defaults to 60
+   *     seconds.
+   * @returns {Promise} Resolves with the Operation, which is still pending if
+   *     the timeout elapsed first.
+   */
+  waitOperation (name, timeout = 60000) {
+    logger.debug('Functions#waitOperation', name);
+    const deadline = Date.now() + timeout;
+
+    const poll = () => {
+      return this.getOperation(name)
+        .then((operation) => {
+          if (operation.done || Date.now() >= deadline) {
+            return operation;
+          }
+          return new Promise((resolve) => {
+            setTimeout(resolve, Math.min(OPERATION_POLL_INTERVAL, deadline - Date.now()));
+          }).then(poll);
+        });
+    };
+
+    return poll();
+  }
 }
 
 module.exports = Functions;
@@ -102,6 +102,39 @@ class Operation {
     return `operations/${uuid.v4()}`;
   }
 
+  /**
+   * Returns the state of an Operation: "RUNNING", "SUCCEEDED", "FAILED" or
+   * "CANCELLED".
+   *
+   * @method Operation.getStatus
+   * @param {object} operation The Operation.
+   * @returns {string} The state of the Operation.
+   */
+  static getStatus (operation = {}) {
+    if (!operation.done) {
+      return 'RUNNING';
+    } else if (!operation.error) {
+      return 'SUCCEEDED';
+    } else if (operation.error.code === Errors.status.CANCELLED) {
+      return 'CANCELLED';
+    }
+    return 'FAILED';
+  }
+
+  /**
+   * Returns the kind of request that started an Operation, e.g. "CREATE" for
+   * a "CreateFunctionRequest".
+   *
+   * @method Operation.getType
+   * @param {object} operation The Operation.
+   * @returns {string} The kind of request.
+   */
+  static getType (operation = {}) {
+    const typeUrl = _.get(operation, 'metadata.value.request.typeUrl', '');
+    const matches = typeUrl.match(/\.([A-Za-z]+)FunctionRequest$/);
+    return matches ? matches[1].toUpperCase() : 'UNKNOWN';
+  }
+
   /**
    * Parses a formatted Operation name string.
    *
@@ -34,8 +34,20 @@ module.exports = {
     requiresArg: true,
     type: 'string'
   },
+  runtimes: {
+    coerce: (value) => typeof value === 'string' ? JSON.parse(value || '{}') : value,
+    description: `A JSON object mapping the runtimes functions can be deployed with to the Node.js executables that run them, e.g. ${'{"nodejs8": "/usr/local/bin/node8"}'.green}. The runtime of the Node.js running the Emulator needs no mapping. ${'Default:'.bold} ${'{}'.green}`,
+    requiresArg: true,
+    type: 'string'
+  },
+  stateDir: {
+    description: `The directory in which the ${'directory'.green} storage keeps its files. Give each Emulator its own directory to keep their state apart. ${'Default:'.bold} ${'state'.green} in the Emulator's config directory`,
+    requiresArg: true,
+    type: 'string'
+  },
   storage: {
-    description: `The only choice right now is ${'configstore'.green}. ${'Default:'.bold} ${defaults.storage.toString().green}`,
+    description: `Where the Emulator stores deployed functions and operations: ${'configstore'.green} (a file shared by all Emulators run by the user), ${'directory'.green} (one file per function or operation in ${'stateDir'.bold}), or ${'memory'.green} (discarded when the Emulator stops). ${'Default:'.bold} ${defaults.storage.toString().green}`,
+    choices: ['configstore', 'directory', 'memory'],
     requiresArg: true,
     type: 'string'
   },
@@ -52,11 +64,43 @@ module.exports = {
   /**
    * Emulator settings
    */
+  backgroundWork: {
+    description: `What happens when a function execution finishes while work it started, e.g. a timer, a promise or a network request, is still pending: ${'ignore'.green}; ${'warn'.green}, which logs a warning naming the pending operations and where they were created; or ${'fail'.green}, which also logs an error and shuts the instance down before it serves another request, so that the work never completes. Tracking the work slows functions down. In production, the CPU is throttled once a function responds or signals completion. ${'Default:'.bold} ${defaults.backgroundWork.toString().green}`,
+    choices: ['ignore', 'warn', 'fail'],
+    requiresArg: true,
+    type: 'string'
+  },
   bindHost: {
     description: `The address to bind the listener to. ${'Default:'.bold} ${defaults.bindHost.toString().green}`,
     requiresArg: true,
     type: 'string'
   },
+  cleanEnv: {
+    description: `When ${'true'.bold}, function workers are started with a clean environment, like in production, instead of inheriting the Emulator's. They only get the variables the production runtime sets, those deployed with the function, and the few that Node.js needs, e.g. ${'PATH'.bold} and ${'HOME'.bold}. ${'Default:'.bold} ${defaults.cleanEnv.toString().green}`,
+    requiresArg: false,
+    type: 'boolean'
+  },
+  cloudEventMode: {
+    description: `How CloudEvents are sent to functions deployed with ${'--signature-type=cloudevent'.bold}: ${'binary'.green}, with the attributes in ${'ce-'.bold} headers and the data as the body, or ${'structured'.green}, with the whole CloudEvent as an ${'application/cloudevents+json'.bold} body. ${'Default:'.bold} ${defaults.cloudEventMode.toString().green}`,
+    choices: ['binary', 'structured'],
+    requiresArg: true,
+    type: 'string'
+  },
+  coldStart: {
+    description: `Which function invocations are forced to start a new worker instance, to expose the cost of cold starts: ${'always'.bold}, ${'never'.bold}, or the probability (between ${'0'.bold} and ${'1'.bold}) that an invocation is a cold start. ${'Default:'.bold} ${defaults.coldStart.toString().green}`,
+    requiresArg: true,
+    type: 'string'
+  },
+  concurrency: {
+    description: `Maximum number of requests a single worker instance of a function handles at once. When every instance is this busy and no more instances may be started, requests wait for an instance to become available. Set to ${'1'.bold} to mimic production, where each instance handles one request at a time, or ${'0'.bold} for no limit. ${'Default:'.bold} ${defaults.concurrency.toString().green}`,
+    requiresArg: true,
+    type: 'number'
+  },
+  dependencyCacheDir: {
+    description: `The directory in which the Emulator caches the dependencies installed for deployed functions. Functions whose ${'package.json'.green} and lockfile are identical, and that use the same runtime, share the same dependencies. ${'Default:'.bold} ${'dependencies'.green} in the system's temporary directory`,
+    requiresArg: true,
+    type: 'string'
+  },
   host: {
     description: `The host of the Cloud Functions Emulator. ${'Default:'.bold} ${defaults.host.toString().green}`,
     requiresArg: true,
@@ -72,16 +116,66 @@ module.exports = {
     requiresArg: true,
     type: 'string'
   },
+  maxExecutions: {
+    description: `Maximum number of execution records kept by the Emulator. Older records are discarded. Run ${'functions executions list'.bold} to view them. ${'Default:'.bold} ${defaults.maxExecutions.toString().green}`,
+    requiresArg: true,
+    type: 'number'
+  },
   maxIdle: {
     description: `Maximum time (in milliseconds) a worker function can sit idle before it will be closed. ${'Default:'.bold} ${defaults.maxIdle.toString().green}`,
     requiresArg: true,
     type: 'number'
   },
+  maxInstances: {
+    description: `Maximum number of worker instances the Emulator runs for each function. A function deployed with ${'--max-instances'.bold} uses its own limit instead. Set to ${'0'.bold} for no limit. ${'Default:'.bold} ${defaults.maxInstances.toString().green}`,
+    requiresArg: true,
+    type: 'number'
+  },
+  maxOperations: {
+    description: `Maximum number of finished operations kept by the Emulator. Older operations are discarded, while operations that are still running are always kept. Run ${'functions operations list'.bold} to view them. ${'Default:'.bold} ${defaults.maxOperations.toString().green}`,
+    requiresArg: true,
+    type: 'number'
+  },
+  maxVersions: {
+    description: `Number of versions of each function kept by the Emulator, including their source archives. Older versions are discarded. Run ${'functions versions list'.bold} to view them and ${'functions rollback'.bold} to redeploy one. ${'Default:'.bold} ${defaults.maxVersions.toString().green}`,
+    requiresArg: true,
+    type: 'number'
+  },
+  offline: {
+    description: `When ${'true'.bold}, dependencies are only installed from the Emulator's dependency cache or the package manager's own cache, and deployments whose dependencies are missing from both fail without accessing the network. ${'Default:'.bold} ${defaults.offline.toString().green}`,
+    requiresArg: false,
+    type: 'boolean'
+  },
+  readOnlyFs: {
+    description: `When ${'true'.bold}, functions may only write to their worker's private temporary directory, which ${'os.tmpdir()'.bold} returns, as in production, where only ${'/tmp'.bold} is writable. Writes elsewhere through the ${'fs'.bold} module fail with an ${'EROFS'.bold} error. ${'Default:'.bold} ${defaults.readOnlyFs.toString().green}`,
+    requiresArg: false,
+    type: 'boolean'
+  },
+  recordDir: {
+    description: `When set, every invocation received by the Supervisor is saved as a fixture file in this directory, which can be re-sent with ${'functions replay'.bold}. Leave empty to disable recording. ${'Default:'.bold} ${'(empty)'.green}`,
+    requiresArg: true,
+    type: 'string'
+  },
   restPort: {
     description: `The port of the Cloud Functions Emulator REST API. ${'Default:'.bold} ${defaults.restPort.toString().green}`,
     requiresArg: true,
     type: 'number'
   },
+  retryBackoff: {
+    description: `How long (in milliseconds) to wait before redelivering an event to a function deployed with ${'--retry'.bold}. The wait doubles after each failed attempt, up to one minute. ${'Default:'.bold} ${defaults.retryBackoff.toString().green}`,
+    requiresArg: true,
+    type: 'number'
+  },
+  retryMaxAge: {
+    description: `Maximum time (in milliseconds) after the first delivery attempt that an event will be redelivered to a function deployed with ${'--retry'.bold}. ${'Default:'.bold} ${defaults.retryMaxAge.toString().green}`,
+    requiresArg: true,
+    type: 'number'
+  },
+  retryMaxAttempts: {
+    description: `Maximum number of times an event will be delivered to a function deployed with ${'--retry'.bold} before it is moved to the dead-letter log. ${'Default:'.bold} ${defaults.retryMaxAttempts.toString().green}`,
+    requiresArg: true,
+    type: 'number'
+  },
   supervisorPort: {
     description: `The port of the Supervisor, which hosts HTTP functions. ${'Default:'.bold} ${defaults.supervisorPort.toString().green}`,
     requiresArg: true,
@@ -0,0 +1,260 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+const WILDCARD_REG_EXP = /^\{([^}]+)\}$/;
+
+function isEmpty (value) {
+  return value === null || value === undefined;
+}
+
+/**
+ * Converts a value to the form the Realtime Database stores: arrays become
+ * objects keyed by index, null children are dropped and empty objects become
+ * null.
+ *
+ * @param {*} value The value to normalize.
+ * @returns {*} The normalized value.
+ */
+function normalize (value) {
+  if (Array.isArray(value) || _.isPlainObject(value)) {
+    const result = {};
+    _.forEach(value, (child, key) => {
+      child = normalize(child);
+      if (!isEmpty(child)) {
+        result[key] = child;
+      }
+    });
+    return Object.keys(result).length ? result : null;
+  }
+  return isEmpty(value) ? null : value;
+}
+
+function getIn (value, segments) {
+  for (let i = 0; i < segments.length; i++) {
+    if (!_.isPlainObject(value)) {
+      return null;
+    }
+    value = value[segments[i]];
+  }
+  return isEmpty(value) ? null : value;
+}
+
+function setIn (root, segments, value) {
+  if (segments.length === 0) {
+    return normalize(value);
+  }
+  const result = _.isPlainObject(root) ? _.clone(root) : {};
+  const child = setIn(result[segments[0]], segments.slice(1), value);
+  if (isEmpty(child)) {
+    delete result[segments[0]];
+  } else {
+    result[segments[0]] = child;
+  }
+  return Object.keys(result).length ? result : null;
+}
+
+/**
+ * Computes the part of "after" that differs from "before". Removed children
+ * are represented as null.
+ *
+ * @param {*} before The previous value.
+ * @param {*} after The new value.
+ * @returns {*} The delta.
+ */
+function diff (before, after) {
+  if (_.isPlainObject(before) && _.isPlainObject(after)) {
+    const delta = {};
+    _.union(Object.keys(before), Object.keys(after)).forEach((key) => {
+      if (!_.isEqual(before[key], after[key])) {
+        delta[key] = diff(before[key], after[key]);
+      }
+    });
+    return delta;
+  }
+  return isEmpty(after) ? null : after;
+}
+
+/**
+ * Finds every concrete path matching a trigger path whose value was changed by
+ * a write.
+ *
+ * @param {string} pattern The trigger path, e.g. "/users/{uid}/posts/{postId}".
+ * @param {string} path The path that was written to.
+ * @param {*} before The database before the write.
+ * @param {*} after The database after the write.
+ * @returns {object[]} The changes, each with "path", "params", "action",
+ *     "data" (the previous value), "delta" and "after".
+ */
+function findChanges (pattern, path, before, after) {
+  const patternSegments = parsePath(pattern);
+  const pathSegments = parsePath(path);
+  const changes = [];
+
+  function walk (i, segments, params) {
+    if (i === patternSegments.length) {
+      const data = getIn(before, segments);
+      const value = getIn(after, segments);
+      if (_.isEqual(data, value)) {
+        return;
+      }
+      let action = 'update';
+      if (isEmpty(data)) {
+        action = 'create';
+      } else if (isEmpty(value)) {
+        action = 'delete';
+      }
+      changes.push({
+        path: `/${segments.join('/')}`,
+        params,
+        action,
+        data,
+        delta: diff(data, value),
+        after: value
+      });
+      return;
+    }
+
+    const matches = patternSegments[i].match(WILDCARD_REG_EXP);
+    let keys;
+    if (i < pathSegments.length) {
+      // Above the written path, the trigger must match the path itself
+      if (!matches && patternSegments[i] !== pathSegments[i]) {
+        return;
+      }
+      keys = [pathSegments[i]];
+    } else if (matches) {
+      // Below the written path, a wildcard matches every child that exists
+      // either before or after the write
+      keys = _.union(
+        Object.keys(_.isPlainObject(getIn(before, segments)) ? getIn(before, segments) : {}),
+        Object.keys(_.isPlainObject(getIn(after, segments)) ? getIn(after, segments) : {})
+      );
+    } else {
+      keys = [patternSegments[i]];
+    }
+
+    keys.forEach((key) => {
+      const childParams = matches ? _.assign({}, params, { [matches[1]]: key }) : params;
+      walk(i + 1, segments.concat(key), childParams);
+    });
+  }
+
+  walk(0, [], {});
+  return changes;
+}
+
+/**
+ * Splits a database path into its segments.
+ *
+ * @param {string} path The path, e.g. "/users/abc".
+ * @returns {string[]} The segments, e.g. ["users", "abc"].
+ */
+function parsePath (path = '') {
+  return path.split('/').filter((segment) => segment);
+}
+
+/**
+ * An in-memory stand-in for the Firebase Realtime Database. Each database
+ * instance is a single JSON tree.
+ *
+ * @class Database
+ * @returns {Database}
+ */
+class Database {
+  constructor () {
+    this._instances = {};
+  }
+
+  _write (instance, path, value) {
+    const before = this._instances[instance] || null;
+    const after = setIn(before, parsePath(path), value);
+    this._instances[instance] = after;
+    return { before, after };
+  }
+
+  /**
+   * Gets the value at a path.
+   *
+   * @method Database#get
+   * @param {string} instance The database instance.
+   * @param {string} path The path to read.
+   * @returns {*} A copy of the value, or null.
+   */
+  get (instance, path) {
+    return _.cloneDeep(getIn(this._instances[instance] || null, parsePath(path)));
+  }
+
+  /**
+   * Removes the value at a path.
+   *
+   * @method Database#remove
+   * @param {string} instance The database instance.
+   * @param {string} path The path to remove.
+   * @returns {object} The database "before" and "after" the write.
+   */
+  remove (instance, path) {
+    return this._write(instance, path, null);
+  }
+
+  /**
+   * Replaces the value at a path.
+   *
+   * @method Database#set
+   * @param {string} instance The database instance.
+   * @param {string} path The path to write.
+   * @param {*} value The new value.
+   * @returns {object} The database "before" and "after" the write.
+   */
+  set (instance, path, value) {
+    return this._write(instance, path, value);
+  }
+
+  /**
+   * Updates the children of a path. Keys of "values" may themselves be paths.
+   *
+   * @method Database#update
+   * @param {string} instance The database instance.
+   * @param {string} path The path to update.
+   * @param {object} values The children to write.
+   * @returns {object} The database "before" and "after" the write.
+   */
+  update (instance, path, values) {
+    const before = this._instances[instance] || null;
+    let after = before;
+    _.forEach(values, (value, key) => {
+      after = setIn(after, parsePath(path).concat(parsePath(key)), value);
+    });
+    this._instances[instance] = after;
+    return { before, after };
+  }
+
+  static diff (...args) {
+    return diff(...args);
+  }
+
+  static findChanges (...args) {
+    return findChanges(...args);
+  }
+
+  static parsePath (...args) {
+    return parsePath(...args);
+  }
+}
+
+module.exports = Database;
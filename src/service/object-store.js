@@ -0,0 +1,199 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const makeDir = require('make-dir');
+const os = require('os');
+const path = require('path');
+const xdgBasedir = require('xdg-basedir');
+
+const Errors = require('../utils/errors');
+const pkg = require('../../package.json');
+
+const BUCKET_NAME_REG_EXP = /^[a-z0-9][-_.a-z0-9]{1,220}[a-z0-9]$/;
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * A local stand-in for Google Cloud Storage. Each object's content and its
+ * "storage#object" metadata are kept in separate files under the root
+ * directory:
+ *
+ *     <root>/<bucket>/objects/<encoded name>
+ *     <root>/<bucket>/metadata/<encoded name>.json
+ *
+ * @class ObjectStore
+ * @param {object} [opts] Configuration options.
+ * @param {string} [opts.bucketsDir] The root directory of the store.
+ * @param {string} [opts.host] The host used to build each object's links.
+ * @param {number} [opts.port] The port used to build each object's links.
+ * @returns {ObjectStore}
+ */
+class ObjectStore {
+  constructor (opts = {}) {
+    this.root = opts.bucketsDir || path.join(xdgBasedir.config || os.tmpdir(), pkg.name, 'buckets');
+    this.baseUrl = `http://${opts.host || 'localhost'}:${opts.port || 8008}`;
+  }
+
+  _assertName (bucket, name) {
+    if (!bucket || !BUCKET_NAME_REG_EXP.test(bucket)) {
+      throw new Errors.InvalidArgumentError(`Invalid bucket name: '${bucket}'`);
+    }
+    if (name !== undefined && (!name || typeof name !== 'string')) {
+      throw new Errors.InvalidArgumentError('Object name is required.');
+    }
+  }
+
+  _metadataPath (bucket, name) {
+    return path.join(this.root, bucket, 'metadata', `${encodeURIComponent(name)}.json`);
+  }
+
+  _objectPath (bucket, name) {
+    return path.join(this.root, bucket, 'objects', encodeURIComponent(name));
+  }
+
+  /**
+   * Deletes an object.
+   *
+   * @method ObjectStore#deleteObject
+   * @param {string} bucket The name of the bucket.
+   * @param {string} name The name of the object.
+   * @returns {Promise} Resolves with the metadata of the deleted object.
+   */
+  deleteObject (bucket, name) {
+    return this.getObject(bucket, name)
+      .then((object) => {
+        fs.unlinkSync(this._objectPath(bucket, name));
+        fs.unlinkSync(this._metadataPath(bucket, name));
+        return object;
+      });
+  }
+
+  /**
+   * Gets an object's metadata.
+   *
+   * @method ObjectStore#getObject
+   * @param {string} bucket The name of the bucket.
+   * @param {string} name The name of the object.
+   * @returns {Promise}
+   */
+  getObject (bucket, name) {
+    return Promise.resolve()
+      .then(() => {
+        this._assertName(bucket, name);
+        try {
+          return JSON.parse(fs.readFileSync(this._metadataPath(bucket, name), 'utf8'));
+        } catch (err) {
+          throw new Errors.NotFoundError(`No such object: ${bucket}/${name}`);
+        }
+      });
+  }
+
+  /**
+   * Writes an object, replacing any previous generation of it.
+   *
+   * @method ObjectStore#insertObject
+   * @param {string} bucket The name of the bucket.
+   * @param {string} name The name of the object.
+   * @param {Buffer} data The content of the object.
+   * @param {string} [contentType] The content type of the object.
+   * @returns {Promise} Resolves with the metadata of the new object.
+   */
+  insertObject (bucket, name, data, contentType) {
+    return Promise.resolve()
+      .then(() => {
+        this._assertName(bucket, name);
+        data = Buffer.isBuffer(data) ? data : Buffer.from(data || '');
+
+        const now = new Date();
+        let timeCreated = now.toISOString();
+        try {
+          timeCreated = JSON.parse(fs.readFileSync(this._metadataPath(bucket, name), 'utf8')).timeCreated;
+        } catch (err) {
+          // The object is new
+        }
+
+        // Generations are microsecond timestamps in production
+        const generation = `${now.getTime() * 1000 + Math.floor(Math.random() * 1000)}`;
+        const encodedName = encodeURIComponent(name);
+        const object = {
+          kind: 'storage#object',
+          id: `${bucket}/${name}/${generation}`,
+          selfLink: `${this.baseUrl}/storage/v1/b/${bucket}/o/${encodedName}`,
+          mediaLink: `${this.baseUrl}/storage/v1/b/${bucket}/o/${encodedName}?generation=${generation}&alt=media`,
+          name,
+          bucket,
+          generation,
+          metageneration: '1',
+          contentType: contentType || DEFAULT_CONTENT_TYPE,
+          timeCreated,
+          updated: now.toISOString(),
+          storageClass: 'STANDARD',
+          size: `${data.length}`,
+          md5Hash: crypto.createHash('md5').update(data).digest('base64')
+        };
+
+        makeDir.sync(path.dirname(this._objectPath(bucket, name)));
+        makeDir.sync(path.dirname(this._metadataPath(bucket, name)));
+        fs.writeFileSync(this._objectPath(bucket, name), data);
+        fs.writeFileSync(this._metadataPath(bucket, name), JSON.stringify(object, null, 2));
+
+        return object;
+      });
+  }
+
+  /**
+   * Lists the metadata of the objects in a bucket.
+   *
+   * @method ObjectStore#listObjects
+   * @param {string} bucket The name of the bucket.
+   * @param {string} [prefix] Only list objects whose names start with this.
+   * @returns {Promise}
+   */
+  listObjects (bucket, prefix = '') {
+    return Promise.resolve()
+      .then(() => {
+        this._assertName(bucket);
+        let files = [];
+        try {
+          files = fs.readdirSync(path.join(this.root, bucket, 'metadata'));
+        } catch (err) {
+          // The bucket is empty
+        }
+        return files
+          .map((file) => decodeURIComponent(file.replace(/\.json$/, '')))
+          .filter((name) => name.startsWith(prefix))
+          .sort()
+          .map((name) => JSON.parse(fs.readFileSync(this._metadataPath(bucket, name), 'utf8')));
+      });
+  }
+
+  /**
+   * Reads an object's content.
+   *
+   * @method ObjectStore#readObject
+   * @param {string} bucket The name of the bucket.
+   * @param {string} name The name of the object.
+   * @returns {Promise}
+   */
+  readObject (bucket, name) {
+    return this.getObject(bucket, name)
+      .then(() => fs.readFileSync(this._objectPath(bucket, name)));
+  }
+}
+
+module.exports = ObjectStore;
@@ -15,6 +15,7 @@
 
 'use strict';
 
+const _ = require('lodash');
 const bodyParser = require('body-parser');
 const Configstore = require('configstore');
 const express = require('express');
@@ -26,23 +27,53 @@ const url = require('url');
 
 const uuid = require('uuid');
 
+const cloudevents = require('../utils/cloudevents');
+const Database = require('./database');
+const defaults = require('../defaults.json');
 const Errors = require('../utils/errors');
 const Model = require('../model');
+const ObjectStore = require('./object-store');
 const pkg = require('../../package.json');
+const runtimes = require('../utils/runtimes');
 const Service = require('./service');
+const { Supervisor } = require('../supervisor');
 
 const { CloudFunction, Operation } = Model;
 
 // TODO: Support more than one version.
 const API_VERSION = 'v1';
 const DISCOVERY_URL = `https://cloudfunctions.googleapis.com/$discovery/rest?version=${API_VERSION}`;
+const PUBSUB_EVENT_TYPES = [
+  'google.pubsub.topic.publish',
+  'providers/cloud.pubsub/eventTypes/topic.publish',
+  'cloud.pubsub.topic.publish'
+];
+// Maps storage event types to the object changes that trigger them
+const STORAGE_EVENT_TYPES = {
+  'google.storage.object.finalize': 'finalize',
+  'google.storage.object.delete': 'delete',
+  'providers/cloud.storage/eventTypes/object.change': 'change',
+  'cloud.storage.object.change': 'change'
+};
+const BUCKET_RESOURCE_REG_EXP = /^projects\/[^/]+\/buckets\/([^/]+)$/;
+const DATABASE_EVENT_TYPE_REG_EXP = /firebase\.database.*ref\.(create|update|delete|write)$/;
+const DATABASE_RESOURCE_REG_EXP = /^projects\/[^/]+\/instances\/([^/]+)\/refs(\/.*)?$/;
+const MAX_RETRY_BACKOFF = 60 * 1000;
 
 class RestService extends Service {
   constructor (...args) {
     super(...args);
 
     this.type = 'REST';
+    ['cloudEventMode', 'retryBackoff', 'retryMaxAge', 'retryMaxAttempts'].forEach((key) => {
+      if (this.config[key] === undefined) {
+        this.config[key] = defaults[key];
+      }
+    });
+    this._messageCounter = 0;
     this._discovery = new Configstore(path.join(pkg.name, '/.discovery'));
+    this._objects = new ObjectStore(this.config);
+    this._database = new Database();
 
     // Standard ExpressJS app. Where possible this should mimic the *actual*
     // setup of Cloud Functions regarding the use of body parsers etc.
@@ -52,6 +83,19 @@ class RestService extends Service {
       `/upload`,
       (req, res, next) => this.handleUpload(req, res).catch(next)
     );
+    this.server.post(
+      `/upload/storage/v1/b/:bucket/o`,
+      bodyParser.raw({ type: '*/*', limit: '1024mb' }),
+      (req, res, next) => this.uploadObject(req, res).catch(next)
+    );
+    // Like the Realtime Database REST API, accept JSON regardless of the
+    // Content-Type, including bare primitives
+    this.server.route(/^\/databases\/([^/]+)(\/.*)?$/)
+      .all(bodyParser.text({ type: '*/*', limit: '1024mb' }))
+      .get((req, res, next) => this.readDatabase(req, res).catch(next))
+      .put((req, res, next) => this.writeDatabase(req, res).catch(next))
+      .patch((req, res, next) => this.writeDatabase(req, res).catch(next))
+      .delete((req, res, next) => this.writeDatabase(req, res).catch(next));
     this.server.use(bodyParser.json());
     this.server.use(bodyParser.raw());
     this.server.use(bodyParser.text());
@@ -80,6 +124,18 @@ class RestService extends Service {
         `/${API_VERSION}/projects/:project/locations/:location/functions/:name`,
         (req, res, next) => this.getFunction(req, res).catch(next)
       )
+      .get(
+        `/${API_VERSION}/projects/:project/locations/:location/functions/:name/versions`,
+        (req, res, next) => this.listVersions(req, res).catch(next)
+      )
+      .get(
+        `/${API_VERSION}/projects/:project/locations/:location/functions/:name/versions/:version`,
+        (req, res, next) => this.getVersion(req, res).catch(next)
+      )
+      .patch(
+        `/${API_VERSION}/projects/:project/locations/:location/functions/:name`,
+        (req, res, next) => this.updateFunction(req, res).catch(next)
+      )
       .get(
         `/${API_VERSION}/projects/:project/locations/:location/functions`,
         (req, res, next) => this.listFunctions(req, res).catch(next)
@@ -88,6 +144,12 @@ class RestService extends Service {
         `/${API_VERSION}/projects/:project/locations/:location/functions::generateUploadUrl`,
         (req, res, next) => this.generateUploadUrl(req, res).catch(next)
       )
+      // Express reads ":call" below as a parameter, which matches any custom
+      // method, so other custom methods are matched first
+      .post(
+        `/${API_VERSION}/projects/:project/locations/:location/functions/:name\\:rollback`,
+        (req, res, next) => this.rollbackFunction(req, res).catch(next)
+      )
       .post(
         `/${API_VERSION}/projects/:project/locations/:location/functions/:name::call`,
         (req, res, next) => this.callFunction(req, res).catch(next)
@@ -96,10 +158,62 @@ class RestService extends Service {
         `/${API_VERSION}/projects/:project/locations/:location/functions`,
         (req, res, next) => this.createFunction(req, res).catch(next)
       )
+      .post(
+        `/${API_VERSION}/projects/:project/topics/:topic::publish`,
+        (req, res, next) => this.publishMessages(req, res).catch(next)
+      )
+      .get(
+        `/storage/v1/b/:bucket/o`,
+        (req, res, next) => this.listObjects(req, res).catch(next)
+      )
+      .get(
+        `/storage/v1/b/:bucket/o/:object`,
+        (req, res, next) => this.getObject(req, res).catch(next)
+      )
+      .delete(
+        `/storage/v1/b/:bucket/o/:object`,
+        (req, res, next) => this.deleteObject(req, res).catch(next)
+      )
+      .get(
+        `/${API_VERSION}/deadLetters`,
+        (req, res, next) => this.listDeadLetters(req, res).catch(next)
+      )
+      .get(
+        `/${API_VERSION}/deadLetters/:deadLetter`,
+        (req, res, next) => this.getDeadLetter(req, res).catch(next)
+      )
+      .delete(
+        `/${API_VERSION}/deadLetters/:deadLetter`,
+        (req, res, next) => this.deleteDeadLetter(req, res).catch(next)
+      )
+      .post(
+        `/${API_VERSION}/deadLetters/:deadLetter::replay`,
+        (req, res, next) => this.replayDeadLetter(req, res).catch(next)
+      )
+      .get(
+        `/${API_VERSION}/executions`,
+        (req, res, next) => this.listExecutions(req, res).catch(next)
+      )
+      .get(
+        `/${API_VERSION}/executions/:execution`,
+        (req, res, next) => this.getExecution(req, res).catch(next)
+      )
+      .get(
+        `/${API_VERSION}/operations`,
+        (req, res, next) => this.listOperations(req, res).catch(next)
+      )
       .get(
         `/${API_VERSION}/operations/:operation`,
         (req, res, next) => this.getOperation(req, res).catch(next)
       )
+      .post(
+        `/${API_VERSION}/operations/:operation\\:cancel`,
+        (req, res, next) => this.cancelOperation(req, res).catch(next)
+      )
+      .post(
+        `/${API_VERSION}/operations/:operation\\:wait`,
+        (req, res, next) => this.waitOperation(req, res).catch(next)
+      )
       .all('*', (req, res, next) => {
         next({ code: Errors.status.NOT_FOUND });
       });
@@ -108,6 +222,159 @@ class RestService extends Service {
     this.server.use((err, req, res, next) => Errors.sendRestError(err, res));
   }
 
+  /**
+   * Sends an event to each of the given functions without waiting for the
+   * functions to finish.
+   *
+   * @param {object[]} cloudfunctions The functions to trigger.
+   * @param {function} makeEvent Returns the event envelope for a function.
+   */
+  _broadcastEvent (cloudfunctions, makeEvent) {
+    cloudfunctions.forEach((cloudfunction) => {
+      this._deliverEvent(cloudfunction, makeEvent(cloudfunction));
+    });
+  }
+
+  /**
+   * Completes a CloudEvent sent with a call: it defaults to the CloudEvents
+   * spec version, the execution's ID and the current time.
+   *
+   * @param {object} cloudfunction The function that is called.
+   * @param {object} cloudevent The CloudEvent.
+   * @param {string} id The ID of the execution.
+   * @returns {object} The CloudEvent.
+   */
+  _buildCloudEvent (cloudfunction, cloudevent, id) {
+    if (cloudfunction.eventTrigger && runtimes.getSignatureType(cloudfunction) !== 'cloudevent') {
+      throw new Errors.InvalidArgumentError(`Function ${cloudfunction.shortName} doesn't take CloudEvents. Deploy it with --signature-type=cloudevent.`);
+    }
+    cloudevent = _.assign({
+      specversion: cloudevents.SPEC_VERSION,
+      id,
+      time: (new Date()).toISOString()
+    }, cloudevent);
+    if (cloudevent.data !== undefined && !cloudevent.datacontenttype) {
+      cloudevent.datacontenttype = 'application/json';
+    }
+    return cloudevents.assertCloudEvent(cloudevent);
+  }
+
+  /**
+   * Sends an event to a function without waiting for the function to finish.
+   *
+   * If the function was deployed with a retry failure policy, a failed delivery
+   * is repeated with the same eventId after an exponentially increasing delay,
+   * until the configured maximum number of attempts or maximum event age is
+   * reached. Events that could not be delivered are recorded as dead letters.
+   *
+   * @param {object} cloudfunction The function to trigger.
+   * @param {object} event The event envelope.
+   * @param {number} [attempt] The number of this delivery attempt.
+   * @param {number} [firstAttemptTime] When the event was first delivered.
+   */
+  _deliverEvent (cloudfunction, event, attempt = 1, firstAttemptTime = Date.now()) {
+    this._sendEvent(cloudfunction.name, cloudfunction, event)
+      .catch((err) => {
+        const error = err.response && err.response.body ? err.response.body : err.message;
+        const retry = _.get(cloudfunction, 'eventTrigger.failurePolicy.retry');
+
+        if (retry &&
+            attempt < this.config.retryMaxAttempts &&
+            (Date.now() - firstAttemptTime) < this.config.retryMaxAge) {
+          const delay = Math.min(this.config.retryBackoff * Math.pow(2, attempt - 1), MAX_RETRY_BACKOFF);
+          logger.warn(`Attempt ${attempt} to deliver event ${event.eventId} to ${cloudfunction.name} failed, retrying in ${delay}ms: ${error}`);
+          setTimeout(() => {
+            this._deliverEvent(cloudfunction, event, attempt + 1, firstAttemptTime);
+          }, delay);
+          return;
+        }
+
+        logger.error(`Failed to deliver event ${event.eventId} to ${cloudfunction.name} after ${attempt} attempt(s): ${error}`);
+        return this.functions.createDeadLetter({
+          function: cloudfunction.name,
+          event,
+          attempts: attempt,
+          firstAttemptTime: (new Date(firstAttemptTime)).toISOString(),
+          lastAttemptTime: (new Date()).toISOString(),
+          error
+        });
+      })
+      .catch((err) => {
+        logger.error(`Failed to record dead letter for event ${event.eventId}: ${err.message}`);
+      });
+  }
+
+  /**
+   * Finds the READY event-triggered functions that match the given predicate.
+   *
+   * @param {string} [project] The project to search. Searches every project if
+   *     omitted.
+   * @param {function} predicate Called with each function's eventTrigger.
+   * @returns {Promise}
+   */
+  _findEventFunctions (project, predicate) {
+    return this.functions.listFunctions(CloudFunction.formatLocation(project || '-', '-'))
+      .then((response) => response.functions.filter((cloudfunction) => {
+        return cloudfunction.eventTrigger &&
+          cloudfunction.status === 'READY' &&
+          (!project || CloudFunction.parseName(cloudfunction.name).project === project) &&
+          predicate(cloudfunction.eventTrigger);
+      }));
+  }
+
+  /**
+   * Reads how the Supervisor started the function's worker instance for an
+   * invocation from the headers of the function's response.
+   *
+   * @param {object} [response] The response from the Supervisor.
+   * @returns {object} Whether the invocation was a cold start and, if so, how
+   *     long loading the function's module and starting the instance took.
+   */
+  _getStartup (response) {
+    const headers = (response && response.headers) || {};
+    const cold = headers[Supervisor.COLD_START_HEADER.toLowerCase()];
+    if (cold === undefined) {
+      return;
+    }
+    const startup = { cold: cold === 'true' };
+    if (startup.cold) {
+      startup.loadTime = parseInt(headers[Supervisor.LOAD_TIME_HEADER.toLowerCase()], 10);
+      startup.startupTime = parseInt(headers[Supervisor.STARTUP_TIME_HEADER.toLowerCase()], 10);
+    }
+    return startup;
+  }
+
+  /**
+   * Delivers an event to a function's worker via the Supervisor. Functions
+   * deployed with the "cloudevent" signature get the event as a CloudEvent,
+   * sent in the configured content mode.
+   *
+   * @param {string} name The formatted name of the function.
+   * @param {object} cloudfunction The function.
+   * @param {object} event The event envelope, or a CloudEvent to send as is.
+   * @param {string} [executionId] The ID to give the execution. The Supervisor
+   *     generates one if omitted.
+   * @returns {Promise}
+   */
+  _sendEvent (name, cloudfunction, event, executionId) {
+    const parts = CloudFunction.parseName(name);
+    let request;
+    if (event.specversion) {
+      request = cloudevents.toHttp(event, this.config.cloudEventMode);
+    } else if (cloudfunction.eventTrigger && runtimes.getSignatureType(cloudfunction) === 'cloudevent') {
+      request = cloudevents.toHttp(cloudevents.fromLegacyEvent(event, name), this.config.cloudEventMode);
+    } else {
+      request = {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(cloudfunction.httpsTrigger ? event.data : event)
+      };
+    }
+    if (executionId) {
+      request.headers[Supervisor.EXECUTION_ID_HEADER] = executionId;
+    }
+    return got.post(`${this.functions.getSupervisorHost()}/${parts.project}/${parts.location}/${parts.name}`, request);
+  }
+
   /**
    *
    */
@@ -129,6 +396,10 @@ class RestService extends Service {
     const eventId = uuid.v4();
     return this.functions.getFunction(name)
       .then((cloudfunction) => {
+        if (req.body.cloudEvent) {
+          return this._sendEvent(name, cloudfunction, this._buildCloudEvent(cloudfunction, req.body.cloudEvent, eventId), eventId);
+        }
+
         const event = {
           // A unique identifier for this execution
           eventId,
@@ -147,19 +418,15 @@ class RestService extends Service {
           event.auth = req.body.auth || { admin: true };
         }
 
-        return got.post(`${this.functions.getSupervisorHost()}/${req.params.project}/${req.params.location}/${req.params.name}`, {
-          body: JSON.stringify(cloudfunction.httpsTrigger ? event.data : event),
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
+        return this._sendEvent(name, cloudfunction, event, eventId);
       })
       .then((response) => {
         res
           .status(200)
           .send({
             executionId: eventId,
-            result: response.body
+            result: response.body,
+            startup: this._getStartup(response)
           })
           .end();
       }, (err) => {
@@ -167,12 +434,30 @@ class RestService extends Service {
           .status(200)
           .send({
             executionId: eventId,
-            error: err.response ? err.response.body : err.message
+            error: err.response ? err.response.body : err.message,
+            startup: this._getStartup(err.response)
           })
           .end();
       });
   }
 
+  /**
+   * Cancels a pending operation.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.operation The name of the operation to cancel.
+   * @param {object} res The response.
+   */
+  cancelOperation (req, res) {
+    const name = Operation.formatName(req.params.operation);
+    logger.debug('RestService#cancelOperation', name);
+    return this.functions.cancelOperation(name)
+      .then(() => {
+        res.status(200).json({}).end();
+      });
+  }
+
   /**
    *
    */
@@ -185,6 +470,42 @@ class RestService extends Service {
       });
   }
 
+  /**
+   * Deletes an object from the local object store and triggers the functions
+   * watching its bucket.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.bucket The bucket of the object.
+   * @param {string} req.params.object The name of the object.
+   * @param {object} res The response.
+   */
+  deleteObject (req, res) {
+    logger.debug('RestService#deleteObject', req.params.bucket, req.params.object);
+    return this._objects.deleteObject(req.params.bucket, req.params.object)
+      .then((object) => {
+        res.status(204).end();
+        this._triggerStorageEvent('delete', object);
+      });
+  }
+
+  /**
+   * Deletes a dead letter without redelivering its event.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.deadLetter The ID of the dead letter.
+   * @param {object} res The response.
+   */
+  deleteDeadLetter (req, res) {
+    const name = `deadLetters/${req.params.deadLetter}`;
+    logger.debug('RestService#deleteDeadLetter', name);
+    return this.functions.deleteDeadLetter(name)
+      .then(() => {
+        res.status(200).json({}).end();
+      });
+  }
+
   /**
    * Deletes a function.
    *
@@ -220,6 +541,39 @@ class RestService extends Service {
     });
   }
 
+  /**
+   * Gets a dead letter.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.deadLetter The ID of the dead letter.
+   * @param {object} res The response.
+   */
+  getDeadLetter (req, res) {
+    const name = `deadLetters/${req.params.deadLetter}`;
+    logger.debug('RestService#getDeadLetter', name);
+    return this.functions.getDeadLetter(name)
+      .then((deadLetter) => {
+        res.status(200).json(deadLetter).end();
+      });
+  }
+
+  /**
+   * Gets the record of a function execution.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.execution The ID of the execution.
+   * @param {object} res The response.
+   */
+  getExecution (req, res) {
+    logger.debug('RestService#getExecution', req.params.execution);
+    return this.functions.getExecution(req.params.execution)
+      .then((execution) => {
+        res.status(200).json(execution).end();
+      });
+  }
+
   /**
    * Gets the Google Cloud Functions API discovery doc.
    *
@@ -291,6 +645,50 @@ class RestService extends Service {
       });
   }
 
+  /**
+   * Gets an object's metadata, or its content if "alt=media" is specified.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.bucket The bucket of the object.
+   * @param {string} req.params.object The name of the object.
+   * @param {object} res The response.
+   */
+  getObject (req, res) {
+    logger.debug('RestService#getObject', req.params.bucket, req.params.object);
+    return this._objects.getObject(req.params.bucket, req.params.object)
+      .then((object) => {
+        if (req.query.alt !== 'media') {
+          res.status(200).json(object).end();
+          return;
+        }
+        return this._objects.readObject(req.params.bucket, req.params.object)
+          .then((data) => {
+            res.status(200).type(object.contentType).send(data).end();
+          });
+      });
+  }
+
+  /**
+   * Gets a version of a function.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.project The project of the function.
+   * @param {string} req.params.location The location of the function.
+   * @param {string} req.params.name The name of the function.
+   * @param {string} req.params.version The ID of the version.
+   * @param {object} res The response.
+   */
+  getVersion (req, res) {
+    const name = CloudFunction.formatName(req.params.project, req.params.location, req.params.name);
+    logger.debug('RestService#getVersion', name, req.params.version);
+    return this.functions.getVersion(name, req.params.version)
+      .then((version) => {
+        res.status(200).json(version).end();
+      });
+  }
+
   /**
    * Gets an operation.
    *
@@ -326,6 +724,77 @@ class RestService extends Service {
     });
   }
 
+  /**
+   * Lists the events that could not be delivered to functions.
+   *
+   * @param {object} req The request.
+   * @param {object} [req.query] The parsed querystring.
+   * @param {string} [req.query.function] Only list the dead letters of the
+   *     function with this name.
+   * @param {object} res The response.
+   */
+  listDeadLetters (req, res) {
+    logger.debug('RestService#listDeadLetters');
+    return this.functions.listDeadLetters({ function: req.query.function })
+      .then((deadLetters) => {
+        res.status(200).json({ deadLetters }).end();
+      });
+  }
+
+  /**
+   * Lists the records of recent function executions.
+   *
+   * @param {object} req The request.
+   * @param {object} [req.query] The parsed querystring.
+   * @param {string} [req.query.function] Only list the executions of the
+   *     function with this name.
+   * @param {string} [req.query.status] Only list executions that finished
+   *     with this status.
+   * @param {number} [req.query.limit] Only list this many of the most recent
+   *     executions.
+   * @param {object} res The response.
+   */
+  listExecutions (req, res) {
+    logger.debug('RestService#listExecutions');
+    return this.functions.listExecutions({
+      function: req.query.function,
+      status: req.query.status,
+      limit: parseInt(req.query.limit, 10)
+    })
+      .then((executions) => {
+        res.status(200).json({ executions }).end();
+      });
+  }
+
+  /**
+   * Lists operations, least recently updated first.
+   *
+   * @param {object} req The request.
+   * @param {object} [req.query] The parsed querystring.
+   * @param {string} [req.query.function] Only list the operations that target
+   *     the function with this name.
+   * @param {string} [req.query.done] Only list finished ("true") or pending
+   *     ("false") operations.
+   * @param {number} [req.query.limit] Only list this many of the most recently
+   *     updated operations.
+   * @param {object} res The response.
+   */
+  listOperations (req, res) {
+    logger.debug('RestService#listOperations');
+    let done;
+    if (req.query.done === 'true' || req.query.done === 'false') {
+      done = req.query.done === 'true';
+    }
+    return this.functions.listOperations({
+      function: req.query.function,
+      done,
+      limit: parseInt(req.query.limit, 10)
+    })
+      .then((operations) => {
+        res.status(200).json({ operations }).end();
+      });
+  }
+
   /**
    * Lists functions.
    *
@@ -357,6 +826,376 @@ class RestService extends Service {
       });
   }
 
+  /**
+   * Lists the kept versions of a function, most recent first.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.project The project of the function.
+   * @param {string} req.params.location The location of the function.
+   * @param {string} req.params.name The name of the function.
+   * @param {object} res The response.
+   */
+  listVersions (req, res) {
+    const name = CloudFunction.formatName(req.params.project, req.params.location, req.params.name);
+    logger.debug('RestService#listVersions', name);
+    return this.functions.listVersions(name)
+      .then((versions) => {
+        res.status(200).json({ versions }).end();
+      });
+  }
+
+  /**
+   * Reads a value from the in-memory Realtime Database.
+   *
+   * @param {object} req The request.
+   * @param {string[]} req.params The database instance and the path to read.
+   * @param {object} res The response.
+   */
+  readDatabase (req, res) {
+    const instance = req.params[0];
+    const ref = (req.params[1] || '/').replace(/\.json$/, '');
+    logger.debug('RestService#readDatabase', instance, ref);
+    return Promise.resolve()
+      .then(() => {
+        res.status(200).json(this._database.get(instance, ref)).end();
+      });
+  }
+
+  /**
+   * Lists the objects in a bucket of the local object store.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.bucket The bucket to list.
+   * @param {object} [req.query] The parsed querystring.
+   * @param {string} [req.query.prefix] Filters the results by name prefix.
+   * @param {object} res The response.
+   */
+  listObjects (req, res) {
+    logger.debug('RestService#listObjects', req.params.bucket);
+    return this._objects.listObjects(req.params.bucket, req.query.prefix)
+      .then((items) => {
+        res.status(200).json({ kind: 'storage#objects', items }).end();
+      });
+  }
+
+  /**
+   * Publishes messages to a topic. Every READY function triggered by the topic
+   * receives each message, just as each subscription would in production.
+   * Delivery happens asynchronously after the message IDs are returned.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.project The project of the topic.
+   * @param {string} req.params.topic The name of the topic.
+   * @param {object} req.body The PublishRequest.
+   * @param {object[]} req.body.messages The messages to publish. Each message
+   *     has a base64-encoded "data" field and optional "attributes".
+   * @param {object} res The response.
+   */
+  publishMessages (req, res) {
+    const topic = `projects/${req.params.project}/topics/${req.params.topic}`;
+    const messages = req.body && req.body.messages;
+    logger.debug('RestService#publishMessages', topic);
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return Promise.reject(new Errors.InvalidArgumentError('The request contains no messages.'));
+    }
+
+    return this._findEventFunctions(req.params.project, (eventTrigger) => {
+      if (!PUBSUB_EVENT_TYPES.includes(eventTrigger.eventType)) {
+        return false;
+      }
+      const resource = eventTrigger.resource || '';
+      return resource === topic || resource === req.params.topic;
+    })
+      .then((cloudfunctions) => {
+        const timestamp = (new Date()).toISOString();
+        const messageIds = messages.map((message) => {
+          this._messageCounter++;
+          const messageId = `${Date.now()}${this._messageCounter}`;
+
+          this._broadcastEvent(cloudfunctions, (cloudfunction) => {
+            return {
+              // In production the eventId of a Pub/Sub event is the messageId
+              eventId: messageId,
+              timestamp,
+              eventType: cloudfunction.eventTrigger.eventType,
+              resource: topic,
+              data: {
+                '@type': 'type.googleapis.com/google.pubsub.v1.PubsubMessage',
+                attributes: message.attributes || {},
+                data: message.data || ''
+              }
+            };
+          });
+
+          return messageId;
+        });
+
+        res.status(200).json({ messageIds }).end();
+      });
+  }
+
+  /**
+   * Redelivers the event of a dead letter to its function and removes the dead
+   * letter. The event keeps its original eventId. If delivery fails again, a
+   * new dead letter is recorded.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.deadLetter The ID of the dead letter.
+   * @param {object} res The response.
+   */
+  replayDeadLetter (req, res) {
+    const name = `deadLetters/${req.params.deadLetter}`;
+    logger.debug('RestService#replayDeadLetter', name);
+    return this.functions.getDeadLetter(name)
+      .then((deadLetter) => {
+        return this.functions.getFunction(deadLetter.function)
+          .then((cloudfunction) => this.functions.deleteDeadLetter(name)
+            .then(() => {
+              this._deliverEvent(cloudfunction, deadLetter.event);
+              res.status(200).json(deadLetter).end();
+            })
+          );
+      });
+  }
+
+  /**
+   * Redeploys a previous version of a function.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.project The project of the function.
+   * @param {string} req.params.location The location of the function.
+   * @param {string} req.params.name The name of the function.
+   * @param {object} req.body The request body.
+   * @param {number} [req.body.versionId] The version to roll back to. Defaults
+   *     to the version before the current one.
+   * @param {object} res The response.
+   */
+  rollbackFunction (req, res) {
+    const name = CloudFunction.formatName(req.params.project, req.params.location, req.params.name);
+    logger.debug('RestService#rollbackFunction', name, req.body.versionId);
+    return this.functions.rollbackFunction(name, req.body.versionId)
+      .then((operation) => {
+        res.status(200).json(operation).end();
+      });
+  }
+
+  /**
+   * Triggers the READY functions whose database path matches a part of the
+   * database that was changed by a write. The write has already been answered,
+   * so errors are logged rather than returned.
+   *
+   * @param {string} instance The database instance that was written to.
+   * @param {string} ref The path that was written to.
+   * @param {*} before The database before the write.
+   * @param {*} after The database after the write.
+   * @returns {Promise}
+   */
+  _triggerDatabaseEvent (instance, ref, before, after) {
+    const parseResource = (resource = '') => {
+      const matches = resource.match(DATABASE_RESOURCE_REG_EXP);
+      // A bare path applies to every database instance
+      return matches ? { instance: matches[1], path: matches[2] || '/' } : { path: resource };
+    };
+
+    return this._findEventFunctions(null, (eventTrigger) => {
+      const trigger = parseResource(eventTrigger.resource);
+      return DATABASE_EVENT_TYPE_REG_EXP.test(eventTrigger.eventType) &&
+        (!trigger.instance || trigger.instance === instance);
+    })
+      .then((cloudfunctions) => {
+        const timestamp = (new Date()).toISOString();
+
+        cloudfunctions.forEach((cloudfunction) => {
+          const action = cloudfunction.eventTrigger.eventType.match(DATABASE_EVENT_TYPE_REG_EXP)[1];
+          const trigger = parseResource(cloudfunction.eventTrigger.resource);
+
+          Database.findChanges(trigger.path, ref, before, after)
+            .filter((change) => action === 'write' || action === change.action)
+            .forEach((change) => {
+              this._deliverEvent(cloudfunction, {
+                eventId: uuid.v4(),
+                timestamp,
+                eventType: cloudfunction.eventTrigger.eventType,
+                resource: `projects/_/instances/${instance}/refs${change.path}`,
+                params: change.params,
+                auth: { admin: true },
+                data: change.data,
+                delta: change.delta
+              });
+            });
+        });
+      })
+      .catch((err) => {
+        logger.error(`Failed to trigger functions for a write to ${instance}${ref}: ${err.message}`);
+      });
+  }
+
+  /**
+   * Triggers the READY functions watching the bucket of a changed object. The
+   * change has already been answered, so errors are logged rather than
+   * returned.
+   *
+   * @param {string} change Either "finalize" or "delete".
+   * @param {object} object The metadata of the changed object.
+   * @returns {Promise}
+   */
+  _triggerStorageEvent (change, object) {
+    return this._findEventFunctions(null, (eventTrigger) => {
+      const kind = STORAGE_EVENT_TYPES[eventTrigger.eventType];
+      if (kind !== change && kind !== 'change') {
+        return false;
+      }
+      const resource = eventTrigger.resource || '';
+      const matches = resource.match(BUCKET_RESOURCE_REG_EXP);
+      return (matches ? matches[1] : resource) === object.bucket;
+    })
+      .then((cloudfunctions) => {
+        const eventId = uuid.v4();
+        const timestamp = change === 'delete' ? (new Date()).toISOString() : object.updated;
+
+        this._broadcastEvent(cloudfunctions, (cloudfunction) => {
+          let data = object;
+          if (STORAGE_EVENT_TYPES[cloudfunction.eventTrigger.eventType] === 'change') {
+            // Legacy object.change events describe whether the object still exists
+            data = Object.assign({}, object, {
+              resourceState: change === 'delete' ? 'not_exists' : 'exists'
+            });
+          }
+          return {
+            eventId,
+            timestamp,
+            eventType: cloudfunction.eventTrigger.eventType,
+            resource: `projects/_/buckets/${object.bucket}/objects/${object.name}#${object.generation}`,
+            data
+          };
+        });
+      })
+      .catch((err) => {
+        logger.error(`Failed to trigger functions for a ${change} of gs://${object.bucket}/${object.name}: ${err.message}`);
+      });
+  }
+
+  /**
+   * Writes to the in-memory Realtime Database and triggers the functions
+   * watching the changed paths. PUT replaces the value at the path, PATCH
+   * updates its children and DELETE removes it.
+   *
+   * @param {object} req The request.
+   * @param {string[]} req.params The database instance and the path to write.
+   * @param {string} req.body The JSON value to write.
+   * @param {object} res The response.
+   */
+  writeDatabase (req, res) {
+    const instance = req.params[0];
+    const ref = (req.params[1] || '/').replace(/\.json$/, '');
+    logger.debug('RestService#writeDatabase', req.method, instance, ref);
+    return Promise.resolve()
+      .then(() => {
+        let value = null;
+        if (req.method !== 'DELETE') {
+          try {
+            value = JSON.parse(typeof req.body === 'string' ? req.body : '');
+          } catch (err) {
+            throw new Errors.InvalidArgumentError('Invalid data; couldn\'t parse JSON object, array, or value.');
+          }
+        }
+
+        let result;
+        if (req.method === 'PATCH') {
+          if (!_.isPlainObject(value)) {
+            throw new Errors.InvalidArgumentError('Invalid data; PATCH requires a JSON object.');
+          }
+          result = this._database.update(instance, ref, value);
+        } else if (req.method === 'PUT') {
+          result = this._database.set(instance, ref, value);
+        } else {
+          result = this._database.remove(instance, ref);
+        }
+
+        res.status(200).json(value).end();
+        this._triggerDatabaseEvent(instance, ref, result.before, result.after);
+      });
+  }
+
+  /**
+   * Updates a function.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.project The project of the function to update.
+   * @param {string} req.params.location The location of the function to update.
+   * @param {string} req.params.name The name of the function to update.
+   * @param {object} req.query The query parameters.
+   * @param {string} [req.query.updateMask] The fields to update.
+   * @param {object} res The response.
+   */
+  updateFunction (req, res) {
+    const name = CloudFunction.formatName(req.params.project, req.params.location, req.params.name);
+    logger.debug('RestService#updateFunction', name, req.query.updateMask, req.body);
+    return this.functions.updateFunction(name, req.body, req.query.updateMask)
+      .then((operation) => {
+        res.status(200).json(operation).end();
+      });
+  }
+
+  /**
+   * Writes an object to the local object store and triggers the functions
+   * watching its bucket. Mirrors the Cloud Storage "media" upload API.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.bucket The bucket of the object.
+   * @param {object} req.query The parsed querystring.
+   * @param {string} req.query.name The name of the object.
+   * @param {object} res The response.
+   */
+  uploadObject (req, res) {
+    logger.debug('RestService#uploadObject', req.params.bucket, req.query.name);
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    return this._objects.insertObject(req.params.bucket, req.query.name, data, req.get('content-type'))
+      .then((object) => {
+        res.status(200).json(object).end();
+        this._triggerStorageEvent('finalize', object);
+      });
+  }
+
+  /**
+   * Waits for an operation to finish, or for the timeout to elapse.
+   *
+   * @param {object} req The request.
+   * @param {object} req.params The path parameters.
+   * @param {string} req.params.operation The name of the operation to wait for.
+   * @param {string|number} [req.body.timeout] How long to wait, either as a
+   *     duration such as "30s" or as a number of seconds. Can also be given in
+   *     the querystring. Defaults to 60 seconds.
+   * @param {object} res The response.
+   */
+  waitOperation (req, res) {
+    const name = Operation.formatName(req.params.operation);
+    const timeout = (req.body && req.body.timeout) || req.query.timeout;
+    logger.debug('RestService#waitOperation', name, timeout);
+    return Promise.resolve()
+      .then(() => {
+        let ms;
+        if (timeout !== undefined) {
+          ms = parseFloat(`${timeout}`.replace(/s$/, '')) * 1000;
+          if (isNaN(ms) || ms < 0) {
+            throw new Errors.InvalidArgumentError(`Invalid timeout: ${timeout}`);
+          }
+        }
+        return this.functions.waitOperation(name, ms);
+      })
+      .then((operation) => {
+        res.status(200).json(operation).end();
+      });
+  }
+
   on (...args) {
     this._server.on(...args);
     return this;
@@ -0,0 +1,179 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The methods of the fs module that write to a file system, with the positions
+// of the arguments that name the paths they write to
+const WRITE_METHODS = {
+  appendFile: [0],
+  chmod: [0],
+  chown: [0],
+  copyFile: [1],
+  cp: [1],
+  lchmod: [0],
+  lchown: [0],
+  link: [1],
+  lutimes: [0],
+  mkdir: [0],
+  mkdtemp: [0],
+  rename: [0, 1],
+  rm: [0],
+  rmdir: [0],
+  symlink: [1],
+  truncate: [0],
+  unlink: [0],
+  utimes: [0],
+  writeFile: [0]
+};
+// The methods that write to a symbolic link itself rather than to the file it
+// points to
+const LINK_METHODS = ['lchmod', 'lchown', 'link', 'lutimes', 'mkdir', 'mkdtemp', 'rename', 'rm', 'rmdir', 'symlink', 'unlink'];
+// Flags of fs.open that open a file for writing
+const WRITE_FLAGS = fs.constants.O_WRONLY | fs.constants.O_RDWR | fs.constants.O_CREAT |
+  fs.constants.O_TRUNC | fs.constants.O_APPEND;
+// Devices that stay writable, as they are in production
+const WRITABLE_DEVICES = ['/dev/null', '/dev/stdout', '/dev/stderr'];
+
+function toPath (file) {
+  if (Buffer.isBuffer(file)) {
+    return file.toString();
+  } else if (file && typeof file === 'object' && file.protocol === 'file:') {
+    // A file: URL
+    return decodeURIComponent(file.pathname);
+  }
+  return file;
+}
+
+// Resolves the symbolic links in an absolute path, including those of the
+// directories of a file that doesn't exist yet
+function realpath (file) {
+  try {
+    return fs.realpathSync(file);
+  } catch (err) {
+    const dir = path.dirname(file);
+    return dir === file ? file : path.join(realpath(dir), path.basename(file));
+  }
+}
+
+function isWritable (file, writableDir, followLink) {
+  file = toPath(file);
+  if (typeof file !== 'string') {
+    // A file descriptor, whose file was checked when it was opened
+    return true;
+  }
+  const resolved = path.resolve(file);
+  if (WRITABLE_DEVICES.includes(resolved)) {
+    return true;
+  }
+  // A link in the writable directory mustn't give access to files outside it
+  const real = followLink
+    ? realpath(resolved)
+    : path.join(realpath(path.dirname(resolved)), path.basename(resolved));
+  return real === writableDir || real.startsWith(`${writableDir}${path.sep}`);
+}
+
+function isWriteFlag (flags) {
+  if (typeof flags === 'number') {
+    return (flags & WRITE_FLAGS) !== 0;
+  }
+  return typeof flags === 'string' && /[wa+]/.test(flags);
+}
+
+function createError (syscall, file) {
+  const err = new Error(`EROFS: read-only file system, ${syscall} '${toPath(file)}'`);
+  err.errno = -os.constants.errno.EROFS;
+  err.code = 'EROFS';
+  err.syscall = syscall;
+  err.path = toPath(file);
+  return err;
+}
+
+/**
+ * Replaces the callback, synchronous and promise versions of an fs method with
+ * ones that fail instead of writing outside the writable directory.
+ *
+ * @param {string} name The name of the method, e.g. "writeFile".
+ * @param {function} getPaths Returns the paths that a call writes to.
+ * @param {string} writableDir The writable directory.
+ */
+function wrap (name, getPaths, writableDir) {
+  const check = (args) => {
+    const file = getPaths(args).find((file) => !isWritable(file, writableDir, !LINK_METHODS.includes(name)));
+    return file === undefined ? null : createError(name, file);
+  };
+
+  if (typeof fs[name] === 'function') {
+    const method = fs[name];
+    fs[name] = function (...args) {
+      const err = check(args);
+      if (!err) {
+        return method.apply(this, args);
+      }
+      const callback = args[args.length - 1];
+      if (typeof callback !== 'function') {
+        throw err;
+      }
+      process.nextTick(callback, err);
+    };
+  }
+
+  if (typeof fs[`${name}Sync`] === 'function') {
+    const method = fs[`${name}Sync`];
+    fs[`${name}Sync`] = function (...args) {
+      const err = check(args);
+      if (err) {
+        throw err;
+      }
+      return method.apply(this, args);
+    };
+  }
+
+  // Accessing fs.promises prints a warning in Node.js 10, where it is
+  // experimental
+  const promises = parseInt(process.versions.node.split('.')[0], 10) > 10 && fs.promises;
+  if (promises && typeof promises[name] === 'function') {
+    const method = promises[name];
+    promises[name] = function (...args) {
+      const err = check(args);
+      return err ? Promise.reject(err) : method.apply(this, args);
+    };
+  }
+}
+
+/**
+ * Makes the file system read-only for the current process, except for the
+ * given directory, as it is for functions in production: every fs method that
+ * writes elsewhere fails with an EROFS error. Writes made by native code or
+ * other processes aren't affected.
+ *
+ * @param {string} writableDir The directory that stays writable, e.g. the
+ *     worker's temporary directory.
+ */
+function enable (writableDir) {
+  writableDir = realpath(path.resolve(writableDir));
+  Object.keys(WRITE_METHODS).forEach((name) => {
+    wrap(name, (args) => WRITE_METHODS[name].map((i) => args[i]), writableDir);
+  });
+  // Opening a file, which fs.createWriteStream also does, only writes to it
+  // with some flags
+  wrap('open', (args) => isWriteFlag(args[1]) ? [args[0]] : [], writableDir);
+}
+
+exports.enable = enable;
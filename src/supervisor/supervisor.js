@@ -21,22 +21,145 @@ const _ = require('lodash');
 const bodyParser = require('body-parser');
 const express = require('express');
 const fork = require('child_process').fork;
+const fs = require('fs');
 const httpProxy = require('http-proxy');
 const logger = require('winston');
+const makeDir = require('make-dir');
+const os = require('os');
 const path = require('path');
+const rimraf = require('rimraf');
 const url = require('url');
+const uuid = require('uuid');
 
 const defaults = require('../defaults.json');
 const Errors = require('../utils/errors');
+const logs = require('../emulator/logs');
 const Model = require('../model');
+const pkg = require('../../package.json');
+const runtimes = require('../utils/runtimes');
 const server = require('../server');
 
 const DEFAULT_MAX_IDLE = 5 * 60 * 1000;
 const DEFAULT_IDLE_PRUNE_INTERVAL = 60 * 1000;
 const NAME_REG_EXP = /^\/([-\w]+)\/([-\w]+)\/([A-Za-z][-A-Za-z0-9_]*)/;
+const COLD_START_HEADER = 'X-Emulator-Cold-Start';
+const LOAD_TIME_HEADER = 'X-Emulator-Load-Time';
+const STARTUP_TIME_HEADER = 'X-Emulator-Startup-Time';
+const EXECUTION_ID_HEADER = 'Function-Execution-Id';
+const MEMORY_LIMIT_EXCEEDED = 'Error: memory limit exceeded. Function invocation was interrupted.';
+// How long an instance is held back from other requests while it checks an
+// execution for pending work, with backgroundWork "fail", in case the check is
+// never reported, e.g. because the request never reached the function
+const WORK_CHECK_TIMEOUT = 1000;
+// Where the private temporary directories of workers are created
+const WORKERS_TMP_DIR = path.join(os.tmpdir(), pkg.name, 'workers');
+// The variables of the Emulator's environment that workers started with a
+// clean environment keep, so that Node.js and the operating system work
+const CLEAN_ENV_VARS = ['HOME', 'PATH', 'SYSTEMROOT', 'TEMP', 'TMP', 'TMPDIR', 'USERPROFILE'];
 
 const { CloudFunction } = Model;
 
+/**
+ * Measures the disk space used by the files in a directory. The directory is
+ * walked asynchronously, so that large directories don't hold up requests.
+ *
+ * @param {string} dir The directory.
+ * @returns {Promise} Resolves with the total size of the files, in bytes.
+ */
+function getDirectorySize (dir) {
+  return new Promise((resolve) => {
+    fs.readdir(dir, (err, names) => {
+      if (err) {
+        // The directory was removed
+        resolve(0);
+        return;
+      }
+      Promise.all(names.map((name) => {
+        const file = path.join(dir, name);
+        return new Promise((resolve) => {
+          fs.lstat(file, (err, stats) => {
+            if (err) {
+              // The file was removed while the directory was measured
+              resolve(0);
+            } else {
+              resolve(stats.isDirectory() ? getDirectorySize(file) : stats.size);
+            }
+          });
+        });
+      }))
+        .then((sizes) => resolve(sizes.reduce((size, fileSize) => size + fileSize, 0)));
+    });
+  });
+}
+
+/**
+ * Formats a number of bytes for log messages.
+ *
+ * @param {number} bytes
+ * @returns {string} e.g. "12 MB" or "3 KB".
+ */
+function formatSize (bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+  }
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Converts the coldStart setting to the probability that an invocation is
+ * forced to start a new worker instance.
+ *
+ * @param {string|number} coldStart "always", "never", or a probability.
+ * @returns {number}
+ */
+function parseColdStart (coldStart) {
+  if (coldStart === 'always') {
+    return 1;
+  } else if (coldStart === 'never') {
+    return 0;
+  }
+  const probability = parseFloat(coldStart);
+  if (isNaN(probability) || probability < 0 || probability > 1) {
+    throw new Error(`Invalid coldStart setting: ${coldStart}. Must be "always", "never", or a probability between 0 and 1.`);
+  }
+  return probability;
+}
+
+/**
+ * Restores the short name of a function sent to the Supervisor as JSON.
+ *
+ * @param {object} cloudfunction The function.
+ * @returns {object} A copy of the function, with its "shortName".
+ */
+function parseFunction (cloudfunction) {
+  return _.assign({}, cloudfunction, {
+    shortName: CloudFunction.parseName(cloudfunction.name).name
+  });
+}
+
+/**
+ * Calls a function with each complete line read from a stream, so that output
+ * isn't split wherever the stream's chunks happen to end.
+ *
+ * @param {object} stream The stream to read.
+ * @param {function} onLine Called with each line, without its line break.
+ */
+function readLines (stream, onLine) {
+  let buffer = '';
+  stream.setEncoding('utf8');
+  stream
+    .on('data', (chunk) => {
+      const lines = (buffer + chunk).split('\n');
+      buffer = lines.pop();
+      lines.forEach(onLine);
+    })
+    .on('end', () => {
+      if (buffer) {
+        onLine(buffer);
+      }
+    });
+}
+
 /**
  * The Supervisor service manages the function worker pool.
  *
@@ -49,8 +172,18 @@ class Supervisor {
     this._functions = functions;
     this.config = _.cloneDeep(opts);
 
-    // This map tracks the running function workers
+    // This map tracks the running function workers. Each function may have
+    // several worker instances
     this._workerPool = new Map();
+    // Requests waiting for a worker instance to become available
+    this._requestQueues = new Map();
+    // The number of worker instances of each function that are starting up
+    this._startingWorkers = new Map();
+    // Instances of previous versions of updated functions, which are closed
+    // once they finish the requests they are handling
+    this._retiredWorkers = new Set();
+    // When each function was last updated
+    this._updateTimes = new Map();
 
     // Default values
     if (this.config.useMocks === 'true') {
@@ -64,6 +197,19 @@ class Supervisor {
     if (this.config.idlePruneInterval === undefined) {
       this.config.idlePruneInterval = defaults.idlePruneInterval;
     }
+    if (this.config.maxInstances === undefined) {
+      this.config.maxInstances = defaults.maxInstances;
+    }
+    if (this.config.concurrency === undefined) {
+      this.config.concurrency = defaults.concurrency;
+    }
+    if (this.config.coldStart === undefined) {
+      this.config.coldStart = defaults.coldStart;
+    }
+    if (this.config.backgroundWork === undefined) {
+      this.config.backgroundWork = defaults.backgroundWork;
+    }
+    this._coldStartProbability = parseColdStart(this.config.coldStart);
 
     // Setup the express app
     this.app = express();
@@ -81,6 +227,8 @@ class Supervisor {
     apiRouter.post('/delete', (req, res, next) => this.deleteHandler(req, res).catch(next));
     apiRouter.post('/deploy', (req, res, next) => this.deployHandler(req, res).catch(next));
     apiRouter.post('/reset', (req, res, next) => this.resetHandler(req, res).catch(next));
+    apiRouter.post('/update', (req, res, next) => this.updateHandler(req, res).catch(next));
+    apiRouter.post('/validate', (req, res, next) => this.validateHandler(req, res).catch(next));
     apiRouter.use((req, res) => res.status(404).end());
     apiRouter.use((err, req, res, next) => Errors.sendRestError(err, res));
     this.app.use('/api', apiRouter);
@@ -96,10 +244,19 @@ class Supervisor {
     });
     this._proxy
       .on('error', (err, req, res) => {
+        // The execution timed out, and closing the instance ended the request
+        if (req.functionStatus === 'timeout') {
+          return;
+        }
         // The function failed to respond to the request or crashed
         clearTimeout(req.functionTimeout);
-        this.closeWorker(req.functionName);
-        logger.info(`Execution took ${Date.now() - req.functionStart} ms, finished with status: 'crash'`);
+        this.closeInstance(req.functionWorker);
+        req.functionStatus = 'crash';
+        const memoryExceeded = req.functionWorker && req.functionWorker.memoryExceeded;
+        if (memoryExceeded) {
+          logger.error(MEMORY_LIMIT_EXCEEDED, req.functionLogMeta);
+        }
+        logger.info(`Execution took ${Date.now() - req.functionStart} ms, finished with status: 'crash'`, req.functionLogMeta);
 
         try {
           res
@@ -108,7 +265,7 @@ class Supervisor {
               error: {
                 code: 500,
                 status: 'INTERNAL',
-                message: 'function crashed',
+                message: memoryExceeded ? MEMORY_LIMIT_EXCEEDED : 'function crashed',
                 errors: [err.message]
               }
             })
@@ -127,6 +284,10 @@ class Supervisor {
       })
       .on('proxyRes', (proxyRes, req, res) => {
         clearTimeout(req.functionTimeout);
+        // Measure the size of the function's response
+        proxyRes.on('data', (chunk) => {
+          req.functionExecution.outputSize += chunk.length;
+        });
       });
   }
 
@@ -138,6 +299,61 @@ class Supervisor {
     return DEFAULT_IDLE_PRUNE_INTERVAL;
   }
 
+  static get EXECUTION_ID_HEADER () {
+    return EXECUTION_ID_HEADER;
+  }
+
+  static get COLD_START_HEADER () {
+    return COLD_START_HEADER;
+  }
+
+  static get LOAD_TIME_HEADER () {
+    return LOAD_TIME_HEADER;
+  }
+
+  static get STARTUP_TIME_HEADER () {
+    return STARTUP_TIME_HEADER;
+  }
+
+  /**
+   * Waits for a worker instance of the given function to become available for
+   * a request. The caller must hand the worker back with
+   * Supervisor#releaseWorker once the request is finished.
+   *
+   * Depending on Supervisor#config.coldStart, the request may be forced to
+   * start a new instance, as if it had been routed to a fresh instance in
+   * production.
+   *
+   * @method Supervisor#acquireWorker
+   * @param {string} name
+   * @param {object} [invocation] Receives whether the request was a cold start
+   *     ("cold"), how long the new instance took to load the function's module
+   *     ("loadTime") and how long the request waited for the new instance to
+   *     start ("startupTime").
+   * @returns Promise
+   */
+  acquireWorker (name, invocation = {}) {
+    const queuedAt = Date.now();
+    invocation.cold = false;
+    return this._functions.getFunction(name)
+      .then((cloudfunction) => {
+        return new Promise((resolve, reject) => {
+          if (!this._requestQueues.has(name)) {
+            this._requestQueues.set(name, []);
+          }
+          this._requestQueues.get(name).push({
+            cloudfunction,
+            invocation,
+            queuedAt,
+            forceCold: Math.random() < this._coldStartProbability,
+            resolve,
+            reject
+          });
+          this._dispatch(name);
+        });
+      });
+  }
+
   calculateTimeout (duration) {
     // The default is 60 seconds
     const DEFAULT = 60 * 1000;
@@ -189,12 +405,72 @@ class Supervisor {
     req.functionName = formattedName;
     req.functionStart = Date.now();
 
-    return this.getOrCreateWorker(formattedName)
+    // Reuse the execution ID chosen by the caller, if any
+    const executionId = req.headers[EXECUTION_ID_HEADER.toLowerCase()] || uuid.v4();
+    req.headers[EXECUTION_ID_HEADER.toLowerCase()] = executionId;
+    res.set(EXECUTION_ID_HEADER, executionId);
+
+    const invocation = {};
+    return this.acquireWorker(formattedName, invocation)
       .then((worker) => {
+        const cloudfunction = worker.cloudfunction;
+        req.functionExecution = {
+          executionId,
+          function: formattedName,
+          trigger: cloudfunction.httpsTrigger ? 'http' : cloudfunction.eventTrigger.eventType,
+          startTime: new Date(req.functionStart).toISOString(),
+          inputSize: 0,
+          outputSize: 0,
+          cold: invocation.cold
+        };
+        // Correlates the Supervisor's log entries with the function's
+        req.functionLogMeta = {
+          function: cloudfunction.shortName,
+          executionId
+        };
+        if (this.config.recordDir) {
+          this._startRecording(req, res, req.url.replace(key, '') || '/');
+        }
+
+        res.set(COLD_START_HEADER, `${invocation.cold}`);
+        if (invocation.cold) {
+          res.set(LOAD_TIME_HEADER, `${invocation.loadTime}`);
+          res.set(STARTUP_TIME_HEADER, `${invocation.startupTime}`);
+          logger.info(`Cold start: function module loaded in ${invocation.loadTime} ms, request waited ${invocation.startupTime} ms for a new instance`, req.functionLogMeta);
+        } else {
+          logger.info('Warm start', req.functionLogMeta);
+        }
+
+        let released = false;
+        const release = () => {
+          if (!released) {
+            released = true;
+            req.functionEnd = Date.now();
+            if (this.config.backgroundWork === 'fail') {
+              // The instance is shut down before it can serve another request
+              // if the execution left work pending
+              this._waitForWorkCheck(worker, executionId).then(() => this.releaseWorker(worker));
+            } else {
+              this.releaseWorker(worker);
+            }
+            this.measureTmpUsage(worker)
+              .then((tmpUsage) => {
+                req.functionExecution.tmpUsage = tmpUsage;
+                return this.recordExecution(req, res);
+              });
+            if (req.functionRecording) {
+              this.recordFixture(req, res);
+            }
+          }
+        };
+        res.on('finish', release).on('close', release);
+        req.functionWorker = worker;
+
         req.functionTimeout = setTimeout(() => {
           try {
-            this.closeWorker(req.functionName);
-            logger.info(`Execution took ${Date.now() - req.functionStart} ms, finished with status: 'timeout'`);
+            req.functionStatus = 'timeout';
+            this.closeInstance(worker);
+            logger.info(`Execution took ${Date.now() - req.functionStart} ms, finished with status: 'timeout'`, req.functionLogMeta);
 
             res
               .status(500)
@@ -212,6 +488,14 @@ class Supervisor {
           }
         }, worker.functionTimeout);
 
+        // Measure the size of the request. The proxy starts reading the request
+        // in this same tick, so no data is missed
+        req.on('data', (chunk) => {
+          req.functionExecution.inputSize += chunk.length;
+          if (req.functionRecording) {
+            req.functionRecording.requestChunks.push(chunk);
+          }
+        });
         this._proxy.web(req, res, {
           target: `http://localhost:${worker.port}${req.url.replace(key, '') || '/'}`
         });
@@ -246,21 +530,20 @@ class Supervisor {
   }
 
   /**
-   * Shuts down a worker.
+   * Shuts down a single worker instance.
    *
-   * @method Superviser#closeWorker
-   * @param {string} name
+   * @method Superviser#closeInstance
+   * @param {object} worker
    * @returns Promise
    */
-  closeWorker (name) {
-    if (!this._workerPool.has(name)) {
+  closeInstance (worker) {
+    if (!worker || !(this._removeWorker(worker) || this._retiredWorkers.delete(worker))) {
       return Promise.resolve({ status: 'NOT_FOUND', code: null, signal: null, worker: null });
     }
 
     return new Promise((resolve) => {
       let timeout;
-      const worker = this._workerPool.get(name);
-      this._workerPool.delete(name);
+      const name = worker.name;
       logger.debug(`Stopping worker ${name}...`);
       const pid = worker.process.pid;
 
@@ -287,7 +570,27 @@ class Supervisor {
   }
 
   /**
-   * Creates a new worker.
+   * Shuts down every worker instance of a function.
+   *
+   * @method Superviser#closeWorker
+   * @param {string} name
+   * @returns Promise Resolves with the result of closing the first instance.
+   */
+  closeWorker (name) {
+    const workers = this.getWorkers(name);
+    if (!workers.length) {
+      return Promise.resolve({ status: 'NOT_FOUND', code: null, signal: null, worker: null });
+    }
+
+    return Promise.all(workers.map((worker) => this.closeInstance(worker)))
+      .then((results) => results[0]);
+  }
+
+  /**
+   * Creates a new worker. A worker created with the "standby" option is not
+   * added to the pool, so it receives no requests until it is added with
+   * Supervisor#_addWorker. A worker created with the "validate" option only
+   * loads the function and exits, see Supervisor#validateFunction.
    *
    * @method Superviser#createWorker
    * @param {object} cloudfunction
@@ -297,18 +600,33 @@ class Supervisor {
   createWorker (cloudfunction, opts) {
     logger.debug('createWorker', cloudfunction.name, opts);
     opts || (opts = {});
+    const name = cloudfunction.name;
+    this._startingWorkers.set(name, (this._startingWorkers.get(name) || 0) + 1);
     return new Promise((resolve, reject) => {
-      const worker = {};
-      let error, stderr;
+      const worker = {
+        name,
+        cloudfunction,
+        active: 0,
+        // Requests aren't routed to the worker until it has finished starting
+        starting: true,
+        // The executions checked for pending work, or waiting for the check,
+        // see Supervisor#_waitForWorkCheck
+        workChecks: new Map()
+      };
+      let error;
+      let stderr = '';
       let resolved = false;
       let rejected = false;
 
       const timeout = setInterval(() => {
-        if (rejected) {
+        if (rejected || resolved) {
           clearInterval(timeout);
+          worker.starting = false;
+          this._startingWorkers.set(name, this._startingWorkers.get(name) - 1);
+        }
+        if (rejected) {
           reject(error);
         } else if (resolved) {
-          clearInterval(timeout);
           resolve(worker);
         }
       }, 200);
@@ -344,7 +662,19 @@ class Supervisor {
         }
       }
 
-      const parts = CloudFunction.parseName(cloudfunction.name);
+      // Limit the heap to the function's memory allocation. The worker's total
+      // memory usage is also checked as it reports it, see below
+      if (cloudfunction.availableMemoryMb) {
+        execArgv.push(`--max-old-space-size=${cloudfunction.availableMemoryMb}`);
+        worker.memoryLimitMb = cloudfunction.availableMemoryMb;
+      }
+
+      // Each instance has its own /tmp in production. It is removed when the
+      // worker exits
+      makeDir.sync(WORKERS_TMP_DIR);
+      worker.tmpDir = fs.mkdtempSync(path.join(WORKERS_TMP_DIR, `${cloudfunction.shortName}-`));
+      worker.tmpUsage = 0;
+      worker.maxTmpUsage = 0;
 
       // Spawn a child process in which to execute the user's function
       // TODO: Warn when the Supervisor process ends but a child process is
@@ -354,11 +684,9 @@ class Supervisor {
         // Execute the process in the context of the user's code
         cwd: CloudFunction.getLocaldir(cloudfunction),
         // Emulate the environment variables of the production service
-        env: _.merge({}, process.env, {
-          FUNCTION_NAME: cloudfunction.shortName,
-          GCLOUD_PROJECT: parts.project,
-          GCP_PROJECT: parts.project
-        }),
+        env: this.getEnvironment(cloudfunction, worker.tmpDir),
+        // Run the function with the Node.js of its runtime
+        execPath: cloudfunction.runtimeExecutable || process.execPath,
         // Optionally prepare to debug the child process
         execArgv,
         // Allow stdin, stdout, and stderr to be piped to the parent so we can
@@ -378,6 +706,12 @@ class Supervisor {
           const workerPids = server.get('workers') || {};
           delete workerPids[workerProcess.pid];
           server.set('workers', workerPids);
+          // Don't route any more requests to a worker that has gone away
+          this._removeWorker(worker);
+          this._retiredWorkers.delete(worker);
+          this._removeTmpDir(worker);
+          // No more checks will be reported
+          worker.workChecks.forEach((check) => typeof check === 'function' && check());
 
           if (code === 12) {
             msg = `Debug/Inspect port ${worker.debugPort || worker.inspectPort} already in use. Are you already debugging another function on this port? Specify a different port or reset the function that's using your desired port.`;
@@ -404,51 +738,77 @@ class Supervisor {
             rejected = true;
           }
         })
+        // Unlike "exit", "close" comes after every message from the worker
+        .on('close', () => {
+          if (opts.validate && !resolved && !rejected) {
+            error = new Errors.InvalidArgumentError(`Function load error: The process exited while loading ${cloudfunction.entryPoint || cloudfunction.shortName}.`);
+            rejected = true;
+          }
+        })
         .on('error', (err) => {
           logger.error(`ERROR: ${cloudfunction.name}`);
           logger.error(err);
         });
 
-      // Anything the user logs will be logged at the Debug level
-      workerProcess.stdout.on('data', (chunk) => {
-        let str = chunk.toString('utf8');
-        if (str.charAt(str.length - 1) === '\n') {
-          str = str.substring(0, str.length - 1);
-        }
-        logger.info(str);
+      // The worker sends what the user logs as messages, see below. Only
+      // output written outside of JavaScript, e.g. by Node.js itself when the
+      // worker crashes, arrives here
+      readLines(workerProcess.stdout, (line) => {
+        this._logOutput(worker, { severity: 'INFO', text: line });
       });
-
-      // Any errors logged by the user will be logged at the Error level
-      workerProcess.stderr.on('data', (chunk) => {
-        let str = chunk.toString('utf8');
-        if (str.charAt(str.length - 1) === '\n') {
-          str = str.substring(0, str.length - 1);
+      readLines(workerProcess.stderr, (line) => {
+        stderr += `${line}\n`;
+        this._logOutput(worker, { severity: 'ERROR', text: line });
+        if (/heap out of memory/.test(line)) {
+          worker.memoryExceeded = true;
         }
-        stderr += str;
-        logger.error(str);
       });
 
       workerProcess.on('message', (message) => {
         if (message.port) {
           // The worker now has a ported and is receiving connections
           worker.port = message.port;
+          worker.loadTime = message.loadTime;
           if (opts.inspect) {
             logger.info(`Debugger (via --inspect) for ${cloudfunction.name} listening on port ${opts.port}.`);
           } else if (opts.debug) {
             logger.info(`Debugger (via --debug) for ${cloudfunction.name} listening on port ${opts.port}.`);
           }
           if (!rejected) {
-            this._workerPool.set(cloudfunction.name, worker);
+            if (!opts.standby) {
+              this._addWorker(worker);
+            }
             resolved = true;
           }
+        } else if (message.validated) {
+          worker.file = message.validated.file;
+          resolved = true;
+        } else if (message.invalid) {
+          error = new Errors.InvalidArgumentError(message.invalid);
+          rejected = true;
+        } else if (message.log) {
+          this._logOutput(worker, message.log);
+        } else if (message.memoryUsage) {
+          worker.memoryUsage = message.memoryUsage;
+          this._checkMemoryUsage(worker);
         } else if (message.close) {
-          this.closeWorker(cloudfunction.name);
+          this.closeInstance(worker);
+        } else if (message.workChecked) {
+          if (message.workChecked.retire) {
+            this._retireWorker(worker);
+          }
+          this._workChecked(worker, message.workChecked.executionId);
         } else if (message.ready) {
           workerProcess.send({
             name: cloudfunction.shortName,
             cloudfunction,
             useMocks: this.config.useMocks,
             debug: worker.debug || worker.inspect,
+            signatureType: runtimes.getSignatureType(cloudfunction),
+            backgroundWork: this.config.backgroundWork,
+            readOnlyFs: this.config.readOnlyFs,
+            tmpDir: worker.tmpDir,
+            validate: opts.validate,
             watch: this.config.watch,
             watchIgnore: this.config.watchIgnore
           });
@@ -473,14 +833,247 @@ class Supervisor {
   }
 
   debugPortIsAvailable (port) {
-    for (let [, worker] of this._workerPool) {
-      if (worker.debugPort === port || worker.inspectPort === port) {
-        return false;
+    for (let [, workers] of this._workerPool) {
+      for (let worker of workers) {
+        if (worker.debugPort === port || worker.inspectPort === port) {
+          return false;
+        }
       }
     }
     return true;
   }
 
+  /**
+   * Hands queued requests for the given function to worker instances. Idle
+   * instances are preferred, then new instances are started until the
+   * function's instance limit is reached, and finally requests share the
+   * least busy instance, up to Supervisor#config.concurrency requests per
+   * instance. Requests that can't be placed stay queued until an instance is
+   * released. A request selected for a cold start always gets a new instance,
+   * which replaces an idle instance if there is one.
+   *
+   * @method Supervisor#_dispatch
+   * @param {string} name
+   */
+  _dispatch (name) {
+    const queue = this._requestQueues.get(name) || [];
+
+    while (queue.length) {
+      const workers = this.getWorkers(name);
+      const started = workers.filter((worker) => !worker.starting);
+      const idle = started.find((worker) => worker.active === 0);
+      const starting = this._startingWorkers.get(name) || 0;
+      const atLimit = workers.length + starting >= this.getMaxInstances(queue[0].cloudfunction);
+
+      // Restarting a function that is being debugged would end the debugging
+      // session
+      if (queue[0].forceCold && !this.isDebugging(name)) {
+        if (idle) {
+          this.closeInstance(idle);
+        } else if (atLimit) {
+          break;
+        }
+        this._startWorkerFor(queue.shift());
+        continue;
+      }
+
+      if (idle) {
+        this._assignWorker(idle, queue.shift());
+        continue;
+      }
+
+      if (!atLimit) {
+        this._startWorkerFor(queue.shift());
+        continue;
+      }
+
+      // Instances being checked for work left pending by an execution may be
+      // shut down, see Supervisor#_waitForWorkCheck
+      const available = _.minBy(started.filter((worker) => {
+        return (!this.config.concurrency || worker.active < this.config.concurrency) && !worker.checkingWork;
+      }), 'active');
+      if (available) {
+        this._assignWorker(available, queue.shift());
+        continue;
+      }
+
+      // Every instance is busy, so wait for one to be released
+      break;
+    }
+
+    if (!queue.length) {
+      this._requestQueues.delete(name);
+    }
+  }
+
+  _assignWorker (worker, request) {
+    worker.active++;
+    worker.lastAccessed = Date.now();
+    request.resolve(worker);
+  }
+
+  _startWorkerFor (request) {
+    const name = request.cloudfunction.name;
+    const startedAt = Date.now();
+    this.createWorker(request.cloudfunction)
+      .then((worker) => {
+        request.invocation.cold = true;
+        request.invocation.loadTime = worker.loadTime;
+        request.invocation.startupTime = Date.now() - request.queuedAt;
+        this._assignWorker(worker, request);
+        if ((this._updateTimes.get(name) || 0) >= startedAt) {
+          // The function was updated while the instance was starting, so it
+          // only serves the request it was started for
+          this._retireWorker(worker);
+        }
+        this._dispatch(name);
+      }, (err) => {
+        request.reject(err);
+        this._dispatch(name);
+      });
+  }
+
+  _logOutput (worker, output) {
+    const entry = logs.parseOutput(output.text, output.severity);
+    logger.log(_.assign({
+      level: logs.getLevel(entry.severity),
+      function: worker.cloudfunction.shortName,
+      executionId: output.executionId,
+      pid: worker.process.pid
+    }, entry));
+  }
+
+  _startRecording (req, res, requestPath) {
+    const recording = req.functionRecording = {
+      path: requestPath,
+      requestChunks: [],
+      responseChunks: []
+    };
+    const capture = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') {
+        recording.responseChunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+      }
+    };
+
+    // Capture everything sent to the client, whether it was proxied from the
+    // worker or sent by the Supervisor after a crash or timeout
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding) {
+      capture(chunk, encoding);
+      return write.apply(this, arguments);
+    };
+    res.end = function (chunk, encoding) {
+      capture(chunk, encoding);
+      return end.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Kills a worker whose memory usage, which includes the files it wrote to
+   * /tmp as in production, exceeds its function's memory limit.
+   *
+   * @method Supervisor#_checkMemoryUsage
+   * @param {object} worker
+   */
+  _checkMemoryUsage (worker) {
+    const memoryUsage = (worker.memoryUsage || 0) + (worker.tmpUsage || 0);
+    if (worker.memoryLimitMb &&
+        !worker.memoryExceeded &&
+        memoryUsage > worker.memoryLimitMb * 1024 * 1024) {
+      // Kill the worker, interrupting any request it is handling
+      worker.memoryExceeded = true;
+      const tmpUsage = worker.tmpUsage ? ` (${formatSize(worker.tmpUsage)} of it in /tmp)` : '';
+      logger.error(`${worker.cloudfunction.shortName} used ${formatSize(memoryUsage)}${tmpUsage}, exceeding its memory limit of ${worker.memoryLimitMb} MB.`);
+      this.closeInstance(worker);
+    }
+  }
+
+  _addWorker (worker) {
+    if (!this._workerPool.has(worker.name)) {
+      this._workerPool.set(worker.name, []);
+    }
+    this._workerPool.get(worker.name).push(worker);
+  }
+
+  _retireWorker (worker) {
+    if (!worker.active) {
+      return this.closeInstance(worker);
+    }
+    // Let the instance finish its requests, see Supervisor#releaseWorker
+    this._removeWorker(worker);
+    worker.retired = true;
+    this._retiredWorkers.add(worker);
+    return Promise.resolve();
+  }
+
+  /**
+   * Waits for a worker to report whether an execution left work pending, see
+   * the "workChecked" message. No requests are routed to the worker meanwhile.
+   *
+   * @method Supervisor#_waitForWorkCheck
+   * @private
+   * @param {object} worker
+   * @param {string} executionId The ID of the execution.
+   * @returns {Promise}
+   */
+  _waitForWorkCheck (worker, executionId) {
+    return new Promise((resolve) => {
+      // The check may have been reported before the response finished
+      if (worker.workChecks.get(executionId) === true) {
+        worker.workChecks.delete(executionId);
+        resolve();
+        return;
+      }
+      const timer = setTimeout(() => this._workChecked(worker, executionId), WORK_CHECK_TIMEOUT);
+      worker.checkingWork = (worker.checkingWork || 0) + 1;
+      worker.workChecks.set(executionId, () => {
+        clearTimeout(timer);
+        worker.checkingWork--;
+        resolve();
+      });
+    });
+  }
+
+  _workChecked (worker, executionId) {
+    const check = worker.workChecks.get(executionId);
+    if (typeof check === 'function') {
+      worker.workChecks.delete(executionId);
+      check();
+    } else if (check === undefined) {
+      worker.workChecks.set(executionId, true);
+    }
+  }
+
+  _removeTmpDir (worker) {
+    if (!worker.tmpDir) {
+      return;
+    }
+    // The usage is as last measured, as the directory is removed right away
+    if (worker.maxTmpUsage) {
+      logger.info(`${worker.cloudfunction.shortName} instance used up to ${formatSize(worker.maxTmpUsage)} of /tmp, which counts against its memory in production.`);
+    }
+    try {
+      rimraf.sync(worker.tmpDir);
+    } catch (err) {
+      logger.debug(`Failed to remove ${worker.tmpDir}: ${err.message}`);
+    }
+    worker.tmpDir = null;
+  }
+
+  _removeWorker (worker) {
+    const workers = this._workerPool.get(worker.name) || [];
+    const index = workers.indexOf(worker);
+    if (index === -1) {
+      return false;
+    }
+    workers.splice(index, 1);
+    if (!workers.length) {
+      this._workerPool.delete(worker.name);
+    }
+    return true;
+  }
+
   /**
    * Shuts down the worker for the given function.
    *
@@ -531,12 +1124,114 @@ class Supervisor {
       });
   }
 
+  /**
+   * Builds the environment of a function's workers: the function's own
+   * environment variables, and those the production runtime sets. Unless the
+   * "cleanEnv" option is set, workers also inherit the Emulator's environment.
+   *
+   * @method Supervisor#getEnvironment
+   * @param {object} cloudfunction
+   * @param {string} [tmpDir] The worker's temporary directory, which
+   *     os.tmpdir() returns.
+   * @returns {object}
+   */
+  getEnvironment (cloudfunction, tmpDir) {
+    const parts = CloudFunction.parseName(cloudfunction.name);
+    const entryPoint = cloudfunction.entryPoint || cloudfunction.shortName;
+    const memory = `${cloudfunction.availableMemoryMb || CloudFunction.DEFAULT_MEMORY_MB}`;
+    const timeout = `${Math.round(this.calculateTimeout(cloudfunction.timeout) / 1000)}`;
+    const triggerType = cloudfunction.httpsTrigger ? 'HTTP_TRIGGER' : 'EVENT_TRIGGER';
+
+    return _.assign(
+      {},
+      this.config.cleanEnv ? _.pick(process.env, CLEAN_ENV_VARS) : process.env,
+      cloudfunction.environmentVariables,
+      {
+        ENTRY_POINT: entryPoint,
+        FUNCTION_MEMORY_MB: memory,
+        FUNCTION_NAME: cloudfunction.shortName,
+        FUNCTION_REGION: parts.location,
+        FUNCTION_TARGET: entryPoint,
+        FUNCTION_TIMEOUT_SEC: timeout,
+        FUNCTION_TRIGGER_TYPE: triggerType,
+        GCLOUD_PROJECT: parts.project,
+        GCP_PROJECT: parts.project,
+        X_GOOGLE_CODE_LOCATION: CloudFunction.getLocaldir(cloudfunction),
+        X_GOOGLE_ENTRY_POINT: entryPoint,
+        X_GOOGLE_FUNCTION_MEMORY_MB: memory,
+        X_GOOGLE_FUNCTION_NAME: cloudfunction.shortName,
+        X_GOOGLE_FUNCTION_REGION: parts.location,
+        X_GOOGLE_FUNCTION_TIMEOUT_SEC: timeout,
+        X_GOOGLE_FUNCTION_TRIGGER_TYPE: triggerType,
+        X_GOOGLE_FUNCTION_VERSION: `${cloudfunction.versionId || 1}`,
+        X_GOOGLE_GCLOUD_PROJECT: parts.project,
+        X_GOOGLE_GCP_PROJECT: parts.project
+      },
+      tmpDir ? { TEMP: tmpDir, TMP: tmpDir, TMPDIR: tmpDir } : {}
+    );
+  }
+
+  /**
+   * Returns how many worker instances the given function may have. A function
+   * being debugged is limited to one instance, as the debugger listens on a
+   * single port.
+   *
+   * @method Supervisor#getMaxInstances
+   * @param {object} cloudfunction
+   * @returns {number}
+   */
+  getMaxInstances (cloudfunction) {
+    if (this.isDebugging(cloudfunction.name)) {
+      return 1;
+    }
+    const maxInstances = cloudfunction.maxInstances || this.config.maxInstances;
+    return maxInstances > 0 ? maxInstances : Infinity;
+  }
+
   getWorker (name) {
-    return this._workerPool.get(name);
+    return this.getWorkers(name)[0];
+  }
+
+  getWorkers (name) {
+    return (this._workerPool.get(name) || []).slice();
   }
 
   hasWorker (name) {
-    return this._workerPool.has(name);
+    return this.getWorkers(name).length > 0;
+  }
+
+  isDebugging (name) {
+    return this.getWorkers(name).some((worker) => worker.debug || worker.inspect);
+  }
+
+  /**
+   * Measures how much disk space the files in a worker's temporary directory
+   * use, and checks the worker's memory limit against it.
+   *
+   * @method Supervisor#measureTmpUsage
+   * @param {object} worker
+   * @returns {Promise} Resolves with the size of the files, in bytes.
+   */
+  measureTmpUsage (worker) {
+    if (!worker.tmpDir) {
+      return Promise.resolve(worker.tmpUsage || 0);
+    }
+    // Requests that finish while the directory is being measured share the
+    // measurement
+    if (!worker.measuringTmpUsage) {
+      worker.measuringTmpUsage = getDirectorySize(worker.tmpDir)
+        .then((tmpUsage) => {
+          worker.measuringTmpUsage = null;
+          worker.tmpUsage = tmpUsage;
+          worker.maxTmpUsage = Math.max(worker.maxTmpUsage || 0, tmpUsage);
+          // The worker may have exited in the meantime
+          if (worker.tmpDir) {
+            this._checkMemoryUsage(worker);
+          }
+          return tmpUsage;
+        });
+    }
+    return worker.measuringTmpUsage;
   }
 
   /**
@@ -552,8 +1247,8 @@ class Supervisor {
   }
 
   /**
-   * Shuts down workers that have been idle longer than the length of time
-   * specified by Supervisor#config.maxIdle.
+   * Shuts down worker instances that have been idle longer than the length of
+   * time specified by Supervisor#config.maxIdle.
    *
    * @method Supervisor#prune
    * @returns Promise
@@ -561,19 +1256,120 @@ class Supervisor {
   prune () {
     const tasks = [];
 
-    for (let [name, worker] of this._workerPool) {
-      // Find workers that been idle longer than MAX_IDLE
-      if (typeof this.config.maxIdle === 'number' &&
-          this.config.maxIdle > 0 &&
-          (Date.now() - worker.lastAccessed) >= this.config.maxIdle) {
-        // Shutdown and remove idle workers from the pool
-        tasks.push(this.closeWorker(name));
-      }
+    for (let [, workers] of this._workerPool) {
+      workers.forEach((worker) => {
+        // Find instances that been idle longer than MAX_IDLE
+        if (typeof this.config.maxIdle === 'number' &&
+            this.config.maxIdle > 0 &&
+            !worker.active &&
+            (Date.now() - worker.lastAccessed) >= this.config.maxIdle) {
+          // Shutdown and remove idle instances from the pool
+          tasks.push(this.closeInstance(worker));
+        }
+      });
     }
 
     return Promise.all(tasks);
   }
 
+  /**
+   * Hands a worker instance back after a request has finished, so that it can
+   * serve queued requests.
+   *
+   * @method Supervisor#releaseWorker
+   * @param {object} worker
+   */
+  releaseWorker (worker) {
+    worker.active--;
+    worker.lastAccessed = Date.now();
+    if (worker.retired && !worker.active) {
+      this.closeInstance(worker);
+    }
+    this._dispatch(worker.name);
+  }
+
+  /**
+   * Saves the record of a finished function execution.
+   *
+   * @method Supervisor#recordExecution
+   * @param {object} req The function invocation request.
+   * @param {object} res The response to the invocation.
+   * @returns Promise
+   */
+  recordExecution (req, res) {
+    const execution = _.assign({}, req.functionExecution, {
+      duration: (req.functionEnd || Date.now()) - req.functionStart,
+      httpStatus: res.statusCode,
+      // Functions that failed respond with a 5xx status code
+      status: req.functionStatus || (res.statusCode >= 500 ? 'error' : 'ok')
+    });
+
+    return this._functions.createExecution(execution)
+      .catch((err) => {
+        logger.error(`Failed to record execution ${execution.executionId}: ${err.message}`);
+      });
+  }
+
+  /**
+   * Saves a recorded invocation as a fixture file in the directory set by
+   * Supervisor#config.recordDir. The fixture can be re-sent to the function
+   * with "functions replay".
+   *
+   * @method Supervisor#recordFixture
+   * @param {object} req
+   * @param {object} res
+   * @returns Promise Resolves with the path of the fixture file.
+   */
+  recordFixture (req, res) {
+    const execution = req.functionExecution;
+    const recording = req.functionRecording;
+    const body = Buffer.concat(recording.requestChunks);
+    const fixture = {
+      function: execution.function,
+      executionId: execution.executionId,
+      trigger: execution.trigger,
+      recordedAt: execution.startTime,
+      request: {
+        method: req.method,
+        path: recording.path,
+        query: url.parse(req.url, true).query,
+        headers: req.headers,
+        body: body.toString('base64')
+      },
+      response: {
+        statusCode: res.statusCode,
+        headers: res.getHeaders(),
+        body: Buffer.concat(recording.responseChunks).toString('base64')
+      }
+    };
+    if (execution.trigger !== 'http') {
+      // Background functions are replayed from the event, which can be edited
+      try {
+        fixture.event = JSON.parse(body.toString('utf8'));
+      } catch (err) {
+
+      }
+    }
+
+    const filename = path.join(
+      this.config.recordDir,
+      `${CloudFunction.parseName(execution.function).name}-${execution.executionId}.json`
+    );
+    return makeDir(this.config.recordDir)
+      .then(() => {
+        return new Promise((resolve, reject) => {
+          fs.writeFile(filename, JSON.stringify(fixture, null, 2), (err) => err ? reject(err) : resolve(filename));
+        });
+      })
+      .then(() => {
+        logger.info(`Recorded invocation to ${filename}`);
+        return filename;
+      })
+      .catch((err) => {
+        logger.error(`Failed to record execution ${execution.executionId}: ${err.message}`);
+      });
+  }
+
   /**
    * Request handler for /api/reset. Spins up a new worker for the given
    * function. Shuts down any previous worker for the function. Keeps previous
@@ -605,6 +1401,79 @@ class Supervisor {
       .then(() => res.end());
   }
 
+  /**
+   * Request handler for /api/update. Replaces the workers of a function with
+   * a worker running the function's new version.
+   *
+   * @method Supervisor#updateHandler
+   * @param {object} req
+   * @param {object} res
+   * @returns Promise
+   */
+  updateHandler (req, res) {
+    return this.updateWorkers(parseFunction(req.body.cloudfunction))
+      .then(() => res.end());
+  }
+
+  /**
+   * Starts a worker for the new version of a function. Only once the new
+   * version has loaded successfully are requests routed to it, and the
+   * previous version's instances closed as they become idle. If the new
+   * version fails to load, the previous version keeps serving requests.
+   *
+   * @method Supervisor#updateWorkers
+   * @param {object} cloudfunction The new version of the function.
+   * @returns Promise
+   */
+  updateWorkers (cloudfunction) {
+    const name = cloudfunction.name;
+    return this.createWorker(cloudfunction, { standby: true })
+      .then((worker) => {
+        const previous = this.getWorkers(name);
+        this._updateTimes.set(name, Date.now());
+        this._addWorker(worker);
+        worker.lastAccessed = Date.now();
+
+        // Queued requests are served by the new version
+        (this._requestQueues.get(name) || []).forEach((request) => {
+          request.cloudfunction = cloudfunction;
+        });
+
+        const closing = previous.map((worker) => this._retireWorker(worker));
+        this._dispatch(name);
+        return Promise.all(closing);
+      });
+  }
+
+  /**
+   * Request handler for /api/validate. Checks that the given function can be
+   * loaded, see Supervisor#validateFunction.
+   *
+   * @method Supervisor#validateHandler
+   * @param {object} req
+   * @param {object} res
+   * @returns Promise
+   */
+  validateHandler (req, res) {
+    return this.validateFunction(parseFunction(req.body.cloudfunction))
+      .then((file) => res.json({ file }).end());
+  }
+
+  /**
+   * Loads a function in a throwaway worker, to check that its module, found
+   * through the "main" field of its package.json, loads and exports its entry
+   * point as a function suited to its trigger.
+   *
+   * @method Supervisor#validateFunction
+   * @param {object} cloudfunction The function to validate.
+   * @returns Promise Resolves with the path of the function's module, or
+   *     rejects with an InvalidArgumentError describing the problem.
+   */
+  validateFunction (cloudfunction) {
+    return this.createWorker(cloudfunction, { standby: true, validate: true })
+      .then((worker) => worker.file);
+  }
+
   /**
    * Starts the Supervisor service, causing the proxy server to start listening
    * on the configured port.
@@ -651,6 +1520,7 @@ class Supervisor {
       clearInterval(this.pruneIntervalId);
     }
 
+    const workers = _.flatten(Array.from(this._workerPool.values())).concat(Array.from(this._retiredWorkers));
     this.clear();
 
     this._server.close(() => {
@@ -670,6 +1540,8 @@ class Supervisor {
       delete workerPids[pid];
     });
     server.delete('workers');
+    // The Emulator may exit before the workers do
+    workers.forEach((worker) => this._removeTmpDir(worker));
 
     return this;
   }
@@ -19,13 +19,298 @@ const _ = require('lodash');
 const bodyParser = require('body-parser');
 const express = require('express');
 const chokidar = require('chokidar');
+const fs = require('fs');
 const path = require('path');
 const querystring = require('querystring');
 const serializerr = require('serializerr');
 const url = require('url');
 
+const cloudevents = require('../utils/cloudevents');
+const readOnlyFs = require('./read-only-fs');
+
+const MEMORY_REPORT_INTERVAL = 100;
+const EXECUTION_ID_HEADER = 'function-execution-id';
+// The types of asynchronous resources that are work an execution is waiting
+// for, unlike sockets and servers, which may outlive executions in production
+// too
+const WORK_TYPES = [
+  'FSREQCALLBACK',
+  'FSREQPROMISE',
+  'FSREQWRAP',
+  'GETADDRINFOREQWRAP',
+  'GETNAMEINFOREQWRAP',
+  'HTTPCLIENTREQUEST',
+  'Immediate',
+  'PIPECONNECTWRAP',
+  'PROMISE',
+  'QUERYWRAP',
+  'SHUTDOWNWRAP',
+  'TCPCONNECTWRAP',
+  'Timeout',
+  'WRITEWRAP',
+  'ZLIB'
+];
+// How long after an execution finishes its pending work is looked for, so that
+// sending the response itself has completed
+const PENDING_WORK_DELAY = 100;
+// How many frames of the stack where a pending operation was created are kept
+const STACK_TRACE_LIMIT = 30;
+// How many pending operations a warning names
+const MAX_REPORTED_WORK = 10;
+// The Emulator's own code, and its dependencies, e.g. Express, which calls HTTP
+// functions
+const EMULATOR_DIRS = [
+  path.join(__dirname, '..') + path.sep,
+  path.join(__dirname, '..', '..', 'node_modules') + path.sep
+];
+
 let _originalLoader = null;
 
+let asyncHooks;
+try {
+  asyncHooks = require('async_hooks');
+} catch (err) {
+  // Node.js 6 doesn't have async_hooks
+}
+
+// Tracks which execution each asynchronous resource was created by, so that
+// output can be attributed to the right execution when a worker handles
+// several requests at once
+const executionIds = new Map();
+// The executions currently being handled by the worker
+const activeExecutions = new Set();
+// The work each execution started that hasn't completed yet, by async ID. Work
+// is tracked until the execution has finished and been checked for pending
+// work, see checkPendingWork
+const pendingWork = new Map();
+// The pending work each tracked asynchronous resource belongs to
+const workOwners = new Map();
+// What to do about work still pending when an execution finishes: "ignore",
+// "warn" or "fail"
+let backgroundWork = 'ignore';
+let trackingWork = true;
+
+function trackExecutions () {
+  if (asyncHooks) {
+    asyncHooks
+      .createHook({
+        init (asyncId, type, triggerAsyncId, resource) {
+          const executionId = executionIds.get(asyncHooks.executionAsyncId());
+          if (executionId) {
+            executionIds.set(asyncId, executionId);
+          }
+        },
+        destroy (asyncId) {
+          executionIds.delete(asyncId);
+        }
+      })
+      .enable();
+  }
+}
+
+function completeWork (asyncId) {
+  const pending = workOwners.get(asyncId);
+  if (pending) {
+    pending.delete(asyncId);
+    workOwners.delete(asyncId);
+  }
+}
+
+/**
+ * Records the work each execution starts, so that what is still pending when
+ * it finishes can be reported. Capturing where each operation was created is
+ * costly, so this is only done if backgroundWork isn't "ignore".
+ */
+function trackPendingWork () {
+  if (asyncHooks) {
+    asyncHooks
+      .createHook({
+        init (asyncId, type, triggerAsyncId, resource) {
+          // The hook of trackExecutions has already run
+          const pending = pendingWork.get(executionIds.get(asyncId));
+          if (pending && trackingWork && WORK_TYPES.includes(type)) {
+            const work = { type, resource };
+            // Formatting the stack is left until it is reported. Enough frames
+            // are kept to get past those of Node.js
+            const stackTraceLimit = Error.stackTraceLimit;
+            Error.stackTraceLimit = STACK_TRACE_LIMIT;
+            Error.captureStackTrace(work);
+            Error.stackTraceLimit = stackTraceLimit;
+            pending.set(asyncId, work);
+            workOwners.set(asyncId, pending);
+          }
+        },
+        // Promises are only destroyed once they're garbage collected
+        promiseResolve: completeWork,
+        destroy: completeWork
+      })
+      .enable();
+  }
+}
+
+function startExecution (executionId) {
+  activeExecutions.add(executionId);
+  if (asyncHooks) {
+    executionIds.set(asyncHooks.executionAsyncId(), executionId);
+    if (backgroundWork !== 'ignore') {
+      pendingWork.set(executionId, new Map());
+    }
+  }
+}
+
+function finishExecution (executionId) {
+  if (!activeExecutions.delete(executionId)) {
+    return;
+  }
+  if (pendingWork.has(executionId)) {
+    // The timer isn't work of the execution
+    trackingWork = false;
+    setTimeout(() => checkPendingWork(executionId), PENDING_WORK_DELAY);
+    trackingWork = true;
+  } else if (backgroundWork === 'fail') {
+    // The Supervisor waits for the check, but without async_hooks nothing is
+    // tracked
+    checkPendingWork(executionId);
+  }
+}
+
+/**
+ * Gets the frames of the stack where a pending operation was created that are
+ * in the function's code. Operations that Node.js, whose core modules aren't
+ * named by absolute paths, created on behalf of the Emulator or its
+ * dependencies, e.g. the timer that caches the Date header of HTTP responses,
+ * have none.
+ *
+ * @param {object} work The pending operation.
+ * @returns {string[]}
+ */
+function getUserFrames (work) {
+  if (!work.userFrames) {
+    const frames = work.stack
+      .split('\n')
+      // Past the header, and the frame of the async hook
+      .slice(2)
+      .map((frame) => {
+        const matches = frame.match(/\((.+):\d+:\d+\)$/) || frame.match(/at (.+):\d+:\d+$/);
+        return { frame, file: matches && path.isAbsolute(matches[1]) ? matches[1] : null };
+      })
+      .filter((frame) => frame.file);
+    const isUserCode = (frame) => !EMULATOR_DIRS.some((dir) => frame.file.startsWith(dir));
+    // Whoever called into Node.js created the operation
+    work.userFrames = frames.length && isUserCode(frames[0])
+      ? frames.filter(isUserCode).map((frame) => frame.frame)
+      : [];
+  }
+  return work.userFrames;
+}
+
+/**
+ * Describes where a pending operation was created in the function's code.
+ *
+ * @param {object} work The pending operation.
+ * @returns {string}
+ */
+function formatWork (work) {
+  return `  ${work.type}, created:\n${getUserFrames(work).join('\n')}`;
+}
+
+/**
+ * Reports the work an execution started that is still pending after it has
+ * finished. In production, the CPU is throttled once a function has responded
+ * or signalled completion, so such work may never complete.
+ *
+ * @param {string} executionId The ID of the execution.
+ */
+function checkPendingWork (executionId) {
+  const pending = pendingWork.get(executionId) || new Map();
+  pendingWork.delete(executionId);
+  pending.forEach((work, asyncId) => workOwners.delete(asyncId));
+
+  // Work the function didn't start itself doesn't count, and neither do
+  // timers that don't keep the worker running, e.g. those of sockets
+  const works = Array.from(pending.values()).filter((work) => {
+    if (!getUserFrames(work).length) {
+      return false;
+    }
+    if (work.type !== 'Timeout') {
+      return true;
+    }
+    const timer = work.resource;
+    if (!timer || !timer.constructor || timer.constructor.name !== 'Timeout') {
+      return false;
+    }
+    if (typeof timer.hasRef === 'function') {
+      return timer.hasRef();
+    }
+    // Before Node.js 11, only unref'd timers have a handle of their own
+    return !timer._handle || typeof timer._handle.hasRef !== 'function' || timer._handle.hasRef();
+  });
+  if (!process.connected) {
+    return;
+  }
+
+  const fail = backgroundWork === 'fail';
+  if (works.length) {
+    const lines = works.slice(0, MAX_REPORTED_WORK).map(formatWork);
+    if (works.length > MAX_REPORTED_WORK) {
+      lines.push(`  ...and ${works.length - MAX_REPORTED_WORK} more`);
+    }
+    process.send({
+      log: {
+        severity: fail ? 'ERROR' : 'WARNING',
+        text: `Function execution finished with ${works.length} operation${works.length === 1 ? '' : 's'} still pending. In production, the CPU is throttled once a function responds or signals completion, so this work may never complete:\n${lines.join('\n')}`,
+        executionId
+      }
+    });
+  }
+  if (fail) {
+    // The Supervisor holds the instance back from other requests until it
+    // knows whether to shut it down, so that the work never completes
+    process.send({ workChecked: { executionId, retire: works.length > 0 } });
+  }
+}
+
+function getExecutionId () {
+  if (asyncHooks) {
+    return executionIds.get(asyncHooks.executionAsyncId());
+  } else if (activeExecutions.size === 1) {
+    return activeExecutions.values().next().value;
+  }
+}
+
+/**
+ * Sends everything written to the given stream to the Supervisor as a log
+ * entry, tagged with the execution that wrote it. Each write, e.g. each call to
+ * console.log, becomes a single entry.
+ *
+ * @param {object} stream process.stdout or process.stderr.
+ * @param {string} severity The severity of the output.
+ */
+function captureOutput (stream, severity) {
+  const write = stream.write;
+  stream.write = function (chunk, encoding, callback) {
+    if (!process.connected) {
+      return write.apply(this, arguments);
+    }
+    let text = Buffer.isBuffer(chunk) ? chunk.toString('utf8') : `${chunk}`;
+    if (text.charAt(text.length - 1) === '\n') {
+      text = text.substring(0, text.length - 1);
+    }
+    process.send({
+      log: {
+        severity,
+        text,
+        executionId: getExecutionId()
+      }
+    });
+    callback = typeof encoding === 'function' ? encoding : callback;
+    if (typeof callback === 'function') {
+      process.nextTick(callback);
+    }
+    return true;
+  };
+}
+
 function getLocaldir (cloudfunction) {
   cloudfunction || (cloudfunction = {});
   const sourceUploadUrl = cloudfunction.sourceUploadUrl || '';
@@ -34,6 +319,62 @@ function getLocaldir (cloudfunction) {
   return query.localdir;
 }
 
+/**
+ * Finds the file that defines a function, the way production does: the file
+ * named by the "main" field of the function's package.json, or index.js.
+ *
+ * @param {string} localdir The directory of the function.
+ * @returns {string} The absolute path of the file.
+ */
+function resolveModule (localdir) {
+  let main = 'index.js';
+  try {
+    main = JSON.parse(fs.readFileSync(path.join(localdir, 'package.json'), 'utf8')).main || main;
+  } catch (err) {
+    // Without a package.json, or a "main" field, index.js is loaded
+  }
+  try {
+    return require.resolve(path.resolve(localdir, main));
+  } catch (err) {
+    throw new Error(`File ${main} that is expected to define function doesn't exist`);
+  }
+}
+
+/**
+ * Checks that the entry point of a function is a function whose arguments suit
+ * the function's trigger.
+ *
+ * @param {*} handler What the function's module exports as its entry point.
+ * @param {object} cloudfunction The function.
+ * @param {string} entryPoint The entry point, e.g. "helloWorld" or "a.b.c".
+ * @param {string} file The file that defines the function.
+ * @param {string} signatureType How a background function is called, "legacy",
+ *     "context" or "cloudevent".
+ * @returns {string} A description of the problem, if any.
+ */
+function validateHandler (handler, cloudfunction, entryPoint, file, signatureType) {
+  if (handler === undefined) {
+    return `Node.js module defined by file ${file} is expected to export function named ${entryPoint}`;
+  }
+  if (typeof handler !== 'function') {
+    return `${entryPoint} exported by file ${file} is a ${typeof handler}, not a function`;
+  }
+  // Express apps and routers take (req, res, next), so they can be exported
+  // as HTTP functions too
+  if (cloudfunction.httpsTrigger && handler.length > 3) {
+    return `HTTP function ${entryPoint} must take the arguments (req, res) or (req, res, next), but takes ${handler.length} arguments`;
+  }
+  if (cloudfunction.eventTrigger && signatureType === 'context' && handler.length > 3) {
+    return `Background function ${entryPoint} must take the arguments (data, context) or (data, context, callback), but takes ${handler.length} arguments`;
+  }
+  if (cloudfunction.eventTrigger && signatureType === 'cloudevent' && handler.length > 2) {
+    return `CloudEvent function ${entryPoint} must take the arguments (cloudevent) or (cloudevent, callback), but takes ${handler.length} arguments`;
+  }
+  if (cloudfunction.eventTrigger && signatureType !== 'context' && handler.length > 2) {
+    return `Background function ${entryPoint} must take the arguments (event) or (event, callback), but takes ${handler.length} arguments`;
+  }
+}
+
 const loadHandler = {
   init (handler) {
     const Module = require('module');
@@ -46,6 +387,10 @@ const loadHandler = {
 };
 
 function main () {
+  trackExecutions();
+  captureOutput(process.stdout, 'INFO');
+  captureOutput(process.stderr, 'ERROR');
+
   process.on('message', message => {
     const name = message.name;
     const cloudfunction = message.cloudfunction;
@@ -54,6 +399,17 @@ function main () {
     // Unload the code if is already loaded
     delete require.cache[localdir];
 
+    backgroundWork = message.backgroundWork || backgroundWork;
+    if (backgroundWork !== 'ignore') {
+      trackPendingWork();
+    }
+
+    // As in production, the function may only write to its temporary
+    // directory
+    if (message.readOnlyFs) {
+      readOnlyFs.enable(message.tmpDir);
+    }
+
     if (message.useMocks) {
       try {
         let override;
@@ -74,12 +430,32 @@ function main () {
       }
     }
 
+    const entryPoint = cloudfunction.entryPoint || name;
+
+    // A validation worker only checks that the function can be loaded, and
+    // exits
+    if (message.validate) {
+      let file, problem;
+      try {
+        file = resolveModule(localdir);
+        problem = validateHandler(_.get(require(file), entryPoint), cloudfunction, entryPoint, path.relative(localdir, file), message.signatureType);
+      } catch (err) {
+        problem = file
+          ? `Function load error: Code in file ${path.relative(localdir, file)} can't be loaded.\n${err.stack}`
+          : err.message;
+      }
+      process.send(problem ? { invalid: problem } : { validated: { file } }, () => process.exit());
+      return;
+    }
+
     // Require the target module to load the function for invocation
-    const functionModule = require(localdir);
-    const handler = _.get(functionModule, cloudfunction.entryPoint || name);
+    const loadStart = Date.now();
+    const functionModule = require(resolveModule(localdir));
+    const loadTime = Date.now() - loadStart;
+    const handler = _.get(functionModule, entryPoint);
 
     if (!handler) {
-      throw new Error(`No function found with name ${cloudfunction.entryPoint || name}`);
+      throw new Error(`No function found with name ${entryPoint}`);
     }
 
     const app = express();
@@ -127,6 +503,14 @@ function main () {
 
     app.use((req, res) => {
       const start = Date.now();
+      const executionId = req.headers[EXECUTION_ID_HEADER];
+      if (executionId) {
+        startExecution(executionId);
+        // Let the function's own "finish" listeners log first
+        res
+          .on('finish', () => process.nextTick(() => finishExecution(executionId)))
+          .on('close', () => process.nextTick(() => finishExecution(executionId)));
+      }
       console.log(`User function triggered, starting execution`);
 
       const errback = (err, result) => {
@@ -151,6 +535,39 @@ function main () {
           });
 
           handler(req, res);
+        } else if (message.signatureType === 'cloudevent') {
+          let cloudevent;
+          try {
+            cloudevent = cloudevents.fromHttp(req.headers, req.body);
+          } catch (err) {
+            console.log(err.message);
+            res.status(400).send(err.message).end();
+            return;
+          }
+          if (handler.length >= 2) {
+            handler(cloudevent, errback);
+          } else {
+            return Promise.resolve()
+              .then(() => handler(cloudevent))
+              .then(result => {
+                errback(null, result);
+              })
+              .catch(errback);
+          }
+        } else if (message.signatureType === 'context') {
+          // The event's data is passed separately from the rest of the event
+          const data = req.body.data;
+          const context = _.omit(req.body, 'data');
+          if (handler.length >= 3) {
+            handler(data, context, errback);
+          } else {
+            return Promise.resolve()
+              .then(() => handler(data, context))
+              .then(result => {
+                errback(null, result);
+              })
+              .catch(errback);
+          }
         } else {
           if (handler.length >= 2) {
             handler(req.body, errback);
@@ -172,9 +589,20 @@ function main () {
       console.error(err);
     });
 
+    // Report the worker's memory usage so that the Supervisor can enforce the
+    // function's memory limit
+    setInterval(() => {
+      if (process.connected) {
+        process.send({
+          memoryUsage: process.memoryUsage().rss
+        });
+      }
+    }, MEMORY_REPORT_INTERVAL).unref();
+
     const server = app.listen(0, 'localhost', () => {
       process.send({
-        port: server.address().port
+        port: server.address().port,
+        loadTime
       });
     });
 
@@ -0,0 +1,313 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+const Errors = require('./errors');
+
+const SPEC_VERSION = '1.0';
+const CONTENT_MODES = ['binary', 'structured'];
+const STRUCTURED_CONTENT_TYPE = 'application/cloudevents+json';
+const REQUIRED_ATTRIBUTES = ['specversion', 'id', 'source', 'type'];
+const HEADER_PREFIX = 'ce-';
+
+const PROJECT_REG_EXP = /^projects\/([^/]+)/;
+const TOPIC_REG_EXP = /^projects\/[^/]+\/topics\/([^/]+)$/;
+const OBJECT_REG_EXP = /^projects\/[^/]+\/buckets\/([^/]+)(?:\/objects\/([^#]+))?/;
+const REF_REG_EXP = /^projects\/[^/]+\/instances\/([^/]+)\/refs(\/.*)?$/;
+const ANALYTICS_REG_EXP = /^projects\/([^/]+)\/events\/([^/]+)$/;
+
+// The past tense CloudEvents use for the actions of legacy event types
+const ACTIONS = {
+  archive: 'archived',
+  create: 'created',
+  delete: 'deleted',
+  finalize: 'finalized',
+  metadataUpdate: 'metadataUpdated',
+  update: 'updated',
+  write: 'written'
+};
+
+/**
+ * Strips a legacy event type down to its service and action, e.g. both
+ * "providers/cloud.pubsub/eventTypes/topic.publish" and
+ * "google.pubsub.topic.publish" become "pubsub.topic.publish".
+ *
+ * @param {string} eventType The legacy event type.
+ * @returns {string}
+ */
+function normalizeEventType (eventType = '') {
+  return eventType
+    .replace(/^providers\/([^/]+)\/eventTypes\/(.+)$/, '$1.$2')
+    .replace(/^(google|cloud)\./, '');
+}
+
+// Each mapping builds the "type", "source", "subject" and "data" of the
+// CloudEvent of a legacy event, the way the Functions Framework does
+const MAPPINGS = [
+  {
+    regExp: /^pubsub\.topic\.publish$/,
+    map (event, project) {
+      const resource = event.resource || '';
+      const topic = TOPIC_REG_EXP.test(resource) ? resource : `projects/${project}/topics/${resource}`;
+      const message = _.omit(event.data, '@type');
+      return {
+        type: 'google.cloud.pubsub.topic.v1.messagePublished',
+        source: `//pubsub.googleapis.com/${topic}`,
+        data: {
+          message: _.assign(message, {
+            messageId: event.eventId,
+            publishTime: event.timestamp
+          })
+        }
+      };
+    }
+  },
+  {
+    regExp: /^storage\.object\.(archive|change|delete|finalize|metadataUpdate)$/,
+    map (event, project, action) {
+      const data = event.data || {};
+      const matches = (event.resource || '').match(OBJECT_REG_EXP) || [null, event.resource];
+      const bucket = data.bucket || matches[1];
+      const name = data.name || matches[2];
+      if (action === 'change') {
+        // Legacy object.change events describe whether the object still exists
+        action = data.resourceState === 'not_exists' ? 'delete' : 'finalize';
+      }
+      return {
+        type: `google.cloud.storage.object.v1.${ACTIONS[action]}`,
+        source: `//storage.googleapis.com/projects/_/buckets/${bucket}`,
+        subject: name ? `objects/${name}` : undefined,
+        data: _.omit(data, 'resourceState')
+      };
+    }
+  },
+  {
+    regExp: /^firebase\.database\.ref\.(create|delete|update|write)$/,
+    map (event, project, action) {
+      // A bare path applies to the default database instance, which is named
+      // after the project
+      const matches = (event.resource || '').match(REF_REG_EXP) || [null, project, event.resource];
+      const ref = `/${matches[2] || ''}`.replace(/\/+/g, '/');
+      return {
+        type: `google.firebase.database.ref.v1.${ACTIONS[action]}`,
+        source: `//firebasedatabase.googleapis.com/projects/_/locations/us-central1/instances/${matches[1]}`,
+        subject: `refs${ref === '/' ? '' : ref}`,
+        data: {
+          data: event.data === undefined ? null : event.data,
+          delta: event.delta === undefined ? null : event.delta
+        }
+      };
+    }
+  },
+  {
+    regExp: /^firebase\.auth\.user\.(create|delete)$/,
+    map (event, project, action) {
+      const uid = _.get(event, 'data.uid');
+      return {
+        type: `google.firebase.auth.user.v1.${ACTIONS[action]}`,
+        source: `//firebaseauth.googleapis.com/projects/${getProject(event, project)}`,
+        subject: uid ? `users/${uid}` : undefined,
+        data: event.data
+      };
+    }
+  },
+  {
+    regExp: /^firebase\.analytics\.event\.log$/,
+    map (event, project) {
+      const matches = (event.resource || '').match(ANALYTICS_REG_EXP) || [null, getProject(event, project)];
+      const appId = _.get(event, 'data.userDim.appInfo.appId');
+      return {
+        type: 'google.firebase.analytics.log.v1.written',
+        source: `//firebaseanalytics.googleapis.com/projects/${matches[1]}${appId ? `/apps/${appId}` : ''}`,
+        subject: matches[2] ? `events/${matches[2]}` : undefined,
+        data: event.data
+      };
+    }
+  },
+  {
+    regExp: /^firebase\.remoteconfig\.update$/,
+    map (event, project) {
+      return {
+        type: 'google.firebase.remoteconfig.remoteConfig.v1.updated',
+        source: `//firebaseremoteconfig.googleapis.com/projects/${getProject(event, project)}`,
+        data: event.data
+      };
+    }
+  }
+];
+
+function getProject (event, project) {
+  const matches = (event.resource || '').match(PROJECT_REG_EXP);
+  return matches ? matches[1] : project;
+}
+
+/**
+ * Converts a legacy event, as built for background functions, into a
+ * CloudEvent. Event types without a known mapping keep their legacy type, and
+ * their source is the function.
+ *
+ * @param {object} event The legacy event.
+ * @param {string} name The formatted name of the function the event is sent
+ *     to, e.g. "projects/p/locations/l/functions/f".
+ * @returns {object} The CloudEvent.
+ */
+function fromLegacyEvent (event, name) {
+  const project = getProject({ resource: name }, '_');
+  const eventType = normalizeEventType(event.eventType);
+
+  let attributes;
+  MAPPINGS.some((mapping) => {
+    const matches = eventType.match(mapping.regExp);
+    if (matches) {
+      attributes = mapping.map(event, project, matches[1]);
+    }
+    return matches;
+  });
+  if (!attributes) {
+    attributes = {
+      type: event.eventType,
+      source: `//cloudfunctions.googleapis.com/${name}`,
+      data: event.data
+    };
+  }
+
+  return _.omitBy({
+    specversion: SPEC_VERSION,
+    id: event.eventId,
+    type: attributes.type,
+    source: attributes.source,
+    subject: attributes.subject,
+    time: event.timestamp,
+    datacontenttype: 'application/json',
+    data: attributes.data
+  }, _.isUndefined);
+}
+
+/**
+ * Checks that a CloudEvent has the attributes CloudEvents 1.0 requires.
+ *
+ * @param {object} cloudevent The CloudEvent.
+ * @returns {object} The CloudEvent.
+ */
+function assertCloudEvent (cloudevent) {
+  if (!_.isPlainObject(cloudevent)) {
+    throw new Errors.InvalidArgumentError('A CloudEvent must be an object.');
+  }
+  REQUIRED_ATTRIBUTES.forEach((attribute) => {
+    if (typeof cloudevent[attribute] !== 'string' || !cloudevent[attribute]) {
+      throw new Errors.InvalidArgumentError(`Invalid CloudEvent: the "${attribute}" attribute is required.`);
+    }
+  });
+  if (cloudevent.specversion !== SPEC_VERSION) {
+    throw new Errors.InvalidArgumentError(`Unsupported CloudEvents specversion: ${cloudevent.specversion}. Must be ${SPEC_VERSION}.`);
+  }
+  return cloudevent;
+}
+
+function isJson (contentType) {
+  return !contentType || /^application\/([^;]+\+)?json\b/.test(contentType);
+}
+
+/**
+ * Encodes a CloudEvent as an HTTP request. In binary mode the attributes are
+ * "ce-" headers and the body is the data. In structured mode the body is the
+ * whole CloudEvent as JSON.
+ *
+ * @param {object} cloudevent The CloudEvent.
+ * @param {string} [mode] Either "binary" or "structured". Defaults to
+ *     "binary".
+ * @returns {object} The "headers" and "body" of the request.
+ */
+function toHttp (cloudevent, mode = 'binary') {
+  if (mode === 'structured') {
+    return {
+      headers: { 'Content-Type': STRUCTURED_CONTENT_TYPE },
+      body: JSON.stringify(cloudevent)
+    };
+  }
+
+  const headers = {
+    'Content-Type': cloudevent.datacontenttype || 'application/json'
+  };
+  _.forEach(_.omit(cloudevent, ['data', 'datacontenttype']), (value, attribute) => {
+    headers[`${HEADER_PREFIX}${attribute}`] = typeof value === 'string' ? value : JSON.stringify(value);
+  });
+
+  let body = cloudevent.data;
+  if (body === undefined) {
+    body = '';
+  } else if (isJson(cloudevent.datacontenttype) || typeof body !== 'string') {
+    body = JSON.stringify(body);
+  }
+  return { headers, body };
+}
+
+/**
+ * Decodes the CloudEvent of an HTTP request sent in either content mode.
+ *
+ * @param {object} headers The headers of the request, with lower case names.
+ * @param {*} body The body of the request: a Buffer, a string or, when it was
+ *     parsed as JSON, an object.
+ * @returns {object} The CloudEvent.
+ */
+function fromHttp (headers, body) {
+  const contentType = headers['content-type'] || '';
+  if (Buffer.isBuffer(body)) {
+    body = body.toString();
+  }
+
+  if (contentType.startsWith(STRUCTURED_CONTENT_TYPE)) {
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (err) {
+        throw new Errors.InvalidArgumentError(`Invalid CloudEvent: ${err.message}`);
+      }
+    }
+    return assertCloudEvent(body);
+  }
+
+  const cloudevent = {};
+  _.forEach(headers, (value, header) => {
+    if (header.startsWith(HEADER_PREFIX)) {
+      cloudevent[header.substr(HEADER_PREFIX.length)] = value;
+    }
+  });
+  if (contentType) {
+    cloudevent.datacontenttype = contentType;
+  }
+  if (typeof body === 'string' && isJson(contentType)) {
+    try {
+      body = JSON.parse(body);
+    } catch (err) {
+      // Keep the data as it was sent
+    }
+  }
+  if (body !== undefined && body !== '') {
+    cloudevent.data = body;
+  }
+  return assertCloudEvent(cloudevent);
+}
+
+exports.CONTENT_MODES = CONTENT_MODES;
+exports.SPEC_VERSION = SPEC_VERSION;
+exports.STRUCTURED_CONTENT_TYPE = STRUCTURED_CONTENT_TYPE;
+exports.assertCloudEvent = assertCloudEvent;
+exports.fromHttp = fromHttp;
+exports.fromLegacyEvent = fromLegacyEvent;
+exports.toHttp = toHttp;
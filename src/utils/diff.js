@@ -0,0 +1,48 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Compares two JSON values, e.g. a recorded response and a new one.
+ *
+ * @param {*} expected The expected value.
+ * @param {*} actual The actual value.
+ * @param {string} [path] The path of the values being compared, e.g. "body.items[0]".
+ * @returns {object[]} The differences, each with the "path" at which the
+ *     values differ and the "expected" and "actual" values found there. Empty if
+ *     the values are equal.
+ */
+function diff (expected, actual, path = '') {
+  if (_.isEqual(expected, actual)) {
+    return [];
+  }
+
+  if (_.isPlainObject(expected) && _.isPlainObject(actual)) {
+    return _.flatMap(_.union(Object.keys(expected), Object.keys(actual)), (key) => {
+      return diff(expected[key], actual[key], path ? `${path}.${key}` : key);
+    });
+  } else if (Array.isArray(expected) && Array.isArray(actual)) {
+    return _.flatMap(_.range(Math.max(expected.length, actual.length)), (i) => {
+      return diff(expected[i], actual[i], `${path}[${i}]`);
+    });
+  }
+
+  return [{ path, expected, actual }];
+}
+
+module.exports = diff;
@@ -76,6 +76,14 @@ class ResourceInfo {
   }
 }
 
+class CancelledError extends ExtendableError {
+  constructor (...args) {
+    super(...args);
+    // grpc.status.CANCELLED
+    this.code = 1;
+  }
+}
+
 class ConflictError extends ExtendableError {
   constructor (...args) {
     super(...args);
@@ -84,6 +92,14 @@ class ConflictError extends ExtendableError {
   }
 }
 
+class FailedPreconditionError extends ExtendableError {
+  constructor (...args) {
+    super(...args);
+    // grpc.status.FAILED_PRECONDITION
+    this.code = 9;
+  }
+}
+
 class InternalError extends ExtendableError {
   constructor (...args) {
     super(...args);
@@ -133,6 +149,15 @@ function sendRestError (err, res) {
         errors: [err.message || http.STATUS_CODES['409']]
       }
     }).end();
+  } else if (err instanceof FailedPreconditionError) {
+    res.status(400).json({
+      error: {
+        code: 400,
+        status: 'FAILED_PRECONDITION',
+        message: err.message || http.STATUS_CODES['400'],
+        errors: [err.message || http.STATUS_CODES['400']]
+      }
+    }).end();
   } else if (err instanceof NotFoundError) {
     res.status(404).json({
       error: {
@@ -180,7 +205,9 @@ exports.status = {
 exports.BadRequest = BadRequest;
 exports.DebugInfo = DebugInfo;
 exports.ResourceInfo = ResourceInfo;
+exports.CancelledError = CancelledError;
 exports.ConflictError = ConflictError;
+exports.FailedPreconditionError = FailedPreconditionError;
 exports.InternalError = InternalError;
 exports.InvalidArgumentError = InvalidArgumentError;
 exports.NotFoundError = NotFoundError;
@@ -0,0 +1,216 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+
+const IGNORE_FILE = '.gcloudignore';
+const INCLUDE_DIRECTIVE = '#!include:';
+// What gcloud ignores when the source has no .gcloudignore
+const DEFAULT_PATTERNS = [
+  '.gcloudignore',
+  '.git',
+  '.gitignore',
+  'node_modules'
+];
+
+/**
+ * Converts a glob, as used in .gitignore files, to the source of a regular
+ * expression.
+ *
+ * @param {string} glob The glob.
+ * @returns {string}
+ */
+function globToRegExpSource (glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        // "**/" matches zero or more directories
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const range = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += range[0] === '!' ? `[^${range.slice(1)}]` : `[${range}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += _.escapeRegExp(glob[++i]);
+    } else {
+      source += _.escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+/**
+ * Parses one line of an ignore file.
+ *
+ * @param {string} line The line.
+ * @returns {object|null} The pattern, or null if the line is blank or a
+ *     comment.
+ */
+function parsePattern (line) {
+  // Trailing spaces are ignored unless escaped
+  line = line.replace(/(^|[^\\])\s+$/, '$1');
+  if (!line || line.startsWith('#')) {
+    return null;
+  }
+
+  const pattern = { line, negate: false, directoryOnly: false };
+  if (line.startsWith('!')) {
+    pattern.negate = true;
+    line = line.slice(1);
+  } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+    line = line.slice(1);
+  }
+  if (line.endsWith('/')) {
+    pattern.directoryOnly = true;
+    line = line.slice(0, -1);
+  }
+
+  // A pattern with a slash is relative to the source directory, otherwise it
+  // matches at any depth
+  const anchored = line.includes('/');
+  line = line.replace(/^\//, '');
+  pattern.regExp = new RegExp(`^${anchored ? '' : '(?:.*/)?'}${globToRegExpSource(line)}$`);
+  return pattern;
+}
+
+/**
+ * Reads the patterns of an ignore file, following its "#!include:"
+ * directives.
+ *
+ * @param {string} dirName The source directory.
+ * @param {string} file The path of the ignore file, relative to the source
+ *     directory.
+ * @param {string[]} [including] The files being included, to detect cycles.
+ * @returns {object[]} The patterns.
+ */
+function readPatterns (dirName, file, including = []) {
+  const filename = path.resolve(dirName, file);
+  if (including.includes(filename)) {
+    throw new Error(`Ignore file ${file} includes itself.`);
+  }
+
+  return _.flatMap(fs.readFileSync(filename, 'utf8').split(/\r?\n/), (line) => {
+    if (line.startsWith(INCLUDE_DIRECTIVE)) {
+      const included = line.slice(INCLUDE_DIRECTIVE.length).trim();
+      if (!fs.existsSync(path.resolve(dirName, included))) {
+        return [];
+      }
+      return readPatterns(dirName, included, including.concat(filename));
+    }
+    return parsePattern(line) || [];
+  });
+}
+
+/**
+ * Loads the patterns that select which files of a source directory are left
+ * out of the function's archive, the way "gcloud functions deploy" does:
+ * from the source's .gcloudignore, from another file if one is given, or, if
+ * there is no .gcloudignore, gcloud's default patterns.
+ *
+ * @param {string} dirName The source directory.
+ * @param {string} [ignoreFile] The ignore file to use instead of
+ *     .gcloudignore, relative to the source directory.
+ * @returns {object} The "file" the patterns were read from, if any, and the
+ *     "patterns".
+ */
+function loadIgnoreFile (dirName, ignoreFile) {
+  if (ignoreFile) {
+    if (!fs.existsSync(path.resolve(dirName, ignoreFile))) {
+      throw new Error(`Provided ignore file ${ignoreFile} does not exist.`);
+    }
+    return { file: ignoreFile, patterns: readPatterns(dirName, ignoreFile) };
+  } else if (fs.existsSync(path.join(dirName, IGNORE_FILE))) {
+    return { file: IGNORE_FILE, patterns: readPatterns(dirName, IGNORE_FILE) };
+  }
+
+  let patterns = DEFAULT_PATTERNS.map(parsePattern);
+  if (fs.existsSync(path.join(dirName, '.gitignore'))) {
+    patterns = patterns.concat(readPatterns(dirName, '.gitignore'));
+  }
+  return { file: null, patterns };
+}
+
+/**
+ * Whether a file or directory is ignored. The last pattern that matches the
+ * path decides.
+ *
+ * @param {object[]} patterns The patterns.
+ * @param {string} relativePath The path, relative to the source directory and
+ *     separated by "/".
+ * @param {boolean} isDirectory Whether the path is a directory.
+ * @returns {boolean}
+ */
+function isIgnored (patterns, relativePath, isDirectory) {
+  return patterns.reduce((ignored, pattern) => {
+    if ((pattern.directoryOnly && !isDirectory) || !pattern.regExp.test(relativePath)) {
+      return ignored;
+    }
+    return !pattern.negate;
+  }, false);
+}
+
+/**
+ * Lists the files of a source directory that are not ignored. As in git, the
+ * contents of an ignored directory cannot be re-included.
+ *
+ * @param {string} dirName The source directory.
+ * @param {object[]} patterns The patterns.
+ * @returns {string[]} The paths of the files, relative to the source
+ *     directory and separated by "/".
+ */
+function listFiles (dirName, patterns) {
+  const files = [];
+
+  function walk (relativeDir) {
+    fs.readdirSync(path.join(dirName, relativeDir)).sort().forEach((entry) => {
+      const relativePath = relativeDir ? `${relativeDir}/${entry}` : entry;
+      const stats = fs.statSync(path.join(dirName, relativePath));
+      if (isIgnored(patterns, relativePath, stats.isDirectory())) {
+        return;
+      }
+      if (stats.isDirectory()) {
+        walk(relativePath);
+      } else if (stats.isFile()) {
+        files.push(relativePath);
+      }
+    });
+  }
+
+  walk('');
+  return files;
+}
+
+exports.DEFAULT_PATTERNS = DEFAULT_PATTERNS;
+exports.IGNORE_FILE = IGNORE_FILE;
+exports.isIgnored = isIgnored;
+exports.listFiles = listFiles;
+exports.loadIgnoreFile = loadIgnoreFile;
+exports.parsePattern = parsePattern;
@@ -0,0 +1,102 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const Errors = require('./errors');
+
+// Runtimes are named after the major version of Node.js they run
+const RUNTIME_REG_EXP = /^nodejs(\d+)$/;
+// How background functions are called: with the event and a callback, as in
+// the Node.js 6 runtime, with the event's data and context, as in later
+// runtimes, or with a CloudEvent, as in the Functions Framework
+const SIGNATURE_TYPES = ['legacy', 'context', 'cloudevent'];
+
+/**
+ * Gets the name of the runtime of the Node.js running the Emulator, e.g.
+ * "nodejs10".
+ *
+ * @returns {string}
+ */
+function getDefaultRuntime () {
+  return `nodejs${process.versions.node.split('.')[0]}`;
+}
+
+/**
+ * Finds the Node.js executable of a runtime: the one the "runtimes" setting
+ * maps it to, or the Emulator's own if it runs the same major version.
+ *
+ * @param {string} [runtime] The runtime, e.g. "nodejs8". Defaults to the
+ *     runtime of the Emulator.
+ * @param {object} [runtimes] The "runtimes" setting, a map from runtime names
+ *     to paths of Node.js executables.
+ * @returns {string} The path of the executable.
+ */
+function getExecutable (runtime, runtimes = {}) {
+  if (!runtime) {
+    return process.execPath;
+  }
+
+  const matches = runtime.match(RUNTIME_REG_EXP);
+  if (!matches) {
+    const err = new Errors.InvalidArgumentError(`Invalid runtime: ${runtime}. Must be named after a major version of Node.js, e.g. ${getDefaultRuntime()}.`);
+    err.details.push(new Errors.BadRequest(err, 'runtime'));
+    throw err;
+  }
+
+  const execPath = runtimes[runtime];
+  if (!execPath) {
+    if (runtime === getDefaultRuntime()) {
+      return process.execPath;
+    }
+    const err = new Errors.InvalidArgumentError(`Runtime ${runtime} is not installed locally. The Emulator runs Node.js ${process.version}. Map ${runtime} to a Node.js ${matches[1]} executable with: functions config set runtimes '{"${runtime}": "/path/to/node"}'`);
+    err.details.push(new Errors.BadRequest(err, 'runtime'));
+    throw err;
+  }
+
+  try {
+    fs.accessSync(execPath, fs.constants.X_OK);
+  } catch (err) {
+    const error = new Errors.InvalidArgumentError(`Runtime ${runtime} is mapped to ${execPath}, which is not an executable.`);
+    error.details.push(new Errors.BadRequest(error, 'runtime'));
+    throw error;
+  }
+  return execPath;
+}
+
+/**
+ * Gets how a background function is called: as chosen when it was deployed,
+ * or as its runtime calls background functions. Functions deployed without a
+ * runtime keep the legacy signature.
+ *
+ * @param {object} cloudfunction The function.
+ * @returns {string} "legacy" for (event, callback), "context" for
+ *     (data, context, callback), or "cloudevent" for (cloudevent, callback).
+ */
+function getSignatureType (cloudfunction) {
+  if (cloudfunction.signatureType) {
+    return cloudfunction.signatureType;
+  }
+  const matches = (cloudfunction.runtime || '').match(RUNTIME_REG_EXP);
+  return matches && parseInt(matches[1], 10) >= 8 ? 'context' : 'legacy';
+}
+
+exports.RUNTIME_REG_EXP = RUNTIME_REG_EXP;
+exports.SIGNATURE_TYPES = SIGNATURE_TYPES;
+exports.getDefaultRuntime = getDefaultRuntime;
+exports.getExecutable = getExecutable;
+exports.getSignatureType = getSignatureType;
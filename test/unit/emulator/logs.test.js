@@ -0,0 +1,98 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const tmp = require('tmp');
+
+const logs = require('../../../src/emulator/logs');
+
+describe('unit/emulator/logs', () => {
+  describe('logs.parseOutput', () => {
+    it('should keep unstructured output as the message', () => {
+      assert.deepEqual(logs.parseOutput('Hello\nWorld', 'INFO'), { severity: 'INFO', message: 'Hello\nWorld' });
+      assert.deepEqual(logs.parseOutput('[1,2]', 'ERROR'), { severity: 'ERROR', message: '[1,2]' });
+    });
+
+    it('should parse structured output', () => {
+      const output = JSON.stringify({
+        severity: 'warning',
+        message: 'Low disk space',
+        'logging.googleapis.com/labels': { disk: 'sda' },
+        free: 10
+      });
+
+      assert.deepEqual(logs.parseOutput(output, 'INFO'), {
+        severity: 'WARNING',
+        message: 'Low disk space',
+        labels: { disk: 'sda' },
+        jsonPayload: { free: 10 }
+      });
+    });
+
+    it('should ignore unknown severities', () => {
+      assert.equal(logs.parseOutput(JSON.stringify({ severity: 'LOUD', message: 'Hi' }), 'INFO').severity, 'INFO');
+    });
+  });
+
+  describe('logs.readLogEntries', () => {
+    let logFile;
+
+    beforeEach(() => {
+      const dir = tmp.dirSync().name;
+      logFile = path.join(dir, 'emulator.log');
+      fs.writeFileSync(path.join(dir, 'emulator1.log'), [
+        { level: 'info', message: 'Emulator started', timestamp: '2018-01-01T10:00:00.000Z' },
+        { level: 'info', severity: 'INFO', function: 'helloWorld', executionId: 'a', message: 'Hello', timestamp: '2018-01-01T10:01:00.000Z' }
+      ].map(JSON.stringify).join('\n'));
+      fs.writeFileSync(logFile, [
+        { level: 'error', severity: 'ERROR', function: 'helloWorld', executionId: 'b', message: 'Failed', timestamp: '2018-01-01T10:02:00.000Z' },
+        { level: 'warn', severity: 'WARNING', function: 'helloGCS', executionId: 'c', message: 'Slow', timestamp: '2018-01-01T10:03:00.000Z' }
+      ].map(JSON.stringify).join('\n') + '\nError: uncaught\n');
+      // The rotated file is older
+      fs.utimesSync(path.join(dir, 'emulator1.log'), new Date('2018-01-01T10:01:00Z'), new Date('2018-01-01T10:01:00Z'));
+    });
+
+    it('should read the entries of every log file, oldest first', () => {
+      return logs.readLogEntries(logFile)
+        .then((entries) => {
+          assert.deepEqual(entries.map((entry) => entry.message), ['Emulator started', 'Hello', 'Failed', 'Slow', 'Error: uncaught']);
+          assert.equal(logs.getSeverity(entries[0]), 'INFO');
+          assert.equal(logs.getSeverity(entries[4]), 'ERROR');
+        });
+    });
+
+    it('should filter entries', () => {
+      return Promise.all([
+        logs.readLogEntries(logFile, { function: 'helloWorld' }),
+        logs.readLogEntries(logFile, { executionId: 'c' }),
+        logs.readLogEntries(logFile, { minSeverity: 'warning' }),
+        logs.readLogEntries(logFile, { startTime: '2018-01-01T10:01:00Z', endTime: '2018-01-01T10:02:00Z' }),
+        logs.readLogEntries(logFile, { limit: 2 })
+      ])
+        .then((results) => {
+          assert.deepEqual(results.map((entries) => entries.map((entry) => entry.message)), [
+            ['Hello', 'Failed'],
+            ['Slow'],
+            ['Failed', 'Slow', 'Error: uncaught'],
+            ['Hello', 'Failed'],
+            ['Slow', 'Error: uncaught']
+          ]);
+        });
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const proxyquire = require('proxyquire').noPreserveCache();
+const tmp = require('tmp');
+
+// Stands in for Configstore so that the user's config directory is untouched
+class FakeConfigstore {
+  constructor () {
+    this._all = '{}';
+  }
+
+  get all () {
+    return JSON.parse(this._all);
+  }
+
+  set all (value) {
+    this._all = JSON.stringify(value);
+  }
+}
+
+describe('unit/model/adapters', () => {
+  let Adapters;
+
+  beforeEach(() => {
+    Adapters = proxyquire('../../../src/model/adapters', {
+      './configstore': proxyquire('../../../src/model/adapters/configstore', {
+        configstore: FakeConfigstore
+      })
+    });
+  });
+
+  it('should create the adapter selected by the storage setting', () => {
+    assert(Adapters.createAdapter({ storage: 'configstore' }) instanceof Adapters.ConfigstoreAdapter);
+    assert(Adapters.createAdapter({ storage: 'directory', stateDir: tmp.dirSync().name }) instanceof Adapters.DirectoryAdapter);
+    assert(Adapters.createAdapter({ storage: 'memory' }) instanceof Adapters.MemoryAdapter);
+    assert.deepEqual(Adapters.STORAGE_TYPES, ['configstore', 'directory', 'memory']);
+  });
+
+  ['configstore', 'directory', 'memory'].forEach((storage) => {
+    describe(storage, () => {
+      let adapter;
+
+      beforeEach(() => {
+        adapter = Adapters.createAdapter({ storage, stateDir: tmp.dirSync().name, maxExecutions: 2, maxOperations: 2 });
+      });
+
+      it('should store functions', () => {
+        const name = 'projects/p/locations/us-central1/functions/helloWorld';
+
+        return adapter.createFunction({ name, entryPoint: 'helloWorld' })
+          .then(() => adapter.getFunction(name))
+          .then((cloudfunction) => {
+            assert.deepEqual(cloudfunction, { name, entryPoint: 'helloWorld' });
+            // Changing the returned record doesn't change the stored one
+            cloudfunction.entryPoint = 'other';
+            return adapter.listFunctions();
+          })
+          .then((cloudfunctions) => {
+            assert.deepEqual(cloudfunctions, [{ name, entryPoint: 'helloWorld' }]);
+            return adapter.deleteFunction(name);
+          })
+          .then(() => Promise.all([adapter.getFunction(name), adapter.listFunctions()]))
+          .then(([cloudfunction, cloudfunctions]) => {
+            assert.strictEqual(cloudfunction, undefined);
+            assert.deepEqual(cloudfunctions, []);
+          });
+      });
+
+      it('should store operations and dead letters', () => {
+        let operationName, deadLetterName;
+
+        return adapter.createOperation({ done: false })
+          .then((operation) => {
+            operationName = operation.name;
+            assert(/^operations\//.test(operationName));
+            return adapter.updateOperation(operationName, { name: operationName, done: true });
+          })
+          .then(() => adapter.getOperation(operationName))
+          .then((operation) => {
+            assert.deepEqual(operation, { name: operationName, done: true });
+            return adapter.createDeadLetter({ attempts: 3 });
+          })
+          .then((deadLetter) => {
+            deadLetterName = deadLetter.name;
+            return adapter.listDeadLetters();
+          })
+          .then((deadLetters) => {
+            assert.deepEqual(deadLetters, [{ name: deadLetterName, attempts: 3 }]);
+            return adapter.deleteDeadLetter(deadLetterName);
+          })
+          .then(() => adapter.getDeadLetter(deadLetterName))
+          .then((deadLetter) => assert.strictEqual(deadLetter, undefined));
+      });
+
+      it('should keep the most recently finished operations', () => {
+        const clock = sinon.useFakeTimers({ now: 0, toFake: ['Date'] });
+        const names = [];
+        const metadata = () => ({ value: { target: 'f' } });
+
+        return ['a', 'b', 'c', 'd'].reduce((promise, id) => {
+          return promise
+            .then(() => adapter.createOperation({ done: id !== 'a', metadata: metadata() }))
+            .then((operation) => {
+              names.push(operation.name);
+              clock.tick(1000);
+            });
+        }, Promise.resolve())
+          .then(() => adapter.createOperation({ done: true }))
+          .then((operation) => {
+            names.push(operation.name);
+            return adapter.listOperations();
+          })
+          .then((operations) => {
+            clock.restore();
+            // The pending operation is kept, as are the two most recently
+            // finished ones. An operation without an update time counts as the
+            // oldest
+            assert.deepEqual(operations.map((o) => o.name).sort(), [names[0], names[2], names[3]].sort());
+            assert.strictEqual(operations.find((o) => o.name === names[3]).metadata.value.updateTime, new Date(3000).toISOString());
+          }, (err) => {
+            clock.restore();
+            throw err;
+          });
+      });
+
+      it('should keep the most recent executions', () => {
+        return ['a', 'b', 'c'].reduce((promise, executionId) => {
+          return promise.then(() => adapter.createExecution({ executionId }));
+        }, Promise.resolve())
+          .then(() => Promise.all([adapter.listExecutions(), adapter.getExecution('a'), adapter.getExecution('c')]))
+          .then(([executions, a, c]) => {
+            assert.deepEqual(executions, [{ executionId: 'b' }, { executionId: 'c' }]);
+            assert.strictEqual(a, undefined);
+            assert.deepEqual(c, { executionId: 'c' });
+          });
+      });
+
+      it('should write execution records together', () => {
+        const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        sinon.spy(adapter, '_setMany');
+
+        return Promise.all(['a', 'b', 'c'].map((executionId) => adapter.createExecution({ executionId, startTime: executionId })))
+          .then(() => {
+            assert.equal(adapter._setMany.callCount, 0);
+            clock.tick(1000);
+            clock.restore();
+            assert.equal(adapter._setMany.callCount, 1);
+            assert.deepEqual(adapter._setMany.getCall(0).args, [
+              'executions',
+              { b: { executionId: 'b', startTime: 'b' }, c: { executionId: 'c', startTime: 'c' } },
+              []
+            ]);
+            return adapter.createExecution({ executionId: 'd', startTime: 'd' });
+          })
+          .then(() => adapter.listExecutions())
+          .then((executions) => {
+            assert.equal(adapter._setMany.callCount, 2);
+            assert.deepEqual(adapter._setMany.getCall(1).args[2], ['b']);
+            assert.deepEqual(executions.map((execution) => execution.executionId), ['c', 'd']);
+          }, (err) => {
+            clock.restore();
+            throw err;
+          });
+      });
+
+      it('should list the versions of a function in order', () => {
+        const name = 'projects/p/locations/us-central1/functions/helloWorld';
+        const version = (versionId, fn = name) => ({ name: `${fn}/versions/${versionId}`, function: fn, versionId });
+
+        return Promise.all([
+          adapter.createVersion(version(10)),
+          adapter.createVersion(version(2)),
+          adapter.createVersion(version(1, 'projects/p/locations/us-central1/functions/other'))
+        ])
+          .then(() => adapter.listVersions(name))
+          .then((versions) => {
+            assert.deepEqual(versions.map((version) => version.versionId), [2, 10]);
+            return adapter.deleteVersion(`${name}/versions/2`);
+          })
+          .then(() => Promise.all([adapter.getVersion(`${name}/versions/2`), adapter.getVersion(`${name}/versions/10`)]))
+          .then(([deleted, kept]) => {
+            assert.strictEqual(deleted, undefined);
+            assert.deepEqual(kept, version(10));
+          });
+      });
+    });
+  });
+
+  describe('DirectoryAdapter', () => {
+    it('should store one file per record', () => {
+      const stateDir = tmp.dirSync().name;
+      const adapter = new Adapters.DirectoryAdapter({ stateDir });
+      const name = 'projects/p/locations/us-central1/functions/helloWorld';
+
+      return adapter.createFunction({ name })
+        .then(() => {
+          const file = path.join(stateDir, 'functions', `${encodeURIComponent(name)}.json`);
+          assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { name });
+        });
+    });
+  });
+});
@@ -158,6 +158,26 @@ describe(`unit/model/cloudfunction`, () => {
     it(`should parse a formatted CloudFunction name string`);
   });
 
+  describe(`CloudFunction.parseSourceRepositoryUrl`, () => {
+    it(`should parse the repository, ref and path of a source repository URL`, () => {
+      assert.deepEqual(CloudFunction.parseSourceRepositoryUrl(`file:///repo/moveable-aliases/master/paths/src/fn`), {
+        repository: `file:///repo`,
+        ref: `master`,
+        path: `src/fn`
+      });
+      assert.deepEqual(CloudFunction.parseSourceRepositoryUrl(`https://source.developers.google.com/projects/p/repos/r/revisions/abc123`), {
+        repository: `https://source.developers.google.com/projects/p/repos/r`,
+        ref: `abc123`,
+        path: ``
+      });
+      assert.deepEqual(CloudFunction.parseSourceRepositoryUrl(`file:///repo/`), {
+        repository: `file:///repo`,
+        ref: null,
+        path: ``
+      });
+    });
+  });
+
   describe(`CloudFunction#shortName`, () => {
     it(`should be just the short function name`, () => {
       const cloudfunction = new CloudFunction(TEST_NAME);
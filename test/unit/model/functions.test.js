@@ -16,10 +16,20 @@
 'use strict';
 
 const _ = require(`lodash`);
+const AdmZip = require('adm-zip');
+const EventEmitter = require('events');
+const execSync = require('child_process').execSync;
+const fs = require('fs');
+const nock = require('nock');
 const os = require('os');
+const path = require('path');
 const proxyquire = require(`proxyquire`);
+const sinon = require(`sinon`);
+const tmp = require(`tmp`);
 
+const CloudFunction = require(`../../../src/model/cloudfunction`);
 const defaults = require(`../../../src/defaults.json`);
+const Errors = require(`../../../src/utils/errors`);
 defaults.location = _.kebabCase(os.userInfo().username);
 
 describe(`unit/model/functions`, () => {
@@ -54,18 +64,154 @@ describe(`unit/model/functions`, () => {
     it(`should call a function`);
   });
 
+  describe(`Functions#cancelOperation`, () => {
+    let functions, operations;
+
+    beforeEach(() => {
+      functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      operations = {
+        'operations/pending': { name: 'operations/pending', done: false },
+        'operations/orphan': { name: 'operations/orphan', done: false },
+        'operations/done': { name: 'operations/done', done: true, response: {} }
+      };
+      functions.adapter = {
+        getOperation: (name) => Promise.resolve(operations[name]),
+        updateOperation: sinon.stub().callsFake((name, operation) => Promise.resolve(operation))
+      };
+    });
+
+    it(`should stop a deployment that is in progress`, () => {
+      const deployment = { cancelled: false, process: { kill: sinon.stub() } };
+      functions._deployments.set('operations/pending', deployment);
+
+      return functions.cancelOperation('operations/pending')
+        .then(() => {
+          assert.strictEqual(deployment.cancelled, true);
+          assert.strictEqual(deployment.process.kill.callCount, 1);
+          assert.strictEqual(functions.adapter.updateOperation.callCount, 0);
+        });
+    });
+
+    it(`should finish an operation that nothing is running`, () => {
+      return functions.cancelOperation('operations/orphan')
+        .then(() => {
+          const operation = functions.adapter.updateOperation.firstCall.args[1];
+          assert.strictEqual(operation.done, true);
+          assert.strictEqual(operation.error.code, Errors.status.CANCELLED);
+        });
+    });
+
+    it(`should reject with FAILED_PRECONDITION for a finished operation`, () => {
+      return functions.cancelOperation('operations/done')
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert(err instanceof Errors.FailedPreconditionError);
+        });
+    });
+  });
+
   describe(`Functions#cloudfunction`, () => {
     it(`should return a CloudFunction instance`);
   });
 
   describe(`Functions#createFunction`, () => {
     it(`should create a function`);
+
+    it(`should reject an unsupported amount of memory`, () => {
+      const functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      functions.adapter = {
+        getFunction: () => Promise.resolve()
+      };
+
+      return functions.createFunction('projects/p/locations/l', {
+        name: 'projects/p/locations/l/functions/f',
+        httpsTrigger: {},
+        availableMemoryMb: 300
+      })
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 3);
+          assert.equal(err.message, 'Invalid value 300 for availableMemoryMb. Must be one of: 128, 256, 512, 1024, 2048.');
+        });
+    });
+
+    it(`should reject a runtime that is not installed`, () => {
+      const functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      functions.adapter = {
+        getFunction: () => Promise.resolve()
+      };
+
+      return functions.createFunction('projects/p/locations/l', {
+        name: 'projects/p/locations/l/functions/f',
+        httpsTrigger: {},
+        runtime: 'nodejs4'
+      })
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 3);
+          assert(err.message.startsWith('Runtime nodejs4 is not installed locally.'));
+        });
+    });
+
+    it(`should reject a reserved environment variable`, () => {
+      const functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      functions.adapter = {
+        getFunction: () => Promise.resolve()
+      };
+
+      return functions.createFunction('projects/p/locations/l', {
+        name: 'projects/p/locations/l/functions/f',
+        httpsTrigger: {},
+        environmentVariables: { FOO: 'bar', X_GOOGLE_FOO: 'baz' }
+      })
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 3);
+          assert.equal(err.message, `Environment variable name 'X_GOOGLE_FOO' is reserved for internal use.`);
+        });
+    });
   });
 
   describe(`Functions#deleteFunction`, () => {
     it(`should delete a function`);
   });
 
+  describe(`Functions#getDeadLetter`, () => {
+    it(`should reject with NOT_FOUND for a missing dead letter`, () => {
+      const functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      functions.adapter = {
+        getDeadLetter: () => Promise.resolve()
+      };
+
+      return functions.getDeadLetter('deadLetters/missing')
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 5);
+          assert.equal(err.message, 'Dead letter deadLetters/missing does not exist');
+        });
+    });
+  });
+
   describe(`Functions#getFunction`, () => {
     it(`should get a function`);
   });
@@ -74,11 +220,658 @@ describe(`unit/model/functions`, () => {
     it(`should get an operation`);
   });
 
+  describe(`Functions#listDeadLetters`, () => {
+    it(`should list dead letters oldest first, filtered by function`, () => {
+      const functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      functions.adapter = {
+        listDeadLetters: () => Promise.resolve([
+          { name: 'deadLetters/c', function: 'f1', lastAttemptTime: '2017-01-03T00:00:00.000Z' },
+          { name: 'deadLetters/a', function: 'f1', lastAttemptTime: '2017-01-01T00:00:00.000Z' },
+          { name: 'deadLetters/b', function: 'f2', lastAttemptTime: '2017-01-02T00:00:00.000Z' }
+        ])
+      };
+
+      return functions.listDeadLetters()
+        .then((deadLetters) => {
+          assert.deepEqual(deadLetters.map((d) => d.name), ['deadLetters/a', 'deadLetters/b', 'deadLetters/c']);
+          return functions.listDeadLetters({ function: 'f1' });
+        })
+        .then((deadLetters) => {
+          assert.deepEqual(deadLetters.map((d) => d.name), ['deadLetters/a', 'deadLetters/c']);
+        });
+    });
+  });
+
+  describe(`Functions#listExecutions`, () => {
+    it(`should filter executions and keep the most recent`, () => {
+      const functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      functions.adapter = {
+        listExecutions: () => Promise.resolve([
+          { executionId: '1', function: 'f1', status: 'ok' },
+          { executionId: '2', function: 'f2', status: 'error' },
+          { executionId: '3', function: 'f1', status: 'error' },
+          { executionId: '4', function: 'f1', status: 'ok' }
+        ])
+      };
+
+      return functions.listExecutions({ function: 'f1' })
+        .then((executions) => {
+          assert.deepEqual(executions.map((e) => e.executionId), ['1', '3', '4']);
+          return functions.listExecutions({ status: 'error' });
+        })
+        .then((executions) => {
+          assert.deepEqual(executions.map((e) => e.executionId), ['2', '3']);
+          return functions.listExecutions({ limit: 2 });
+        })
+        .then((executions) => {
+          assert.deepEqual(executions.map((e) => e.executionId), ['3', '4']);
+        });
+    });
+  });
+
+  describe(`Functions#listOperations`, () => {
+    it(`should filter operations and keep the most recently updated`, () => {
+      const functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      const operation = (name, target, done, updateTime) => {
+        return { name, done, metadata: { value: { target, updateTime } } };
+      };
+      functions.adapter = {
+        listOperations: () => Promise.resolve([
+          operation('operations/c', 'f1', false, '2017-01-03T00:00:00.000Z'),
+          operation('operations/a', 'f1', true, '2017-01-01T00:00:00.000Z'),
+          operation('operations/d', 'f2', true, '2017-01-04T00:00:00.000Z'),
+          operation('operations/b', 'f2', true, '2017-01-02T00:00:00.000Z')
+        ])
+      };
+
+      return functions.listOperations({ function: 'f1' })
+        .then((operations) => {
+          assert.deepEqual(operations.map((o) => o.name), ['operations/a', 'operations/c']);
+          return functions.listOperations({ done: true });
+        })
+        .then((operations) => {
+          assert.deepEqual(operations.map((o) => o.name), ['operations/a', 'operations/b', 'operations/d']);
+          return functions.listOperations({ done: false, limit: 5 });
+        })
+        .then((operations) => {
+          assert.deepEqual(operations.map((o) => o.name), ['operations/c']);
+          return functions.listOperations({ limit: 2 });
+        })
+        .then((operations) => {
+          assert.deepEqual(operations.map((o) => o.name), ['operations/c', 'operations/d']);
+        });
+    });
+  });
+
   describe(`Functions#listFunctions`, () => {
-    it(`should list functions`);
+    let functions;
+
+    beforeEach(() => {
+      functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      return Promise.all([
+        'projects/a/locations/us-central1/functions/f3',
+        'projects/a/locations/us-central1/functions/f1',
+        'projects/a/locations/us-central1/functions/f2',
+        'projects/a/locations/europe-west1/functions/f4',
+        'projects/b/locations/us-central1/functions/f5'
+      ].map((name) => functions.adapter.createFunction({ name })));
+    });
+
+    it(`should list the functions of a project and location`, () => {
+      const names = (response) => response.functions.map((cloudfunction) => cloudfunction.shortName);
+
+      return Promise.all([
+        functions.listFunctions('projects/a/locations/us-central1'),
+        functions.listFunctions('projects/a/locations/-'),
+        functions.listFunctions('projects/-/locations/us-central1'),
+        functions.listFunctions('projects/c/locations/-')
+      ])
+        .then((responses) => {
+          assert.deepEqual(responses.map(names), [
+            ['f1', 'f2', 'f3'],
+            ['f4', 'f1', 'f2', 'f3'],
+            ['f1', 'f2', 'f3', 'f5'],
+            []
+          ]);
+          assert.equal(responses[0].nextPageToken, '');
+        });
+    });
+
+    it(`should page through the functions`, () => {
+      const location = 'projects/a/locations/us-central1';
+
+      return functions.listFunctions(location, { pageSize: 2 })
+        .then((response) => {
+          assert.deepEqual(response.functions.map((cloudfunction) => cloudfunction.shortName), ['f1', 'f2']);
+          assert(response.nextPageToken);
+          return functions.listFunctions(location, { pageSize: 2, pageToken: response.nextPageToken });
+        })
+        .then((response) => {
+          assert.deepEqual(response.functions.map((cloudfunction) => cloudfunction.shortName), ['f3']);
+          assert.equal(response.nextPageToken, '');
+        });
+    });
+
+    it(`should reject a page token of another location`, () => {
+      return functions.listFunctions('projects/a/locations/us-central1', { pageSize: 1 })
+        .then((response) => functions.listFunctions('projects/b/locations/us-central1', { pageToken: response.nextPageToken }))
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 3);
+          assert(err.message.startsWith('Invalid page token'));
+        });
+    });
+  });
+
+  describe(`Functions#listVersions`, () => {
+    const name = 'projects/p/locations/us-central1/functions/f1';
+    let functions;
+
+    beforeEach(() => {
+      functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory',
+        maxVersions: 2
+      }));
+      return functions.adapter.createFunction({ name });
+    });
+
+    it(`should keep the most recent versions and the source they use`, () => {
+      const dir = tmp.dirSync().name;
+      const archives = ['a', 'b', 'c'].map((archive) => {
+        archive = path.join(dir, `${archive}.zip`);
+        fs.writeFileSync(archive, '');
+        return archive;
+      });
+      const deploy = (versionId, archive) => {
+        return functions._createVersion({
+          name,
+          versionId,
+          sourceUploadUrl: `http://localhost:8010/upload?archive=${archive}`
+        });
+      };
+
+      return deploy(1, archives[0])
+        .then(() => deploy(2, archives[1]))
+        // Version 3 is a rollback to version 1, so they share an archive
+        .then(() => deploy(3, archives[0]))
+        .then(() => {
+          assert(fs.existsSync(archives[0]));
+          return deploy(4, archives[2]);
+        })
+        .then(() => functions.listVersions(name))
+        .then((versions) => {
+          assert.deepEqual(versions.map((version) => version.versionId), [4, 3]);
+          assert.deepEqual(archives.map((archive) => fs.existsSync(archive)), [true, false, true]);
+        });
+    });
   });
 
   describe(`Functions#operation`, () => {
     it(`should return an Operation instance`);
   });
+
+  describe(`Functions#rollbackFunction`, () => {
+    const name = 'projects/p/locations/us-central1/functions/f1';
+    let functions;
+
+    function waitForOperation (operation) {
+      return functions.adapter.getOperation(operation.name)
+        .then((operation) => {
+          if (operation.done) {
+            return operation;
+          }
+          return new Promise((resolve) => setTimeout(resolve, 10))
+            .then(() => waitForOperation(operation));
+        });
+    }
+
+    beforeEach(() => {
+      Functions = proxyquire(`../../../src/model/functions`, {
+        got: { post: sinon.stub().returns(Promise.resolve()) }
+      });
+      functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      const version = (versionId) => ({
+        name,
+        description: `v${versionId}`,
+        httpsTrigger: {},
+        sourceUploadUrl: 'http://localhost:8010/?localdir=/tmp/f1',
+        versionId
+      });
+      return Promise.all([
+        functions.adapter.createFunction(version(2)),
+        functions._createVersion(version(1)),
+        functions._createVersion(version(2))
+      ]);
+    });
+
+    it(`should redeploy the previous version as a new version`, () => {
+      return functions.rollbackFunction(name)
+        .then(waitForOperation)
+        .then(() => Promise.all([functions.getFunction(name), functions.listVersions(name)]))
+        .then(([cloudfunction, versions]) => {
+          assert.equal(cloudfunction.description, 'v1');
+          assert.equal(cloudfunction.versionId, 3);
+          assert.deepEqual(versions.map((version) => version.versionId), [3, 2, 1]);
+        });
+    });
+
+    it(`should reject with NOT_FOUND for a missing version`, () => {
+      return functions.rollbackFunction(name, 5)
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 5);
+        });
+    });
+  });
+
+  describe(`Functions#_prepDir`, () => {
+    let functions, spawn, cacheDir, dirs;
+
+    function fakeProcess (code, output) {
+      const childProcess = new EventEmitter();
+      childProcess.stdout = new EventEmitter();
+      childProcess.stderr = new EventEmitter();
+      childProcess.kill = sinon.stub();
+      setImmediate(() => {
+        childProcess.stderr.emit('data', output);
+        childProcess.emit('exit', code);
+      });
+      return childProcess;
+    }
+
+    function createDir (files) {
+      const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+      _.forEach(files, (content, file) => fs.writeFileSync(path.join(dir, file), content));
+      dirs.push(dir);
+      return dir;
+    }
+
+    beforeEach(() => {
+      dirs = [];
+      cacheDir = tmp.dirSync({ unsafeCleanup: true }).name;
+      spawn = sinon.spy((command, args, opts) => {
+        fs.mkdirSync(path.join(opts.cwd, 'node_modules'));
+        fs.writeFileSync(path.join(opts.cwd, 'node_modules', 'dep.js'), '');
+        return fakeProcess(0, '');
+      });
+      Functions = proxyquire(`../../../src/model/functions`, {
+        child_process: { spawn }
+      });
+      functions = new Functions(_.merge({}, defaults, {
+        dependencyCacheDir: cacheDir,
+        projectId: 'p',
+        storage: 'memory'
+      }));
+    });
+
+    it(`should reuse the cached dependencies of an identical package.json`, () => {
+      const packageJson = JSON.stringify({ dependencies: { dep: '1.0.0' } });
+      createDir({ 'package.json': packageJson });
+      createDir({ 'package.json': packageJson });
+
+      return functions._prepDir(dirs[0])
+        .then(() => functions._prepDir(dirs[1]))
+        .then(() => {
+          assert.equal(spawn.callCount, 1);
+          assert.deepEqual(spawn.firstCall.args.slice(0, 2), ['npm', ['install']]);
+          dirs.forEach((dir) => {
+            assert(fs.lstatSync(path.join(dir, 'node_modules')).isSymbolicLink());
+            assert(fs.existsSync(path.join(dir, 'node_modules', 'dep.js')));
+          });
+        });
+    });
+
+    it(`should not share cached dependencies between runtimes`, () => {
+      const packageJson = JSON.stringify({ dependencies: { dep: '1.0.0' } });
+      createDir({ 'package.json': packageJson });
+      createDir({ 'package.json': packageJson });
+
+      return functions._prepDir(dirs[0], 'nodejs8')
+        .then(() => functions._prepDir(dirs[1], 'nodejs10'))
+        .then(() => {
+          assert.equal(spawn.callCount, 2);
+          assert.notEqual(fs.readlinkSync(path.join(dirs[0], 'node_modules')), fs.readlinkSync(path.join(dirs[1], 'node_modules')));
+        });
+    });
+
+    it(`should install with npm ci when there is a lockfile`, () => {
+      const dir = createDir({ 'package.json': '{}', 'package-lock.json': '{}' });
+
+      return functions._prepDir(dir)
+        .then(() => {
+          assert.deepEqual(spawn.firstCall.args.slice(0, 2), ['npm', ['ci']]);
+        });
+    });
+
+    it(`should fail offline with the output of the installer`, () => {
+      const dir = createDir({ 'package.json': '{}' });
+      spawn = sinon.spy(() => fakeProcess(1, 'npm ERR! code ENOTCACHED\n'));
+      Functions = proxyquire(`../../../src/model/functions`, {
+        child_process: { spawn }
+      });
+      functions = new Functions(_.merge({}, functions.config, { offline: true }));
+
+      return functions._prepDir(dir)
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert(err instanceof Errors.InvalidArgumentError);
+          assert.deepEqual(spawn.firstCall.args.slice(0, 2), ['npm', ['install', '--offline']]);
+          assert(err.message.startsWith('Failed to install dependencies offline'));
+          assert(err.details.some((detail) => detail.value.stackEntries.includes('npm ERR! code ENOTCACHED')));
+        });
+    });
+
+    it(`should fail offline with the error of the installer if nothing was missing from the cache`, () => {
+      const dir = createDir({ 'package.json': '{' });
+      spawn = sinon.spy(() => fakeProcess(1, 'npm ERR! code EJSONPARSE\n'));
+      Functions = proxyquire(`../../../src/model/functions`, {
+        child_process: { spawn }
+      });
+      functions = new Functions(_.merge({}, functions.config, { offline: true }));
+
+      return functions._prepDir(dir)
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert(err instanceof Errors.InvalidArgumentError);
+          assert.equal(err.message, 'Failed to install dependencies with npm install --offline: npm install failed: npm ERR! code EJSONPARSE');
+        });
+    });
+  });
+
+  describe(`Functions#_unpackArchive`, () => {
+    const name = 'projects/p/locations/us-central1/functions/f1';
+    let functions, dir;
+
+    beforeEach(() => {
+      functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      dir = tmp.dirSync({ unsafeCleanup: true }).name;
+      fs.mkdirSync(path.join(dir, 'src'));
+      fs.writeFileSync(path.join(dir, 'src', 'index.js'), 'exports.f1 = () => {};');
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it(`should extract an uploaded tarball`, () => {
+      const cloudfunction = { name, sourceUploadUrl: `http://localhost:8010/upload?archive=${path.join(dir, 'source.zip')}` };
+      execSync(`tar -czf source.zip -C src index.js`, { cwd: dir });
+
+      return functions._unpackArchive(cloudfunction)
+        .then(() => {
+          assert.equal(CloudFunction.getLocaldir(cloudfunction), path.join(dir, 'source'));
+          assert(fs.existsSync(path.join(dir, 'source', 'index.js')));
+        });
+    });
+
+    it(`should download and extract a zip file`, () => {
+      const zip = new AdmZip();
+      zip.addLocalFile(path.join(dir, 'src', 'index.js'));
+      nock('http://archives.example.com').get('/source.zip').reply(200, zip.toBuffer());
+      const cloudfunction = { name, sourceArchiveUrl: 'http://archives.example.com/source.zip' };
+
+      return functions._unpackArchive(cloudfunction)
+        .then(() => {
+          assert(fs.existsSync(path.join(CloudFunction.getLocaldir(cloudfunction), 'index.js')));
+          functions._deleteSource([cloudfunction]);
+          assert(!fs.existsSync(CloudFunction.getLocaldir(cloudfunction)));
+        });
+    });
+
+    it(`should clone a branch of a git repository`, () => {
+      const git = `git -c user.name=test -c user.email=test@example.com`;
+      execSync(`git init --quiet && ${git} add src && ${git} commit --quiet -m one && git checkout --quiet -b fix`, { cwd: dir });
+      fs.writeFileSync(path.join(dir, 'src', 'index.js'), 'exports.f1 = () => \'fix\';');
+      execSync(`${git} commit --quiet -am two && git checkout --quiet -`, { cwd: dir });
+      const revision = execSync('git rev-parse fix', { cwd: dir }).toString().trim();
+      const cloudfunction = { name, sourceRepository: { url: `file://${dir}/moveable-aliases/fix/paths/src` } };
+
+      return functions._unpackArchive(cloudfunction)
+        .then(() => {
+          const localdir = CloudFunction.getLocaldir(cloudfunction);
+          assert.equal(path.basename(localdir), 'src');
+          assert(fs.readFileSync(path.join(localdir, 'index.js'), 'utf8').includes('fix'));
+          assert.equal(cloudfunction.sourceRepository.deployedUrl, `file://${dir}/revisions/${revision}/paths/src`);
+          functions._deleteSource([cloudfunction]);
+          assert(!fs.existsSync(path.dirname(localdir)));
+        });
+    });
+
+    it(`should not take a git repository or revision for an option`, () => {
+      const marker = path.join(dir, 'injected');
+      const cloudfunction = { name, sourceRepository: { url: `--upload-pack=touch ${marker};false` } };
+
+      return functions._unpackArchive(cloudfunction)
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert(!fs.existsSync(marker));
+          assert(err.message.includes('--upload-pack'));
+          return functions._unpackArchive({ name, sourceRepository: { url: `file://${dir}/moveable-aliases/--orphan=x` } });
+        })
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert(err instanceof Errors.InvalidArgumentError);
+          assert.equal(err.message, 'Invalid revision in source repository: --orphan=x');
+        });
+    });
+
+    it(`should reject an unsupported source`, () => {
+      return functions._unpackArchive({ name, sourceArchiveUrl: 'ftp://example.com/source.zip' })
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert(err instanceof Errors.InvalidArgumentError);
+          assert.equal(err.message, 'Unsupported archive url: ftp://example.com/source.zip');
+        });
+    });
+  });
+
+  describe(`Functions#updateFunction`, () => {
+    const name = 'projects/p/locations/us-central1/functions/f1';
+    let functions, got;
+
+    function waitForOperation (operation) {
+      return functions.adapter.getOperation(operation.name)
+        .then((operation) => {
+          if (operation.done) {
+            return operation;
+          }
+          return new Promise((resolve) => setTimeout(resolve, 10))
+            .then(() => waitForOperation(operation));
+        });
+    }
+
+    beforeEach(() => {
+      got = { post: sinon.stub().returns(Promise.resolve()) };
+      Functions = proxyquire(`../../../src/model/functions`, { got });
+      functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      return functions.adapter.createFunction({
+        name,
+        availableMemoryMb: 256,
+        description: 'old',
+        httpsTrigger: { url: 'http://localhost:8010/p/us-central1/f1' },
+        sourceUploadUrl: 'http://localhost:8010/?localdir=/tmp/f1',
+        status: 'READY'
+      });
+    });
+
+    it(`should update the fields in the update mask`, () => {
+      return functions.updateFunction(name, { availableMemoryMb: 512, description: 'new' }, 'availableMemoryMb')
+        .then((operation) => {
+          assert.equal(operation.metadata.value.type, 2);
+          assert.equal(operation.metadata.value.request.value.updateMask, 'availableMemoryMb');
+          return functions.getFunction(name)
+            .then((cloudfunction) => {
+              // The previous version is kept until the Supervisor has loaded
+              // the new one
+              assert.equal(cloudfunction.availableMemoryMb, 256);
+              assert.equal(cloudfunction.latestOperation, operation.name);
+              return waitForOperation(operation);
+            });
+        })
+        .then((operation) => {
+          assert(operation.response);
+          assert.equal(got.post.callCount, 2);
+          assert(got.post.firstCall.args[0].endsWith('/api/validate'));
+          assert(got.post.secondCall.args[0].endsWith('/api/update'));
+          assert.equal(got.post.secondCall.args[1].body.cloudfunction.availableMemoryMb, 512);
+          return functions.getFunction(name);
+        })
+        .then((cloudfunction) => {
+          assert.equal(cloudfunction.availableMemoryMb, 512);
+          assert.equal(cloudfunction.description, 'old');
+          assert.equal(cloudfunction.status, 'READY');
+        });
+    });
+
+    it(`should keep the previous version if the new one fails to load`, () => {
+      const err = new Error('Response code 500');
+      err.response = { body: { error: { message: 'Function worker crashed' } } };
+      got.post.callsFake(() => Promise.reject(err));
+
+      return functions.updateFunction(name, { description: 'new' })
+        .then(waitForOperation)
+        .then((operation) => {
+          assert.equal(operation.error.message, 'Function worker crashed');
+          return functions.getFunction(name);
+        })
+        .then((cloudfunction) => {
+          assert.equal(cloudfunction.description, 'old');
+        });
+    });
+
+    it(`should fail with INVALID_ARGUMENT if the new version is invalid`, () => {
+      const err = new Error('Response code 400');
+      err.response = { body: { error: { status: 'INVALID_ARGUMENT', message: 'Node.js module defined by file index.js is expected to export function named f1' } } };
+      got.post.callsFake(() => Promise.reject(err));
+
+      return functions.updateFunction(name, { description: 'new' })
+        .then(waitForOperation)
+        .then((operation) => {
+          assert.equal(operation.error.code, Errors.status.INVALID_ARGUMENT);
+          assert.equal(operation.error.message, 'Node.js module defined by file index.js is expected to export function named f1');
+          assert.equal(got.post.callCount, 1);
+        });
+    });
+
+    it(`should keep the previous version if the update is cancelled`, () => {
+      return functions.updateFunction(name, { description: 'new' })
+        .then((operation) => {
+          return functions.cancelOperation(operation.name)
+            .then(() => waitForOperation(operation));
+        })
+        .then((operation) => {
+          assert.equal(operation.error.code, Errors.status.CANCELLED);
+          assert.equal(got.post.callCount, 0);
+          return functions.getFunction(name);
+        })
+        .then((cloudfunction) => {
+          assert.equal(cloudfunction.description, 'old');
+          assert.equal(functions._deployments.size, 0);
+        });
+    });
+
+    it(`should reset the memory of a function deployed by an earlier version`, () => {
+      return functions.adapter.createFunction({
+        name,
+        availableMemoryMb: 16384,
+        httpsTrigger: { url: 'http://localhost:8010/p/us-central1/f1' },
+        sourceUploadUrl: 'http://localhost:8010/?localdir=/tmp/f1',
+        status: 'READY'
+      })
+        .then(() => functions.updateFunction(name, { description: 'new' }))
+        .then(waitForOperation)
+        .then((operation) => {
+          assert(operation.response);
+          return functions.getFunction(name);
+        })
+        .then((cloudfunction) => {
+          assert.equal(cloudfunction.availableMemoryMb, 256);
+          assert.equal(cloudfunction.description, 'new');
+        });
+    });
+
+    it(`should reject an invalid memory size in the update mask`, () => {
+      return functions.updateFunction(name, { availableMemoryMb: 300 }, 'availableMemoryMb')
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 3);
+          assert(err.message.startsWith('Invalid value 300 for availableMemoryMb'));
+        });
+    });
+
+    it(`should reject a field that cannot be updated`, () => {
+      return functions.updateFunction(name, { status: 'FAILED' }, 'status')
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 3);
+          assert(err.message.startsWith('Invalid field in updateMask: status'));
+        });
+    });
+
+    it(`should reject with NOT_FOUND for a missing function`, () => {
+      return functions.updateFunction('projects/p/locations/us-central1/functions/f2', { description: 'new' })
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 5);
+        });
+    });
+  });
+
+  describe(`Functions#waitOperation`, () => {
+    it(`should resolve once the operation is done or the timeout elapses`, () => {
+      const functions = new Functions(_.merge({}, defaults, {
+        projectId: 'p',
+        storage: 'memory'
+      }));
+      let calls = 0;
+      functions.adapter = {
+        getOperation: (name) => {
+          calls++;
+          return Promise.resolve({ name, done: name === 'operations/a' && calls > 1 });
+        }
+      };
+
+      return functions.waitOperation('operations/a', 5000)
+        .then((operation) => {
+          assert.strictEqual(operation.done, true);
+          assert.strictEqual(calls, 2);
+          return functions.waitOperation('operations/b', 10);
+        })
+        .then((operation) => {
+          assert.strictEqual(operation.done, false);
+        });
+    });
+  });
 });
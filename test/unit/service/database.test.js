@@ -0,0 +1,114 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const proxyquire = require('proxyquire').noPreserveCache();
+
+describe('unit/service/database', () => {
+  let Database;
+
+  beforeEach(() => {
+    Database = proxyquire('../../../src/service/database', {});
+  });
+
+  describe('Database#set', () => {
+    it('should replace the value at a path', () => {
+      const database = new Database();
+
+      database.set('db', '/users/abc', { name: 'Ada', age: 36 });
+      const result = database.set('db', '/users/abc/name', 'Grace');
+
+      assert.deepEqual(result.before, { users: { abc: { name: 'Ada', age: 36 } } });
+      assert.deepEqual(result.after, { users: { abc: { name: 'Grace', age: 36 } } });
+      assert.deepEqual(database.get('db', '/users/abc'), { name: 'Grace', age: 36 });
+      assert.strictEqual(database.get('db', '/missing'), null);
+      assert.strictEqual(database.get('other', '/users'), null);
+    });
+
+    it('should drop nulls and empty parents', () => {
+      const database = new Database();
+
+      database.set('db', '/users/abc', { name: 'Ada', tags: null });
+      assert.deepEqual(database.get('db', '/users/abc'), { name: 'Ada' });
+
+      database.set('db', '/users/abc/name', null);
+      assert.strictEqual(database.get('db', '/'), null);
+    });
+  });
+
+  describe('Database#update', () => {
+    it('should merge children, including nested paths', () => {
+      const database = new Database();
+
+      database.set('db', '/users/abc', { name: 'Ada', age: 36 });
+      database.update('db', '/users', { 'abc/age': 37, def: { name: 'Grace' } });
+
+      assert.deepEqual(database.get('db', '/users'), {
+        abc: { name: 'Ada', age: 37 },
+        def: { name: 'Grace' }
+      });
+    });
+  });
+
+  describe('Database.findChanges', () => {
+    it('should extract wildcard params for a write below the trigger path', () => {
+      const before = { users: { abc: { posts: { p1: { title: 'a' } } } } };
+      const after = { users: { abc: { posts: { p1: { title: 'b' } } } } };
+
+      const changes = Database.findChanges('/users/{uid}/posts/{postId}', '/users/abc/posts/p1/title', before, after);
+
+      assert.deepEqual(changes, [{
+        path: '/users/abc/posts/p1',
+        params: { uid: 'abc', postId: 'p1' },
+        action: 'update',
+        data: { title: 'a' },
+        delta: { title: 'b' },
+        after: { title: 'b' }
+      }]);
+    });
+
+    it('should expand wildcards for a write above the trigger path', () => {
+      const before = { users: { abc: { posts: { p1: 'x', p2: 'y' } } } };
+      const after = { users: { abc: { posts: { p2: 'z', p3: 'w' } } } };
+
+      const changes = Database.findChanges('/users/{uid}/posts/{postId}', '/users', before, after);
+
+      assert.deepEqual(changes.map((change) => [change.path, change.action, change.params.postId]), [
+        ['/users/abc/posts/p1', 'delete', 'p1'],
+        ['/users/abc/posts/p2', 'update', 'p2'],
+        ['/users/abc/posts/p3', 'create', 'p3']
+      ]);
+      assert.strictEqual(changes[0].delta, null);
+    });
+
+    it('should ignore writes to unrelated paths and unchanged values', () => {
+      const before = { users: { abc: 1 }, rooms: { r1: 1 } };
+      const after = { users: { abc: 1 }, rooms: { r1: 2 } };
+
+      assert.deepEqual(Database.findChanges('/users/{uid}', '/rooms/r1', before, after), []);
+      assert.deepEqual(Database.findChanges('/users/{uid}', '/', before, after), []);
+    });
+  });
+
+  describe('Database.diff', () => {
+    it('should return the changed children', () => {
+      assert.deepEqual(
+        Database.diff({ a: 1, b: { c: 2, d: 3 }, e: 4 }, { a: 1, b: { c: 2, d: 5 }, f: 6 }),
+        { b: { d: 5 }, e: null, f: 6 }
+      );
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const proxyquire = require('proxyquire').noPreserveCache();
+const rimraf = require('rimraf');
+const tmp = require('tmp');
+
+describe('unit/service/object-store', () => {
+  let ObjectStore, bucketsDir;
+
+  beforeEach(() => {
+    ObjectStore = proxyquire('../../../src/service/object-store', {});
+    bucketsDir = tmp.dirSync().name;
+  });
+
+  afterEach(() => {
+    rimraf.sync(bucketsDir);
+  });
+
+  describe('ObjectStore#insertObject', () => {
+    it('should store an object and return its metadata', () => {
+      const store = new ObjectStore({ bucketsDir });
+
+      return store.insertObject('test-bucket', 'dir/file.txt', Buffer.from('hello'), 'text/plain')
+        .then((object) => {
+          assert.equal(object.kind, 'storage#object');
+          assert.equal(object.bucket, 'test-bucket');
+          assert.equal(object.name, 'dir/file.txt');
+          assert.equal(object.size, '5');
+          assert.equal(object.contentType, 'text/plain');
+          assert.equal(object.md5Hash, 'XUFAKrxLKna5cZ2REBfFkg==');
+          assert.equal(object.metageneration, '1');
+          assert(object.generation);
+          assert(object.timeCreated);
+
+          return store.readObject('test-bucket', 'dir/file.txt');
+        })
+        .then((data) => {
+          assert.equal(data.toString(), 'hello');
+        });
+    });
+
+    it('should keep the creation time when an object is overwritten', () => {
+      const store = new ObjectStore({ bucketsDir });
+      let first;
+
+      return store.insertObject('test-bucket', 'file.txt', Buffer.from('a'))
+        .then((object) => {
+          first = object;
+          assert.equal(object.contentType, 'application/octet-stream');
+          return store.insertObject('test-bucket', 'file.txt', Buffer.from('bb'));
+        })
+        .then((object) => {
+          assert.equal(object.timeCreated, first.timeCreated);
+          assert.notEqual(object.generation, first.generation);
+          assert.equal(object.size, '2');
+        });
+    });
+
+    it('should validate the bucket name', () => {
+      const store = new ObjectStore({ bucketsDir });
+
+      return store.insertObject('Invalid Bucket', 'file.txt', Buffer.from('a'))
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 3);
+        });
+    });
+  });
+
+  describe('ObjectStore#deleteObject', () => {
+    it('should delete an object', () => {
+      const store = new ObjectStore({ bucketsDir });
+
+      return store.insertObject('test-bucket', 'file.txt', Buffer.from('a'))
+        .then(() => store.deleteObject('test-bucket', 'file.txt'))
+        .then((object) => {
+          assert.equal(object.name, 'file.txt');
+          return store.getObject('test-bucket', 'file.txt');
+        })
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 5);
+        });
+    });
+  });
+
+  describe('ObjectStore#listObjects', () => {
+    it('should list objects by prefix', () => {
+      const store = new ObjectStore({ bucketsDir });
+
+      return Promise.all([
+        store.insertObject('test-bucket', 'a/1.txt', Buffer.from('1')),
+        store.insertObject('test-bucket', 'a/2.txt', Buffer.from('2')),
+        store.insertObject('test-bucket', 'b/3.txt', Buffer.from('3'))
+      ])
+        .then(() => store.listObjects('test-bucket', 'a/'))
+        .then((objects) => {
+          assert.deepEqual(objects.map((object) => object.name), ['a/1.txt', 'a/2.txt']);
+          return store.listObjects('empty-bucket');
+        })
+        .then((objects) => {
+          assert.deepEqual(objects, []);
+        });
+    });
+  });
+});
@@ -18,6 +18,9 @@
 const proxyquire = require('proxyquire').noPreserveCache();
 const nock = require('nock');
 const request = require('supertest');
+const rimraf = require('rimraf');
+const sinon = require('sinon');
+const tmp = require('tmp');
 
 describe('unit/service/rest-service', () => {
   let RestService;
@@ -51,6 +54,63 @@ describe('unit/service/rest-service', () => {
         .expect(200, done);
     });
 
+    it(`should send the execution ID to the function`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => {
+          return 'https://faked.com';
+        },
+        getFunction: () => {
+          return Promise.resolve({});
+        }
+      };
+      const service = new RestService(functionsMock, {});
+      let executionId;
+
+      nock('https://faked.com')
+        .matchHeader('function-execution-id', (value) => {
+          executionId = value;
+          return true;
+        })
+        .post('/fake-project/us-central1/test-function')
+        .reply(200);
+
+      request(service.server)
+        .post('/v1/projects/fake-project/locations/us-central1/functions/test-function:call')
+        .expect(200)
+        .expect((res) => {
+          assert.equal(res.body.executionId, executionId);
+        })
+        .end(done);
+    });
+
+    it(`should report whether the invocation was a cold start`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => {
+          return 'https://faked.com';
+        },
+        getFunction: () => {
+          return Promise.resolve({});
+        }
+      };
+      const service = new RestService(functionsMock, {});
+
+      nock('https://faked.com')
+        .post('/fake-project/us-central1/test-function')
+        .reply(200, 'ok', {
+          'X-Emulator-Cold-Start': 'true',
+          'X-Emulator-Load-Time': '12',
+          'X-Emulator-Startup-Time': '345'
+        });
+
+      request(service.server)
+        .post('/v1/projects/fake-project/locations/us-central1/functions/test-function:call')
+        .expect(200)
+        .expect((res) => {
+          assert.deepEqual(res.body.startup, { cold: true, loadTime: 12, startupTime: 345 });
+        })
+        .end(done);
+    });
+
     it(`should fill in correct default resource and eventType`, done => {
       const functionsMock = {
         getSupervisorHost: () => {
@@ -137,5 +197,600 @@ describe('unit/service/rest-service', () => {
         })
         .expect(200, done);
     });
+
+    it(`should send events to CloudEvent functions as binary CloudEvents`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => {
+          return 'https://faked.com';
+        },
+        getFunction: () => {
+          return Promise.resolve({
+            eventTrigger: {
+              eventType: 'google.pubsub.topic.publish',
+              resource: 'projects/fake-project/topics/fake-topic'
+            },
+            signatureType: 'cloudevent'
+          });
+        }
+      };
+      const service = new RestService(functionsMock, {});
+
+      nock('https://faked.com')
+        .matchHeader('ce-specversion', '1.0')
+        .matchHeader('ce-type', 'google.cloud.pubsub.topic.v1.messagePublished')
+        .matchHeader('ce-source', '//pubsub.googleapis.com/projects/fake-project/topics/fake-topic')
+        .matchHeader('content-type', 'application/json')
+        .post('/fake-project/us-central1/test-function', (body) => body.message.data === 'aGk=')
+        .reply(200);
+
+      request(service.server)
+        .post('/v1/projects/fake-project/locations/us-central1/functions/test-function:call')
+        .send({ data: { data: 'aGk=' } })
+        .expect(200)
+        .expect((res) => {
+          assert.equal(res.body.error, undefined);
+        })
+        .end(done);
+    });
+
+    it(`should send a CloudEvent as is in structured mode`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => {
+          return 'https://faked.com';
+        },
+        getFunction: () => {
+          return Promise.resolve({ httpsTrigger: {} });
+        }
+      };
+      const service = new RestService(functionsMock, { cloudEventMode: 'structured' });
+      let executionId;
+
+      nock('https://faked.com')
+        .matchHeader('content-type', 'application/cloudevents+json')
+        .matchHeader('function-execution-id', (value) => {
+          executionId = value;
+          return true;
+        })
+        .post('/fake-project/us-central1/test-function', (body) => {
+          return body.specversion === '1.0' && body.id === executionId && body.type === 'fake.type' &&
+            body.source === '//fake/source' && body.datacontenttype === 'application/json' && body.data.foo === 'bar';
+        })
+        .reply(200);
+
+      request(service.server)
+        .post('/v1/projects/fake-project/locations/us-central1/functions/test-function:call')
+        .send({ cloudEvent: { type: 'fake.type', source: '//fake/source', data: { foo: 'bar' } } })
+        .expect(200)
+        .expect((res) => {
+          assert.equal(res.body.error, undefined);
+        })
+        .end(done);
+    });
+
+    it(`should only send CloudEvents to functions that take them`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => {
+          return 'https://faked.com';
+        },
+        getFunction: () => {
+          return Promise.resolve({ shortName: 'test-function', eventTrigger: { eventType: 'fake.type' } });
+        }
+      };
+      const service = new RestService(functionsMock, {});
+
+      request(service.server)
+        .post('/v1/projects/fake-project/locations/us-central1/functions/test-function:call')
+        .send({ cloudEvent: { type: 'fake.type', source: '//fake/source' } })
+        .expect(200)
+        .expect((res) => {
+          assert.equal(res.body.error, `Function test-function doesn't take CloudEvents. Deploy it with --signature-type=cloudevent.`);
+        })
+        .end(done);
+    });
+  });
+
+  describe(`operations`, () => {
+    it(`should list, wait for and cancel operations`, () => {
+      const operation = { name: 'operations/abc', done: true };
+      const functionsMock = {
+        cancelOperation: sinon.stub().returns(Promise.resolve()),
+        listOperations: sinon.stub().returns(Promise.resolve([operation])),
+        waitOperation: sinon.stub().returns(Promise.resolve(operation))
+      };
+      const service = new RestService(functionsMock, {});
+
+      return request(service.server)
+        .get('/v1/operations')
+        .query({ function: 'projects/p/locations/l/functions/f', done: 'true', limit: '5' })
+        .expect(200)
+        .then((res) => {
+          assert.deepEqual(res.body, { operations: [operation] });
+          assert.deepEqual(functionsMock.listOperations.getCall(0).args, [{
+            function: 'projects/p/locations/l/functions/f',
+            done: true,
+            limit: 5
+          }]);
+          return request(service.server)
+            .post('/v1/operations/abc:wait')
+            .send({ timeout: '1.5s' })
+            .expect(200);
+        })
+        .then((res) => {
+          assert.deepEqual(res.body, operation);
+          assert.deepEqual(functionsMock.waitOperation.getCall(0).args, ['operations/abc', 1500]);
+          return request(service.server)
+            .post('/v1/operations/abc:wait')
+            .send({ timeout: 'soon' })
+            .expect(400);
+        })
+        .then(() => {
+          return request(service.server)
+            .post('/v1/operations/abc:cancel')
+            .expect(200);
+        })
+        .then((res) => {
+          assert.deepEqual(res.body, {});
+          assert.deepEqual(functionsMock.cancelOperation.getCall(0).args, ['operations/abc']);
+        });
+    });
+  });
+
+  describe(`rollbackFunction`, () => {
+    it(`should roll a function back to the requested version`, () => {
+      const operation = { name: 'operations/abc', done: false };
+      const functionsMock = {
+        rollbackFunction: sinon.stub().returns(Promise.resolve(operation))
+      };
+      const service = new RestService(functionsMock, {});
+
+      return request(service.server)
+        .post('/v1/projects/fake-project/locations/us-central1/functions/test-function:rollback')
+        .send({ versionId: 2 })
+        .expect(200)
+        .then((res) => {
+          assert.deepEqual(res.body, operation);
+          assert.deepEqual(functionsMock.rollbackFunction.getCall(0).args, [
+            'projects/fake-project/locations/us-central1/functions/test-function',
+            2
+          ]);
+        });
+    });
+  });
+
+  describe(`updateFunction`, () => {
+    it(`should update a function with the update mask`, () => {
+      const operation = { name: 'operations/abc', done: false };
+      const functionsMock = {
+        updateFunction: sinon.stub().returns(Promise.resolve(operation))
+      };
+      const service = new RestService(functionsMock, {});
+
+      return request(service.server)
+        .patch('/v1/projects/fake-project/locations/us-central1/functions/test-function')
+        .query({ updateMask: 'availableMemoryMb' })
+        .send({ availableMemoryMb: 512 })
+        .expect(200)
+        .then((res) => {
+          assert.deepEqual(res.body, operation);
+          assert.deepEqual(functionsMock.updateFunction.getCall(0).args, [
+            'projects/fake-project/locations/us-central1/functions/test-function',
+            { availableMemoryMb: 512 },
+            'availableMemoryMb'
+          ]);
+        });
+    });
+  });
+
+  describe(`publishMessages`, () => {
+    const topicFunction = (name, resource, status = 'READY') => {
+      return {
+        name: `projects/fake-project/locations/us-central1/functions/${name}`,
+        status,
+        eventTrigger: {
+          eventType: 'google.pubsub.topic.publish',
+          resource
+        }
+      };
+    };
+
+    it(`should deliver each message to every function subscribed to the topic`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => {
+          return 'https://faked.com';
+        },
+        listFunctions: () => {
+          return Promise.resolve({
+            functions: [
+              topicFunction('subscriberA', 'test-topic'),
+              topicFunction('subscriberB', 'projects/fake-project/topics/test-topic'),
+              topicFunction('otherTopic', 'other-topic'),
+              topicFunction('deploying', 'test-topic', 'DEPLOYING')
+            ]
+          });
+        }
+      };
+      const service = new RestService(functionsMock, {});
+      const delivered = [];
+      const expectedBody = (body) => {
+        return body.resource === 'projects/fake-project/topics/test-topic' &&
+          body.eventType === 'google.pubsub.topic.publish' &&
+          body.data.data === 'aGVsbG8=' &&
+          body.data.attributes.foo === 'bar';
+      };
+      const onDelivered = (name) => {
+        delivered.push(name);
+        if (delivered.length === 2) {
+          assert.deepEqual(delivered.sort(), ['subscriberA', 'subscriberB']);
+          done();
+        }
+      };
+
+      nock('https://faked.com')
+        .post('/fake-project/us-central1/subscriberA', expectedBody)
+        .reply(200, () => onDelivered('subscriberA'))
+        .post('/fake-project/us-central1/subscriberB', expectedBody)
+        .reply(200, () => onDelivered('subscriberB'));
+
+      request(service.server)
+        .post('/v1/projects/fake-project/topics/test-topic:publish')
+        .send({
+          messages: [{ data: 'aGVsbG8=', attributes: { foo: 'bar' } }]
+        })
+        .expect(200)
+        .expect((res) => {
+          assert.equal(res.body.messageIds.length, 1);
+        })
+        .end((err) => {
+          if (err) {
+            done(err);
+          }
+        });
+    });
+
+    it(`should reject a request without messages`, done => {
+      const service = new RestService({}, {});
+
+      request(service.server)
+        .post('/v1/projects/fake-project/topics/test-topic:publish')
+        .send({})
+        .expect(400, done);
+    });
+  });
+
+  describe(`retries`, () => {
+    const name = 'projects/fake-project/locations/us-central1/functions/retrying';
+    const makeFunction = (retry) => {
+      return {
+        name,
+        status: 'READY',
+        eventTrigger: {
+          eventType: 'google.pubsub.topic.publish',
+          resource: 'test-topic',
+          failurePolicy: retry ? { retry: {} } : undefined
+        }
+      };
+    };
+    const event = { eventId: '123', data: {} };
+
+    it(`should redeliver the same event until the function succeeds`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => 'https://faked.com',
+        createDeadLetter: () => done(new Error('should not record a dead letter'))
+      };
+      const service = new RestService(functionsMock, { retryBackoff: 1 });
+
+      nock('https://faked.com')
+        .post('/fake-project/us-central1/retrying', (body) => body.eventId === '123')
+        .times(2)
+        .reply(500, 'boom')
+        .post('/fake-project/us-central1/retrying', (body) => body.eventId === '123')
+        .reply(200, () => setImmediate(() => {
+          assert(nock.isDone());
+          done();
+        }));
+
+      service._deliverEvent(makeFunction(true), event);
+    });
+
+    it(`should record a dead letter once the attempts are exhausted`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => 'https://faked.com',
+        createDeadLetter: (deadLetter) => {
+          assert.equal(deadLetter.function, name);
+          assert.deepEqual(deadLetter.event, event);
+          assert.equal(deadLetter.attempts, 3);
+          assert.equal(deadLetter.error, 'boom');
+          done();
+          return Promise.resolve(deadLetter);
+        }
+      };
+      const service = new RestService(functionsMock, { retryBackoff: 1, retryMaxAttempts: 3 });
+
+      nock('https://faked.com')
+        .post('/fake-project/us-central1/retrying')
+        .times(3)
+        .reply(500, 'boom');
+
+      service._deliverEvent(makeFunction(true), event);
+    });
+
+    it(`should not retry functions deployed without a retry policy`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => 'https://faked.com',
+        createDeadLetter: (deadLetter) => {
+          assert.equal(deadLetter.attempts, 1);
+          done();
+          return Promise.resolve(deadLetter);
+        }
+      };
+      const service = new RestService(functionsMock, { retryBackoff: 1 });
+
+      nock('https://faked.com')
+        .post('/fake-project/us-central1/retrying')
+        .reply(500, 'boom');
+
+      service._deliverEvent(makeFunction(false), event);
+    });
+
+    it(`should replay a dead letter`, done => {
+      const deleted = [];
+      const functionsMock = {
+        getSupervisorHost: () => 'https://faked.com',
+        getDeadLetter: (deadLetterName) => Promise.resolve({ name: deadLetterName, function: name, event }),
+        getFunction: () => Promise.resolve(makeFunction(true)),
+        deleteDeadLetter: (deadLetterName) => {
+          deleted.push(deadLetterName);
+          return Promise.resolve();
+        }
+      };
+      const service = new RestService(functionsMock, {});
+
+      nock('https://faked.com')
+        .post('/fake-project/us-central1/retrying', (body) => body.eventId === '123')
+        .reply(200, () => setImmediate(() => {
+          assert.deepEqual(deleted, ['deadLetters/abc']);
+          done();
+        }));
+
+      request(service.server)
+        .post('/v1/deadLetters/abc:replay')
+        .expect(200)
+        .end((err) => {
+          if (err) {
+            done(err);
+          }
+        });
+    });
+  });
+
+  describe(`storage`, () => {
+    let bucketsDir;
+
+    const bucketFunction = (name, eventType, resource) => {
+      return {
+        name: `projects/fake-project/locations/us-central1/functions/${name}`,
+        status: 'READY',
+        eventTrigger: { eventType, resource }
+      };
+    };
+
+    const functionsMock = {
+      getSupervisorHost: () => {
+        return 'https://faked.com';
+      },
+      listFunctions: () => {
+        return Promise.resolve({
+          functions: [
+            bucketFunction('onFinalize', 'google.storage.object.finalize', 'test-bucket'),
+            bucketFunction('onDelete', 'google.storage.object.delete', 'projects/_/buckets/test-bucket'),
+            bucketFunction('onChange', 'providers/cloud.storage/eventTypes/object.change', 'projects/_/buckets/test-bucket'),
+            bucketFunction('otherBucket', 'google.storage.object.finalize', 'other-bucket')
+          ]
+        });
+      }
+    };
+
+    beforeEach(() => {
+      bucketsDir = tmp.dirSync().name;
+    });
+
+    afterEach(() => {
+      rimraf.sync(bucketsDir);
+    });
+
+    it(`should trigger finalize and change functions on upload`, done => {
+      const service = new RestService(functionsMock, { bucketsDir });
+      const delivered = {};
+      const onDelivered = (name, body) => {
+        delivered[name] = body;
+        if (Object.keys(delivered).length === 2) {
+          assert.equal(delivered.onFinalize.data.name, 'file.txt');
+          assert.equal(delivered.onFinalize.data.size, '5');
+          assert.equal(delivered.onFinalize.data.resourceState, undefined);
+          assert.equal(delivered.onChange.data.resourceState, 'exists');
+          assert(delivered.onFinalize.resource.startsWith('projects/_/buckets/test-bucket/objects/file.txt#'));
+          done();
+        }
+      };
+
+      nock('https://faked.com')
+        .post('/fake-project/us-central1/onFinalize')
+        .reply(200, (uri, body) => onDelivered('onFinalize', body))
+        .post('/fake-project/us-central1/onChange')
+        .reply(200, (uri, body) => onDelivered('onChange', body));
+
+      request(service.server)
+        .post('/upload/storage/v1/b/test-bucket/o?uploadType=media&name=file.txt')
+        .set('Content-Type', 'text/plain')
+        .send('hello')
+        .expect(200)
+        .expect((res) => {
+          assert.equal(res.body.bucket, 'test-bucket');
+          assert.equal(res.body.contentType, 'text/plain');
+        })
+        .end((err) => {
+          if (err) {
+            done(err);
+          }
+        });
+    });
+
+    it(`should trigger delete and change functions on delete`, done => {
+      const service = new RestService(functionsMock, { bucketsDir });
+      const delivered = {};
+      const onDelivered = (name, body) => {
+        delivered[name] = body;
+        if (Object.keys(delivered).length === 2) {
+          assert.equal(delivered.onDelete.data.name, 'file.txt');
+          assert.equal(delivered.onChange.data.resourceState, 'not_exists');
+          done();
+        }
+      };
+
+      service._objects.insertObject('test-bucket', 'file.txt', Buffer.from('hello'))
+        .then(() => {
+          nock('https://faked.com')
+            .post('/fake-project/us-central1/onDelete')
+            .reply(200, (uri, body) => onDelivered('onDelete', body))
+            .post('/fake-project/us-central1/onChange')
+            .reply(200, (uri, body) => onDelivered('onChange', body));
+
+          request(service.server)
+            .delete('/storage/v1/b/test-bucket/o/file.txt')
+            .expect(204)
+            .end((err) => {
+              if (err) {
+                done(err);
+              }
+            });
+        });
+    });
+
+    it(`should log a failure to trigger functions after answering the upload`, () => {
+      const error = sinon.spy();
+      RestService = proxyquire('../../../src/service/rest-service', { winston: { error } });
+      const service = new RestService({
+        listFunctions: () => Promise.reject(new Error('Storage unavailable'))
+      }, { bucketsDir });
+
+      return request(service.server)
+        .post('/upload/storage/v1/b/test-bucket/o?uploadType=media&name=file.txt')
+        .set('Content-Type', 'text/plain')
+        .send('hello')
+        .expect(200)
+        .then(() => new Promise((resolve) => setImmediate(resolve)))
+        .then(() => {
+          assert.equal(error.callCount, 1);
+          assert.equal(error.firstCall.args[0], 'Failed to trigger functions for a finalize of gs://test-bucket/file.txt: Storage unavailable');
+        });
+    });
+
+    it(`should return 404 for a missing object`, done => {
+      const service = new RestService(functionsMock, { bucketsDir });
+
+      request(service.server)
+        .get('/storage/v1/b/test-bucket/o/missing.txt')
+        .expect(404, done);
+    });
+  });
+
+  describe(`database`, () => {
+    const databaseFunction = (name, eventType, resource) => {
+      return {
+        name: `projects/fake-project/locations/us-central1/functions/${name}`,
+        status: 'READY',
+        eventTrigger: { eventType, resource }
+      };
+    };
+
+    it(`should trigger functions whose path matches the write`, done => {
+      const functionsMock = {
+        getSupervisorHost: () => {
+          return 'https://faked.com';
+        },
+        listFunctions: () => {
+          return Promise.resolve({
+            functions: [
+              databaseFunction('onCreate', 'providers/google.firebase.database/eventTypes/ref.create', 'projects/_/instances/my-db/refs/users/{uid}/posts/{postId}'),
+              databaseFunction('onDelete', 'providers/google.firebase.database/eventTypes/ref.delete', 'projects/_/instances/my-db/refs/users/{uid}/posts/{postId}'),
+              databaseFunction('onWrite', 'google.firebase.database.ref.write', '/users/{uid}'),
+              databaseFunction('otherInstance', 'google.firebase.database.ref.write', 'projects/_/instances/other-db/refs/users/{uid}')
+            ]
+          });
+        }
+      };
+      const service = new RestService(functionsMock, {});
+      const delivered = {};
+      const onDelivered = (name, body) => {
+        delivered[name] = body;
+        if (Object.keys(delivered).length === 2) {
+          assert.deepEqual(delivered.onCreate.params, { uid: 'abc', postId: 'p1' });
+          assert.equal(delivered.onCreate.resource, 'projects/_/instances/my-db/refs/users/abc/posts/p1');
+          assert.strictEqual(delivered.onCreate.data, null);
+          assert.deepEqual(delivered.onCreate.delta, { title: 'Hello' });
+          assert.deepEqual(delivered.onWrite.params, { uid: 'abc' });
+          assert.deepEqual(delivered.onWrite.data, { name: 'Ada' });
+          assert.deepEqual(delivered.onWrite.delta, { posts: { p1: { title: 'Hello' } } });
+          done();
+        }
+      };
+
+      service._database.set('my-db', '/users/abc', { name: 'Ada' });
+
+      nock('https://faked.com')
+        .post('/fake-project/us-central1/onCreate')
+        .reply(200, (uri, body) => onDelivered('onCreate', body))
+        .post('/fake-project/us-central1/onWrite')
+        .reply(200, (uri, body) => onDelivered('onWrite', body));
+
+      request(service.server)
+        .put('/databases/my-db/users/abc/posts/p1.json')
+        .send('{"title":"Hello"}')
+        .expect(200)
+        .end((err) => {
+          if (err) {
+            done(err);
+          }
+        });
+    });
+
+    it(`should log a failure to trigger functions after answering the write`, () => {
+      const error = sinon.spy();
+      RestService = proxyquire('../../../src/service/rest-service', { winston: { error } });
+      const service = new RestService({
+        listFunctions: () => Promise.reject(new Error('Storage unavailable'))
+      }, {});
+
+      return request(service.server)
+        .put('/databases/my-db/users/abc.json')
+        .send('{"name":"Ada"}')
+        .expect(200)
+        .then(() => new Promise((resolve) => setImmediate(resolve)))
+        .then(() => {
+          assert.equal(error.callCount, 1);
+          assert.equal(error.firstCall.args[0], 'Failed to trigger functions for a write to my-db/users/abc: Storage unavailable');
+        });
+    });
+
+    it(`should reject invalid JSON`, done => {
+      const service = new RestService({}, {});
+
+      request(service.server)
+        .put('/databases/my-db/users.json')
+        .send('{not json')
+        .expect(400, done);
+    });
+
+    it(`should read back written values`, () => {
+      const service = new RestService({}, {});
+      service._database.set('my-db', '/users/abc', { name: 'Ada' });
+
+      return request(service.server)
+        .get('/databases/my-db/users.json')
+        .expect(200)
+        .then((res) => {
+          assert.deepEqual(res.body, { abc: { name: 'Ada' } });
+        });
+    });
   });
 });
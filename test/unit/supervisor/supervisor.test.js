@@ -15,8 +15,14 @@
 
 'use strict';
 
+const fs = require('fs');
+const got = require('got');
+const path = require('path');
 const proxyquire = require('proxyquire').noPreserveCache();
 const sinon = require('sinon');
+const tmp = require('tmp');
+
+const cloudevents = require('../../../src/utils/cloudevents');
 
 describe('unit/supervisor/supervisor', () => {
   let Supervisor;
@@ -39,8 +45,12 @@ describe('unit/supervisor/supervisor', () => {
       assert.strictEqual(supervisor._functions, functionsMock);
       assert.notStrictEqual(supervisor.config, optsMock);
       assert.deepEqual(supervisor.config, {
+        backgroundWork: 'ignore',
+        coldStart: 'never',
+        concurrency: 0,
         idlePruneInterval: Supervisor.DEFAULT_IDLE_PRUNE_INTERVAL,
-        maxIdle: Supervisor.DEFAULT_MAX_IDLE
+        maxIdle: Supervisor.DEFAULT_MAX_IDLE,
+        maxInstances: 1
       });
       assert.equal(typeof supervisor.app, 'function');
       assert.equal(typeof supervisor._proxy, 'object');
@@ -53,8 +63,12 @@ describe('unit/supervisor/supervisor', () => {
       let supervisor = new Supervisor(functionsMock);
 
       assert.deepEqual(supervisor.config, {
+        backgroundWork: 'ignore',
+        coldStart: 'never',
+        concurrency: 0,
         idlePruneInterval: Supervisor.DEFAULT_IDLE_PRUNE_INTERVAL,
-        maxIdle: Supervisor.DEFAULT_MAX_IDLE
+        maxIdle: Supervisor.DEFAULT_MAX_IDLE,
+        maxInstances: 1
       });
 
       supervisor = new Supervisor(functionsMock, {
@@ -68,6 +82,348 @@ describe('unit/supervisor/supervisor', () => {
       });
 
       assert.strictEqual(supervisor.config.useMocks, false);
+
+      assert.strictEqual(new Supervisor(functionsMock, { coldStart: 'always' })._coldStartProbability, 1);
+      assert.strictEqual(new Supervisor(functionsMock, { coldStart: '0.25' })._coldStartProbability, 0.25);
+      assert.throws(() => new Supervisor(functionsMock, { coldStart: 'sometimes' }), /Invalid coldStart setting/);
+    });
+  });
+
+  describe('Supervisor#acquireWorker', () => {
+    const cloudfunction = { name: 'functionA' };
+    const makeSupervisor = (opts) => {
+      const supervisor = new Supervisor({
+        getFunction: () => Promise.resolve(cloudfunction)
+      }, opts);
+      supervisor.createWorker = sinon.spy(() => {
+        const worker = { name: cloudfunction.name, active: 0, starting: true, loadTime: 5 };
+        const workers = supervisor._workerPool.get(cloudfunction.name) || [];
+        supervisor._workerPool.set(cloudfunction.name, workers.concat(worker));
+        return Promise.resolve().then(() => {
+          worker.starting = false;
+          return worker;
+        });
+      });
+      return supervisor;
+    };
+
+    it('should start instances under load up to maxInstances, then queue', () => {
+      const supervisor = makeSupervisor({ maxInstances: 2, concurrency: 1 });
+      let third;
+
+      return Promise.all([
+        supervisor.acquireWorker('functionA'),
+        supervisor.acquireWorker('functionA')
+      ])
+        .then(([workerA, workerB]) => {
+          assert.equal(supervisor.createWorker.callCount, 2);
+          assert.notStrictEqual(workerA, workerB);
+          assert.equal(workerA.active, 1);
+          assert.equal(workerB.active, 1);
+
+          third = supervisor.acquireWorker('functionA');
+          return new Promise((resolve) => setTimeout(resolve, 10))
+            .then(() => {
+              // Both instances are busy and no more may be started
+              assert.equal(supervisor.createWorker.callCount, 2);
+              assert.equal(supervisor._requestQueues.get('functionA').length, 1);
+
+              supervisor.releaseWorker(workerB);
+              return third;
+            })
+            .then((worker) => {
+              assert.strictEqual(worker, workerB);
+              assert.equal(workerB.active, 1);
+              assert.equal(supervisor._requestQueues.has('functionA'), false);
+            });
+        });
+    });
+
+    it('should share an instance when concurrency is unlimited', () => {
+      const supervisor = makeSupervisor({ maxInstances: 1, concurrency: 0 });
+
+      return Promise.all([
+        supervisor.acquireWorker('functionA'),
+        supervisor.acquireWorker('functionA')
+      ])
+        .then(([workerA, workerB]) => {
+          assert.equal(supervisor.createWorker.callCount, 1);
+          assert.strictEqual(workerA, workerB);
+          assert.equal(workerA.active, 2);
+        });
+    });
+
+    it('should prefer idle instances', () => {
+      const supervisor = makeSupervisor({ maxInstances: 3, concurrency: 1 });
+
+      return supervisor.acquireWorker('functionA')
+        .then((worker) => {
+          supervisor.releaseWorker(worker);
+          return supervisor.acquireWorker('functionA')
+            .then((next) => {
+              assert.strictEqual(next, worker);
+              assert.equal(supervisor.createWorker.callCount, 1);
+            });
+        });
+    });
+
+    it('should report whether a request started a new instance', () => {
+      const supervisor = makeSupervisor({ maxInstances: 1 });
+      const first = {};
+      const second = {};
+
+      return supervisor.acquireWorker('functionA', first)
+        .then((worker) => {
+          assert.strictEqual(first.cold, true);
+          assert.strictEqual(first.loadTime, 5);
+          assert.equal(typeof first.startupTime, 'number');
+          supervisor.releaseWorker(worker);
+          return supervisor.acquireWorker('functionA', second);
+        })
+        .then(() => {
+          assert.deepEqual(second, { cold: false });
+        });
+    });
+
+    it('should replace an idle instance when forcing a cold start', () => {
+      const supervisor = makeSupervisor({ maxInstances: 1, coldStart: 'always' });
+      supervisor.closeInstance = sinon.spy((worker) => {
+        supervisor._removeWorker(worker);
+        return Promise.resolve();
+      });
+      const invocation = {};
+
+      return supervisor.acquireWorker('functionA')
+        .then((worker) => {
+          supervisor.releaseWorker(worker);
+          return supervisor.acquireWorker('functionA', invocation)
+            .then((next) => {
+              assert.notStrictEqual(next, worker);
+              assert.strictEqual(invocation.cold, true);
+              assert.equal(supervisor.closeInstance.callCount, 1);
+              assert.strictEqual(supervisor.closeInstance.getCall(0).args[0], worker);
+              assert.deepEqual(supervisor.getWorkers('functionA'), [next]);
+            });
+        });
+    });
+
+    it('should limit a function being debugged to one instance', () => {
+      const supervisor = makeSupervisor({ maxInstances: 3 });
+      supervisor._workerPool.set('functionA', [{ name: 'functionA', active: 1, debug: true }]);
+
+      assert.equal(supervisor.getMaxInstances(cloudfunction), 1);
+      assert.equal(supervisor.getMaxInstances({ name: 'functionA', maxInstances: 5 }), 1);
+      supervisor._workerPool.clear();
+      assert.equal(supervisor.getMaxInstances({ name: 'functionA', maxInstances: 5 }), 5);
+      assert.equal(new Supervisor({}, { maxInstances: 0 }).getMaxInstances(cloudfunction), Infinity);
+    });
+  });
+
+  describe('Supervisor#createWorker', function () {
+    this.timeout(10000);
+    let dir;
+
+    beforeEach(() => {
+      dir = tmp.dirSync({ unsafeCleanup: true }).name;
+    });
+
+    // Starts a worker for a function f1 with the given source in its index.js
+    // and the given fields in its CloudFunction, and kills it once the test is
+    // done with it
+    function testWorker (supervisor, source, cloudfunction, test) {
+      fs.writeFileSync(path.join(dir, 'index.js'), source);
+      cloudfunction = Object.assign({
+        name: 'projects/p/locations/l/functions/f1',
+        shortName: 'f1',
+        sourceUploadUrl: `http://localhost:8010/?localdir=${dir}`
+      }, cloudfunction);
+
+      return supervisor.createWorker(cloudfunction, { standby: true })
+        .then((worker) => {
+          return Promise.resolve(worker)
+            .then(test)
+            .then(() => worker.process.kill(), (err) => {
+              worker.process.kill();
+              throw err;
+            });
+        });
+    }
+
+    // Calls a function, then leaves its worker time to check for pending work
+    function call (worker, executionId, query) {
+      return got(`http://localhost:${worker.port}/`, { headers: { 'Function-Execution-Id': executionId }, query })
+        .then(() => new Promise((resolve) => setTimeout(resolve, 500)));
+    }
+
+    it('should call a background function with the data and context of an event', () => {
+      const supervisor = new Supervisor({}, { watch: false });
+      const source = 'exports.f1 = (data, context) => ({ data, context });';
+      const cloudfunction = {
+        eventTrigger: { eventType: 'providers/cloud.pubsub/eventTypes/topic.publish' },
+        runtime: 'nodejs8'
+      };
+      const event = {
+        eventId: '1',
+        timestamp: '2018-01-01T00:00:00.000Z',
+        eventType: 'providers/cloud.pubsub/eventTypes/topic.publish',
+        resource: 'projects/p/topics/t',
+        data: { message: 'hi' }
+      };
+
+      return testWorker(supervisor, source, cloudfunction, (worker) => {
+        return got.post(`http://localhost:${worker.port}/`, { body: event, json: true })
+          .then((response) => {
+            assert.deepEqual(response.body, {
+              data: event.data,
+              context: {
+                eventId: '1',
+                timestamp: '2018-01-01T00:00:00.000Z',
+                eventType: 'providers/cloud.pubsub/eventTypes/topic.publish',
+                resource: 'projects/p/topics/t'
+              }
+            });
+          });
+      });
+    });
+
+    it('should warn about work that is still pending when an execution finishes', () => {
+      const supervisor = new Supervisor({}, { watch: false, backgroundWork: 'warn' });
+      const source = `
+        exports.f1 = (req, res) => {
+          if (req.query.dangling) {
+            setTimeout(() => {}, 5000);
+          }
+          setTimeout(() => {}, 5000).unref();
+          setTimeout(() => res.end('ok'), 10);
+        };
+      `;
+      const warnings = [];
+      supervisor._logOutput = (worker, output) => {
+        if (output.severity === 'WARNING') {
+          warnings.push(output);
+        }
+      };
+
+      return testWorker(supervisor, source, { httpsTrigger: {} }, (worker) => {
+        return call(worker, 'clean', {})
+          .then(() => call(worker, 'dangling', { dangling: true }))
+          .then(() => {
+            assert.equal(warnings.length, 1);
+            assert.equal(warnings[0].executionId, 'dangling');
+            assert.ok(warnings[0].text.startsWith('Function execution finished with 1 operation still pending.'));
+            assert.ok(warnings[0].text.includes(`Timeout, created:\n    at exports.f1 (${path.join(dir, 'index.js')}:4:13)`));
+          });
+      });
+    });
+
+    it('should report whether an execution left work pending with backgroundWork "fail"', () => {
+      const supervisor = new Supervisor({}, { watch: false, backgroundWork: 'fail' });
+      const source = `
+        exports.f1 = (req, res) => {
+          if (req.query.dangling) {
+            setTimeout(() => {}, 5000);
+          }
+          res.send('ok');
+        };
+      `;
+      const errors = [];
+      supervisor._logOutput = (worker, output) => {
+        if (output.severity === 'ERROR') {
+          errors.push(output);
+        }
+      };
+      sinon.spy(supervisor, '_workChecked');
+      supervisor._retireWorker = sinon.stub().returns(Promise.resolve());
+
+      return testWorker(supervisor, source, { httpsTrigger: {} }, (worker) => {
+        return call(worker, 'clean', {})
+          .then(() => {
+            assert.deepEqual(supervisor._workChecked.getCall(0).args, [worker, 'clean']);
+            assert.equal(supervisor._retireWorker.callCount, 0);
+            return call(worker, 'dangling', { dangling: true });
+          })
+          .then(() => {
+            assert.deepEqual(supervisor._workChecked.getCall(1).args, [worker, 'dangling']);
+            assert.equal(supervisor._retireWorker.callCount, 1);
+            assert.equal(errors.length, 1);
+            assert.equal(errors[0].executionId, 'dangling');
+          });
+      });
+    });
+
+    it('should only let a function write to its private temporary directory with readOnlyFs', () => {
+      const supervisor = new Supervisor({}, { watch: false, readOnlyFs: true });
+      const source = `
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        exports.f1 = (req, res) => {
+          fs.writeFileSync(path.join(os.tmpdir(), 'a.txt'), 'hello');
+          let code;
+          try {
+            fs.writeFileSync(path.join(__dirname, 'b.txt'), 'hello');
+          } catch (err) {
+            code = err.code;
+          }
+          const link = path.join(os.tmpdir(), 'link');
+          fs.symlinkSync(__dirname, link);
+          let linkCode;
+          try {
+            fs.writeFileSync(path.join(link, 'd.txt'), 'hello');
+          } catch (err) {
+            linkCode = err.code;
+          }
+          fs.unlinkSync(link);
+          fs.mkdir('c', (err) => res.send({ tmpdir: os.tmpdir(), sync: code, link: linkCode, async: err.code }));
+        };
+      `;
+
+      return testWorker(supervisor, source, { httpsTrigger: {} }, (worker) => {
+        return got(`http://localhost:${worker.port}/`, { json: true })
+          .then((response) => {
+            assert.deepEqual(response.body, { tmpdir: worker.tmpDir, sync: 'EROFS', link: 'EROFS', async: 'EROFS' });
+            assert.equal(fs.readdirSync(dir).join(), 'index.js');
+            return supervisor.measureTmpUsage(worker);
+          })
+          .then((tmpUsage) => {
+            assert.equal(tmpUsage, 5);
+            assert.equal(worker.maxTmpUsage, 5);
+
+            const tmpDir = worker.tmpDir;
+            return new Promise((resolve) => worker.process.on('exit', resolve).kill())
+              .then(() => assert.equal(fs.existsSync(tmpDir), false));
+          });
+      });
+    });
+
+    it('should call a CloudEvent function with the CloudEvent sent in either content mode', () => {
+      const supervisor = new Supervisor({}, { watch: false });
+      const source = 'exports.f1 = (cloudevent) => cloudevent;';
+      const cloudfunction = {
+        eventTrigger: { eventType: 'google.pubsub.topic.publish' },
+        signatureType: 'cloudevent'
+      };
+      const cloudevent = {
+        specversion: '1.0',
+        id: '1',
+        type: 'google.cloud.pubsub.topic.v1.messagePublished',
+        source: '//pubsub.googleapis.com/projects/p/topics/t',
+        datacontenttype: 'application/json',
+        data: { message: { data: 'aGk=' } }
+      };
+
+      return testWorker(supervisor, source, cloudfunction, (worker) => {
+        return Promise.all(['binary', 'structured'].map((mode) => {
+          return got.post(`http://localhost:${worker.port}/`, cloudevents.toHttp(cloudevent, mode))
+            .then((response) => assert.deepEqual(JSON.parse(response.body), cloudevent));
+        }))
+          .then(() => got.post(`http://localhost:${worker.port}/`, { body: {}, json: true }))
+          .then(() => {
+            throw new Error('Should have rejected an event that is not a CloudEvent');
+          }, (err) => {
+            assert.equal(err.statusCode, 400);
+          });
+      });
     });
   });
 
@@ -167,13 +523,61 @@ describe('unit/supervisor/supervisor', () => {
     });
   });
 
+  describe('Supervisor#getEnvironment', () => {
+    const cloudfunction = {
+      name: 'projects/p/locations/us-central1/functions/functionA',
+      shortName: 'functionA',
+      entryPoint: 'handler',
+      availableMemoryMb: 512,
+      environmentVariables: { FOO: 'bar' },
+      eventTrigger: { eventType: 'providers/cloud.pubsub/eventTypes/topic.publish' },
+      timeout: { seconds: 30 },
+      sourceUploadUrl: 'http://localhost:8010/?localdir=/tmp/functionA'
+    };
+
+    it('should set the function\'s variables and those of the runtime', () => {
+      const supervisor = new Supervisor({});
+      const env = supervisor.getEnvironment(cloudfunction);
+
+      assert.equal(env.FOO, 'bar');
+      assert.equal(env.FUNCTION_NAME, 'functionA');
+      assert.equal(env.FUNCTION_TARGET, 'handler');
+      assert.equal(env.FUNCTION_REGION, 'us-central1');
+      assert.equal(env.FUNCTION_MEMORY_MB, '512');
+      assert.equal(env.FUNCTION_TIMEOUT_SEC, '30');
+      assert.equal(env.FUNCTION_TRIGGER_TYPE, 'EVENT_TRIGGER');
+      assert.equal(env.GCP_PROJECT, 'p');
+      assert.equal(env.X_GOOGLE_CODE_LOCATION, '/tmp/functionA');
+      assert.equal(env.PATH, process.env.PATH);
+    });
+
+    it('should not inherit the Emulator\'s environment when cleanEnv is set', () => {
+      process.env.EMULATOR_TEST_VAR = 'x';
+      const supervisor = new Supervisor({}, { cleanEnv: true });
+      const env = supervisor.getEnvironment(cloudfunction);
+      delete process.env.EMULATOR_TEST_VAR;
+
+      assert.equal(env.EMULATOR_TEST_VAR, undefined);
+      assert.equal(env.PATH, process.env.PATH);
+      assert.equal(env.FOO, 'bar');
+    });
+
+    it('should point the temporary directory variables to the worker\'s', () => {
+      const env = new Supervisor({}, { cleanEnv: true }).getEnvironment(cloudfunction, '/tmp/worker');
+
+      assert.equal(env.TMPDIR, '/tmp/worker');
+      assert.equal(env.TMP, '/tmp/worker');
+      assert.equal(env.TEMP, '/tmp/worker');
+    });
+  });
+
   describe('Supervisor#getWorker', () => {
     it('should return a worker', () => {
       const functionsMock = {};
       const supervisor = new Supervisor(functionsMock);
 
       const workerA = {};
-      supervisor._workerPool.set('a', workerA);
+      supervisor._workerPool.set('a', [workerA, {}]);
 
       assert.strictEqual(supervisor.getWorker('a'), workerA);
       assert.strictEqual(supervisor.getWorker('b'), undefined);
@@ -185,13 +589,34 @@ describe('unit/supervisor/supervisor', () => {
       const functionsMock = {};
       const supervisor = new Supervisor(functionsMock);
 
-      supervisor._workerPool.set('a', {});
+      supervisor._workerPool.set('a', [{}]);
 
       assert.strictEqual(supervisor.hasWorker('a'), true);
       assert.strictEqual(supervisor.hasWorker('b'), false);
     });
   });
 
+  describe('Supervisor#measureTmpUsage', () => {
+    it('should measure the files in the temporary directory of a worker', () => {
+      const supervisor = new Supervisor({});
+      const tmpDir = tmp.dirSync({ unsafeCleanup: true }).name;
+      fs.mkdirSync(path.join(tmpDir, 'a'));
+      fs.writeFileSync(path.join(tmpDir, 'a', 'b.txt'), 'hello');
+      fs.writeFileSync(path.join(tmpDir, 'c.txt'), 'hi');
+      const worker = { tmpDir, maxTmpUsage: 10 };
+
+      // Measurements made at the same time share the walk of the directory
+      const measurement = supervisor.measureTmpUsage(worker);
+      assert.strictEqual(supervisor.measureTmpUsage(worker), measurement);
+      return measurement
+        .then((tmpUsage) => {
+          assert.equal(tmpUsage, 7);
+          assert.equal(worker.tmpUsage, 7);
+          assert.equal(worker.maxTmpUsage, 10);
+        });
+    });
+  });
+
   describe('Supervisor#prune', () => {
     it('should close all idle workers', () => {
       const functionsMock = {};
@@ -199,19 +624,113 @@ describe('unit/supervisor/supervisor', () => {
 
       const supervisor = new Supervisor(functionsMock, optsMock);
 
-      supervisor.closeWorker = sinon.stub();
+      supervisor.closeInstance = sinon.stub();
 
-      supervisor._workerPool.set('idle', {
+      const idle = {
         lastAccessed: Date.now() - 1000000
-      });
-      supervisor._workerPool.set('active', {
+      };
+      const busy = {
+        active: 1,
+        lastAccessed: Date.now() - 1000000
+      };
+      supervisor._workerPool.set('a', [idle, busy, {
         lastAccessed: Date.now()
-      });
+      }]);
 
       return supervisor.prune()
         .then(() => {
-          assert.equal(supervisor.closeWorker.callCount, 1);
-          assert.deepEqual(supervisor.closeWorker.getCall(0).args, ['idle']);
+          assert.equal(supervisor.closeInstance.callCount, 1);
+          assert.strictEqual(supervisor.closeInstance.getCall(0).args[0], idle);
+        });
+    });
+  });
+
+  describe('Supervisor#recordExecution', () => {
+    it('should record how an execution finished', () => {
+      const executions = [];
+      const supervisor = new Supervisor({
+        createExecution: (execution) => {
+          executions.push(execution);
+          return Promise.resolve(execution);
+        }
+      });
+      const makeReq = (functionStatus) => {
+        return {
+          functionStart: Date.now(),
+          functionStatus,
+          functionExecution: { executionId: 'abc', function: 'functionA', inputSize: 2, outputSize: 3 }
+        };
+      };
+
+      return Promise.all([
+        supervisor.recordExecution(makeReq(), { statusCode: 200 }),
+        supervisor.recordExecution(makeReq(), { statusCode: 500 }),
+        supervisor.recordExecution(makeReq('timeout'), { statusCode: 500 }),
+        supervisor.recordExecution(makeReq('crash'), { statusCode: 500 })
+      ])
+        .then(() => {
+          assert.deepEqual(executions.map((e) => e.status), ['ok', 'error', 'timeout', 'crash']);
+          assert.deepEqual(executions.map((e) => e.httpStatus), [200, 500, 500, 500]);
+          assert.equal(executions[0].executionId, 'abc');
+          assert.equal(executions[0].inputSize, 2);
+          assert.equal(executions[0].outputSize, 3);
+          assert.equal(typeof executions[0].duration, 'number');
+        });
+    });
+
+    it('should not report a timed out execution as crashed', () => {
+      const supervisor = new Supervisor({});
+      supervisor.closeInstance = sinon.stub().returns(Promise.resolve());
+      const req = { functionStatus: 'timeout', functionWorker: {} };
+      const res = { status: sinon.stub() };
+
+      supervisor._proxy.emit('error', new Error('socket hang up'), req, res);
+
+      assert.equal(req.functionStatus, 'timeout');
+      assert.equal(supervisor.closeInstance.callCount, 0);
+      assert.equal(res.status.callCount, 0);
+    });
+  });
+
+  describe('Supervisor#recordFixture', () => {
+    it('should save the request and response of an invocation', () => {
+      const recordDir = tmp.dirSync().name;
+      const supervisor = new Supervisor({}, { recordDir });
+      const event = { eventId: 'event-1', data: { a: 1 } };
+      const req = {
+        method: 'POST',
+        url: '/p/us-central1/functionA?x=1',
+        headers: { 'content-type': 'application/json' },
+        functionExecution: {
+          executionId: 'abc',
+          function: 'projects/p/locations/us-central1/functions/functionA',
+          trigger: 'providers/cloud.pubsub/eventTypes/topic.publish',
+          startTime: '2017-01-01T00:00:00.000Z'
+        },
+        functionRecording: {
+          path: '?x=1',
+          requestChunks: [Buffer.from(JSON.stringify(event))],
+          responseChunks: [Buffer.from('OK')]
+        }
+      };
+      const res = {
+        statusCode: 200,
+        getHeaders: () => ({ 'content-type': 'text/plain' })
+      };
+
+      return supervisor.recordFixture(req, res)
+        .then((filename) => {
+          assert.equal(filename, path.join(recordDir, 'functionA-abc.json'));
+          const fixture = JSON.parse(fs.readFileSync(filename, 'utf8'));
+          assert.equal(fixture.function, 'projects/p/locations/us-central1/functions/functionA');
+          assert.equal(fixture.request.method, 'POST');
+          assert.equal(fixture.request.path, '?x=1');
+          assert.deepEqual(fixture.request.query, { x: '1' });
+          assert.equal(Buffer.from(fixture.request.body, 'base64').toString(), JSON.stringify(event));
+          assert.deepEqual(fixture.event, event);
+          assert.equal(fixture.response.statusCode, 200);
+          assert.deepEqual(fixture.response.headers, { 'content-type': 'text/plain' });
+          assert.equal(Buffer.from(fixture.response.body, 'base64').toString(), 'OK');
         });
     });
   });
@@ -352,4 +871,161 @@ describe('unit/supervisor/supervisor', () => {
       global.clearInterval.restore();
     });
   });
+
+  describe('Supervisor#updateWorkers', () => {
+    const cloudfunction = { name: 'functionA' };
+
+    it('should replace the previous version once the new one has started', () => {
+      const supervisor = new Supervisor({});
+      const idle = { name: 'functionA', active: 0 };
+      const busy = { name: 'functionA', active: 1 };
+      const worker = { name: 'functionA', active: 0 };
+      supervisor._workerPool.set('functionA', [idle, busy]);
+      supervisor.createWorker = sinon.stub().returns(Promise.resolve(worker));
+      supervisor.closeInstance = sinon.spy((worker) => {
+        supervisor._removeWorker(worker);
+        return Promise.resolve();
+      });
+
+      return supervisor.updateWorkers(cloudfunction)
+        .then(() => {
+          assert.deepEqual(supervisor.createWorker.getCall(0).args, [cloudfunction, { standby: true }]);
+          assert.deepEqual(supervisor.getWorkers('functionA'), [worker]);
+          assert.equal(supervisor.closeInstance.callCount, 1);
+          assert.strictEqual(supervisor.closeInstance.getCall(0).args[0], idle);
+
+          // The busy instance is closed once it finishes its request
+          assert(supervisor._retiredWorkers.has(busy));
+          supervisor.releaseWorker(busy);
+          assert.equal(supervisor.closeInstance.callCount, 2);
+          assert.strictEqual(supervisor.closeInstance.getCall(1).args[0], busy);
+        });
+    });
+
+    it('should keep the previous version if the new one fails to start', () => {
+      const supervisor = new Supervisor({});
+      const previous = { name: 'functionA', active: 0 };
+      supervisor._workerPool.set('functionA', [previous]);
+      supervisor.createWorker = sinon.stub().returns(Promise.reject(new Error('Function worker crashed with exit code: 1')));
+      supervisor.closeInstance = sinon.stub().returns(Promise.resolve());
+
+      return supervisor.updateWorkers(cloudfunction)
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.message, 'Function worker crashed with exit code: 1');
+          assert.deepEqual(supervisor.getWorkers('functionA'), [previous]);
+          assert.equal(supervisor.closeInstance.callCount, 0);
+        });
+    });
+  });
+
+  describe('Supervisor#validateFunction', function () {
+    this.timeout(10000);
+
+    function createFunction (files, cloudfunction) {
+      const dir = tmp.dirSync({ unsafeCleanup: true }).name;
+      fs.mkdirSync(path.join(dir, 'lib'));
+      Object.keys(files).forEach((file) => fs.writeFileSync(path.join(dir, file), files[file]));
+      return Object.assign({
+        shortName: 'f1',
+        name: 'projects/p/locations/l/functions/f1',
+        sourceUploadUrl: `http://localhost:8010/?localdir=${dir}`
+      }, cloudfunction);
+    }
+
+    it('should load the module named by the main field of package.json', () => {
+      const supervisor = new Supervisor({});
+      const cloudfunction = createFunction({
+        'package.json': JSON.stringify({ main: 'lib/app.js' }),
+        'lib/app.js': 'exports.a = { b: { c: (req, res) => res.end() } };'
+      }, { entryPoint: 'a.b.c', httpsTrigger: {} });
+
+      return supervisor.validateFunction(cloudfunction)
+        .then((file) => {
+          assert.equal(path.basename(file), 'app.js');
+          assert.deepEqual(supervisor.getWorkers(cloudfunction.name), []);
+        });
+    });
+
+    it('should reject a missing entry point', () => {
+      const supervisor = new Supervisor({});
+      const cloudfunction = createFunction({
+        'package.json': JSON.stringify({ main: 'lib/app.js' }),
+        'lib/app.js': 'exports.f2 = (event) => {};'
+      }, { eventTrigger: {} });
+
+      return supervisor.validateFunction(cloudfunction)
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 3);
+          assert.equal(err.message, `Node.js module defined by file ${path.join('lib', 'app.js')} is expected to export function named f1`);
+        });
+    });
+
+    it('should reject an entry point whose arguments do not suit its trigger', () => {
+      const supervisor = new Supervisor({});
+      const cloudfunction = createFunction({
+        'index.js': 'exports.f1 = (err, req, res, next) => {};'
+      }, { httpsTrigger: {} });
+
+      return supervisor.validateFunction(cloudfunction)
+        .then(() => {
+          throw new Error('should have failed');
+        }, (err) => {
+          assert.equal(err.code, 3);
+          assert.equal(err.message, 'HTTP function f1 must take the arguments (req, res) or (req, res, next), but takes 4 arguments');
+        });
+    });
+
+    it('should accept an Express app as an HTTP function', () => {
+      const supervisor = new Supervisor({});
+      const cloudfunction = createFunction({
+        'index.js': `
+          const app = require(${JSON.stringify(require.resolve('express'))})();
+          app.get('/', (req, res) => res.send('Hello'));
+          exports.f1 = app;
+        `
+      }, { httpsTrigger: {} });
+
+      return supervisor.validateFunction(cloudfunction)
+        .then((file) => {
+          assert.equal(path.basename(file), 'index.js');
+        });
+    });
+  });
+
+  describe('Supervisor#_waitForWorkCheck', () => {
+    it('should wait for the check to be reported', () => {
+      const supervisor = new Supervisor({});
+      const worker = { workChecks: new Map() };
+      let checked = false;
+
+      const waiting = supervisor._waitForWorkCheck(worker, 'e1').then(() => {
+        checked = true;
+      });
+      return Promise.resolve()
+        .then(() => {
+          assert.equal(checked, false);
+          supervisor._workChecked(worker, 'e1');
+          return waiting;
+        })
+        .then(() => {
+          assert.equal(checked, true);
+          assert.equal(worker.workChecks.size, 0);
+        });
+    });
+
+    it('should not wait for a check reported before the response finished', () => {
+      const supervisor = new Supervisor({});
+      const worker = { workChecks: new Map() };
+
+      supervisor._workChecked(worker, 'e1');
+      return supervisor._waitForWorkCheck(worker, 'e1')
+        .then(() => {
+          assert.equal(worker.workChecks.size, 0);
+        });
+    });
+  });
 });
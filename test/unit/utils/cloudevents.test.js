@@ -0,0 +1,159 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const cloudevents = require('../../../src/utils/cloudevents');
+
+const NAME = 'projects/p/locations/us-central1/functions/f';
+const TIMESTAMP = '2018-01-01T00:00:00.000Z';
+
+describe('unit/utils/cloudevents', () => {
+  describe('fromLegacyEvent', () => {
+    it('should map Pub/Sub events', () => {
+      const cloudevent = cloudevents.fromLegacyEvent({
+        eventId: '123',
+        timestamp: TIMESTAMP,
+        eventType: 'providers/cloud.pubsub/eventTypes/topic.publish',
+        resource: 'projects/p/topics/t',
+        data: {
+          '@type': 'type.googleapis.com/google.pubsub.v1.PubsubMessage',
+          attributes: { a: 'b' },
+          data: 'aGk='
+        }
+      }, NAME);
+
+      assert.deepEqual(cloudevent, {
+        specversion: '1.0',
+        id: '123',
+        type: 'google.cloud.pubsub.topic.v1.messagePublished',
+        source: '//pubsub.googleapis.com/projects/p/topics/t',
+        time: TIMESTAMP,
+        datacontenttype: 'application/json',
+        data: {
+          message: { attributes: { a: 'b' }, data: 'aGk=', messageId: '123', publishTime: TIMESTAMP }
+        }
+      });
+      assert.equal(cloudevents.fromLegacyEvent({ eventType: 'google.pubsub.topic.publish', resource: 't' }, NAME).source, '//pubsub.googleapis.com/projects/p/topics/t');
+    });
+
+    it('should map Storage events', () => {
+      const object = { bucket: 'b', name: 'dir/file.txt', generation: '1' };
+      const finalized = cloudevents.fromLegacyEvent({
+        eventType: 'google.storage.object.finalize',
+        resource: 'projects/_/buckets/b/objects/dir/file.txt#1',
+        data: object
+      }, NAME);
+      const deleted = cloudevents.fromLegacyEvent({
+        eventType: 'providers/cloud.storage/eventTypes/object.change',
+        resource: 'projects/_/buckets/b/objects/dir/file.txt#1',
+        data: Object.assign({ resourceState: 'not_exists' }, object)
+      }, NAME);
+
+      assert.equal(finalized.type, 'google.cloud.storage.object.v1.finalized');
+      assert.equal(deleted.type, 'google.cloud.storage.object.v1.deleted');
+      [finalized, deleted].forEach((cloudevent) => {
+        assert.equal(cloudevent.source, '//storage.googleapis.com/projects/_/buckets/b');
+        assert.equal(cloudevent.subject, 'objects/dir/file.txt');
+        assert.deepEqual(cloudevent.data, object);
+      });
+    });
+
+    it('should map Firebase events', () => {
+      const written = cloudevents.fromLegacyEvent({
+        eventType: 'providers/google.firebase.database/eventTypes/ref.write',
+        resource: 'projects/_/instances/db/refs/users/abc',
+        data: null,
+        delta: { name: 'Ada' }
+      }, NAME);
+      assert.equal(written.type, 'google.firebase.database.ref.v1.written');
+      assert.equal(written.source, '//firebasedatabase.googleapis.com/projects/_/locations/us-central1/instances/db');
+      assert.equal(written.subject, 'refs/users/abc');
+      assert.deepEqual(written.data, { data: null, delta: { name: 'Ada' } });
+
+      const created = cloudevents.fromLegacyEvent({
+        eventType: 'providers/firebase.auth/eventTypes/user.create',
+        resource: 'projects/p',
+        data: { uid: 'abc' }
+      }, NAME);
+      assert.equal(created.type, 'google.firebase.auth.user.v1.created');
+      assert.equal(created.source, '//firebaseauth.googleapis.com/projects/p');
+      assert.equal(created.subject, 'users/abc');
+
+      const logged = cloudevents.fromLegacyEvent({
+        eventType: 'google.firebase.analytics.event.log',
+        resource: 'projects/p/events/purchase',
+        data: { userDim: { appInfo: { appId: 'app' } } }
+      }, NAME);
+      assert.equal(logged.type, 'google.firebase.analytics.log.v1.written');
+      assert.equal(logged.source, '//firebaseanalytics.googleapis.com/projects/p/apps/app');
+      assert.equal(logged.subject, 'events/purchase');
+
+      assert.equal(cloudevents.fromLegacyEvent({ eventType: 'google.firebase.remoteconfig.update' }, NAME).source, '//firebaseremoteconfig.googleapis.com/projects/p');
+    });
+
+    it('should keep the type of unknown events', () => {
+      const cloudevent = cloudevents.fromLegacyEvent({ eventId: '1', eventType: 'fake.type', data: 1 }, NAME);
+      assert.equal(cloudevent.type, 'fake.type');
+      assert.equal(cloudevent.source, `//cloudfunctions.googleapis.com/${NAME}`);
+    });
+  });
+
+  describe('toHttp and fromHttp', () => {
+    const cloudevent = {
+      specversion: '1.0',
+      id: '1',
+      type: 'fake.type',
+      source: '//fake/source',
+      subject: 'fake/subject',
+      datacontenttype: 'application/json',
+      data: { foo: 'bar' }
+    };
+
+    const lowerCase = (headers) => {
+      const result = {};
+      Object.keys(headers).forEach((header) => {
+        result[header.toLowerCase()] = headers[header];
+      });
+      return result;
+    };
+
+    it('should encode and decode binary CloudEvents', () => {
+      const request = cloudevents.toHttp(cloudevent, 'binary');
+      assert.equal(request.headers['ce-type'], 'fake.type');
+      assert.equal(request.headers['ce-subject'], 'fake/subject');
+      assert.equal(request.headers['Content-Type'], 'application/json');
+      assert.equal(request.body, '{"foo":"bar"}');
+      assert.deepEqual(cloudevents.fromHttp(lowerCase(request.headers), Buffer.from(request.body)), cloudevent);
+      assert.deepEqual(cloudevents.fromHttp(lowerCase(request.headers), JSON.parse(request.body)), cloudevent);
+    });
+
+    it('should encode and decode structured CloudEvents', () => {
+      const request = cloudevents.toHttp(cloudevent, 'structured');
+      assert.equal(request.headers['Content-Type'], 'application/cloudevents+json');
+      assert.deepEqual(JSON.parse(request.body), cloudevent);
+      assert.deepEqual(cloudevents.fromHttp(lowerCase(request.headers), Buffer.from(request.body)), cloudevent);
+    });
+
+    it('should reject requests that are not CloudEvents', () => {
+      assert.throws(() => cloudevents.fromHttp({ 'content-type': 'application/json' }, {}), (err) => {
+        return err.code === 3 && err.message === 'Invalid CloudEvent: the "specversion" attribute is required.';
+      });
+      assert.throws(() => cloudevents.fromHttp({ 'content-type': 'application/cloudevents+json' }, '{'), (err) => {
+        return err.code === 3 && err.message.startsWith('Invalid CloudEvent:');
+      });
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const diff = require('../../../src/utils/diff');
+
+describe('unit/utils/diff', () => {
+  it('should return no differences for equal values', () => {
+    assert.deepEqual(diff({ a: [1, { b: 'c' }] }, { a: [1, { b: 'c' }] }), []);
+  });
+
+  it('should report the path of each difference', () => {
+    const expected = { statusCode: 200, body: { name: 'Ada', tags: ['a', 'b'], old: true } };
+    const actual = { statusCode: 500, body: { name: 'Ada', tags: ['a'], extra: 1 } };
+
+    assert.deepEqual(diff(expected, actual), [
+      { path: 'statusCode', expected: 200, actual: 500 },
+      { path: 'body.tags[1]', expected: 'b', actual: undefined },
+      { path: 'body.old', expected: true, actual: undefined },
+      { path: 'body.extra', expected: undefined, actual: 1 }
+    ]);
+  });
+
+  it('should compare values of different types as a whole', () => {
+    assert.deepEqual(diff({ body: 'text' }, { body: { a: 1 } }), [
+      { path: 'body', expected: 'text', actual: { a: 1 } }
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const makeDir = require('make-dir');
+const path = require('path');
+const tmp = require('tmp');
+
+const ignore = require('../../../src/utils/ignore');
+
+describe('unit/utils/ignore', () => {
+  let dir;
+
+  function write (file, content = '') {
+    const filename = path.join(dir, file);
+    makeDir.sync(path.dirname(filename));
+    fs.writeFileSync(filename, content);
+  }
+
+  beforeEach(() => {
+    dir = tmp.dirSync({ unsafeCleanup: true }).name;
+    write('index.js');
+    write('lib/util.js');
+    write('lib/util.test.js');
+    write('test/fixtures/data.json');
+    write('.git/HEAD');
+    write('node_modules/a/index.js');
+    write('keys/service-account.json');
+  });
+
+  it('should match patterns the way .gitignore does', () => {
+    const patterns = ['*.test.js', '/test/', 'keys/**', '!keys/public.json', 'li?/*.md', '[a-c]*.txt']
+      .map(ignore.parsePattern);
+
+    assert(ignore.isIgnored(patterns, 'lib/util.test.js', false));
+    assert(ignore.isIgnored(patterns, 'test', true));
+    assert(!ignore.isIgnored(patterns, 'test', false));
+    assert(!ignore.isIgnored(patterns, 'lib/test', true));
+    assert(ignore.isIgnored(patterns, 'keys/service-account.json', false));
+    assert(!ignore.isIgnored(patterns, 'keys/public.json', false));
+    assert(ignore.isIgnored(patterns, 'lib/README.md', false));
+    assert(ignore.isIgnored(patterns, 'docs/b.txt', false));
+    assert(!ignore.isIgnored(patterns, 'docs/d.txt', false));
+    assert.strictEqual(ignore.parsePattern('# comment'), null);
+    assert.strictEqual(ignore.parsePattern('   '), null);
+  });
+
+  it('should use the default patterns and .gitignore without a .gcloudignore', () => {
+    write('.gitignore', 'keys/\n');
+
+    const ignoreFile = ignore.loadIgnoreFile(dir);
+    assert.strictEqual(ignoreFile.file, null);
+    assert.deepEqual(ignore.listFiles(dir, ignoreFile.patterns), [
+      'index.js',
+      'lib/util.js',
+      'lib/util.test.js',
+      'test/fixtures/data.json'
+    ]);
+  });
+
+  it('should read .gcloudignore and the files it includes', () => {
+    write('.gitignore', 'keys/\n');
+    write('.gcloudignore', '.gcloudignore\n.git/\n#!include:.gitignore\n\n# Tests\n*.test.js\ntest/\n');
+
+    const ignoreFile = ignore.loadIgnoreFile(dir);
+    assert.strictEqual(ignoreFile.file, '.gcloudignore');
+    assert.deepEqual(ignore.listFiles(dir, ignoreFile.patterns), [
+      '.gitignore',
+      'index.js',
+      'lib/util.js',
+      'node_modules/a/index.js'
+    ]);
+  });
+
+  it('should use the given ignore file instead of .gcloudignore', () => {
+    write('.gcloudignore', '*\n');
+    write('deploy.ignore', '*\n!*.js\n!lib/\n*.test.js\n');
+
+    const ignoreFile = ignore.loadIgnoreFile(dir, 'deploy.ignore');
+    assert.strictEqual(ignoreFile.file, 'deploy.ignore');
+    assert.deepEqual(ignore.listFiles(dir, ignoreFile.patterns), ['index.js', 'lib/util.js']);
+    assert.throws(() => ignore.loadIgnoreFile(dir, 'missing.ignore'), /does not exist/);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Copyright 2017, Google, Inc.
+ * Licensed under the Apache License, Version 2.0 (the "License")
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+
+const runtimes = require('../../../src/utils/runtimes');
+
+describe('unit/utils/runtimes', () => {
+  describe('getExecutable', () => {
+    it('should use the Emulator\'s Node.js for its own runtime', () => {
+      assert.equal(runtimes.getExecutable(), process.execPath);
+      assert.equal(runtimes.getExecutable(runtimes.getDefaultRuntime()), process.execPath);
+    });
+
+    it('should use the executable a runtime is mapped to', () => {
+      const execPath = path.join(path.dirname(process.execPath), 'node');
+      assert.equal(runtimes.getExecutable('nodejs4', { nodejs4: execPath }), execPath);
+    });
+
+    it('should reject a runtime that is not installed', () => {
+      assert.throws(() => runtimes.getExecutable('nodejs4'), (err) => {
+        return err.code === 3 && err.message.startsWith('Runtime nodejs4 is not installed locally.');
+      });
+      assert.throws(() => runtimes.getExecutable('nodejs4', { nodejs4: '/does/not/exist/node' }), (err) => {
+        return err.code === 3 && err.message === 'Runtime nodejs4 is mapped to /does/not/exist/node, which is not an executable.';
+      });
+    });
+
+    it('should reject an invalid runtime', () => {
+      assert.throws(() => runtimes.getExecutable('python37'), (err) => {
+        return err.code === 3 && err.message.startsWith('Invalid runtime: python37.');
+      });
+    });
+  });
+
+  describe('getSignatureType', () => {
+    it('should follow the runtime unless a signature type was chosen', () => {
+      assert.equal(runtimes.getSignatureType({}), 'legacy');
+      assert.equal(runtimes.getSignatureType({ runtime: 'nodejs6' }), 'legacy');
+      assert.equal(runtimes.getSignatureType({ runtime: 'nodejs10' }), 'context');
+      assert.equal(runtimes.getSignatureType({ runtime: 'nodejs10', signatureType: 'legacy' }), 'legacy');
+    });
+  });
+});